@@ -3,8 +3,13 @@ import { rollHighest } from "../dicerollers.js";
 import { rollTargetNumberDialog } from "../dicerollers.js";
 import { rollHighestDialog } from "../dicerollers.js";
 import { makeStatCompareReady, splitStatString } from "../helpers.js";
+import { CommonSystemInfo } from "../helpers.js";
 import { getConditionByNameIronclaw } from "../conditions.js";
 import { hasConditionsIronclaw } from "../conditions.js";
+import { popupExtendedTest } from "../extendedtests.js";
+import { popupSocialExchange } from "../social.js";
+import { AdvancementDialog } from "../advancement.js";
+import { CharacterCreationWizard } from "../creation.js";
 
 /**
  * Extend the basic ActorSheet
@@ -60,6 +65,12 @@ export class urbanjungleActorSheet extends ActorSheet {
         if (this.actor.data.type == 'beast') {
             this._prepareBeastItems(sheetData);
         }
+        if (this.actor.data.type == 'vehicle') {
+            this._prepareBeastItems(sheetData); // Vehicles carry the same kinds of things as beasts, as cargo and mounted weapons
+            sheetData.driver = this.actor.getVehicleDriver();
+            sheetData.vehicleTypes = Object.fromEntries(CommonSystemInfo.vehicleTypes.map(x => [x, "urbanjungle.vehicle.types." + x]));
+            sheetData.speedBands = Object.fromEntries(CommonSystemInfo.speedBands.map((x, i) => [i, "urbanjungle.vehicle.speedBands." + x]));
+        }
 
         // Grab the actual template data and effects
         sheetData.data = baseData.data.data;
@@ -216,9 +227,16 @@ export class urbanjungleActorSheet extends ActorSheet {
         html.find('.roll-defense').click(this._onDefenseRoll.bind(this));
         html.find('.roll-enc-effect').click(this._onEncumbranceChange.bind(this));
         html.find('.roll-damage').click(this._onDamageRoll.bind(this));
+        html.find('.roll-extended').click(this._onExtendedTest.bind(this));
+        html.find('.roll-social').click(this._onSocialExchange.bind(this));
+        html.find('.roll-advancement').click(this._onAdvancement.bind(this));
+        html.find('.roll-creation').click(this._onCreation.bind(this));
         html.find('.roll-effects-reset').click(this._onEffectsReset.bind(this));
         html.find('.roll-effects-add').click(this._onEffectsAdd.bind(this));
         html.find('.roll-effects-delete').click(this._onEffectsDelete.bind(this));
+        html.find('.roll-vehicle').click(this._onVehicleRoll.bind(this));
+        html.find('.roll-vehicle-soak').click(this._onVehicleSoak.bind(this));
+        html.find('.vehicle-driver-clear').click(this._onVehicleDriverClear.bind(this));
 
         html.find('.roll-double-info-item').dblclick(this._onItemInfo.bind(this));
         html.find('.roll-double-info-cond').dblclick(this._onConditionInfo.bind(this));
@@ -414,6 +432,146 @@ export class urbanjungleActorSheet extends ActorSheet {
         this.actor.popupDamage();
     }
 
+    /**
+     * Handle the vehicle handling roll through the driver
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    _onVehicleRoll(event) {
+        event.preventDefault();
+
+        this.actor.popupVehicleRoll();
+    }
+
+    /**
+     * Handle the vehicle soak command, asking for the damage to soak first
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    _onVehicleSoak(event) {
+        event.preventDefault();
+
+        let confirmed = false;
+        let dlog = new Dialog({
+            title: game.i18n.format("urbanjungle.dialog.vehicleSoak.title", { "name": this.actor.name }),
+            content: `
+     <form class="urbanjungle">
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.vehicleSoak.damage")}:</label>
+	   <input id="damage" name="damage" value="1" onfocus="this.select();"></input>
+      </div>
+     </form>
+     `,
+            buttons: {
+                one: {
+                    icon: '<i class="fas fa-check"></i>',
+                    label: game.i18n.localize("urbanjungle.dialog.vehicleSoak.soak"),
+                    callback: () => confirmed = true
+                },
+                two: {
+                    icon: '<i class="fas fa-times"></i>',
+                    label: game.i18n.localize("urbanjungle.dialog.cancel"),
+                    callback: () => confirmed = false
+                }
+            },
+            default: "one",
+            render: html => { document.getElementById("damage").focus(); },
+            close: async html => {
+                if (confirmed) {
+                    let DAMAGESS = html.find('[name=damage]')[0].value;
+                    let DAMAGE = 0; if (DAMAGESS.length > 0) DAMAGE = parseInt(DAMAGESS) || 0;
+                    await this.actor.vehicleSoakDamage(DAMAGE);
+                }
+            }
+        });
+        dlog.render(true);
+    }
+
+    /**
+     * Handle clearing the driver slot of a vehicle
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    _onVehicleDriverClear(event) {
+        event.preventDefault();
+
+        this.actor.update({ "data.driver": "" });
+    }
+
+    /**
+     * Dropping an actor on a vehicle sheet puts them in the driver slot
+     * @override
+     */
+    async _onDropActor(event, data) {
+        if (this.actor.data.type !== 'vehicle' || !this.actor.isOwner) return super._onDropActor(event, data);
+        const driver = game.actors.get(data.id);
+        if (!driver || driver.data.type === 'vehicle' || driver.data.type === 'marker') {
+            ui.notifications.warn(game.i18n.localize("urbanjungle.ui.vehicleInvalidDriver"));
+            return false;
+        }
+        return this.actor.update({ "data.driver": driver.id });
+    }
+
+    /**
+     * Dropping a species or career item fills in the matching trait instead of adding the item to the actor
+     * @override
+     */
+    async _onDropItemCreate(itemData) {
+        const dropped = (Array.isArray(itemData) ? itemData : [itemData]);
+        const traititems = dropped.filter(x => x.type === 'species' || x.type === 'career');
+        if (traititems.length === 0) return super._onDropItemCreate(itemData);
+
+        for (let item of traititems) {
+            await this.actor.applyTraitItem(item);
+        }
+        const rest = dropped.filter(x => !traititems.includes(x));
+        return (rest.length > 0 ? super._onDropItemCreate(rest) : []);
+    }
+
+    /**
+     * Handle the extended test popup
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    _onExtendedTest(event) {
+        event.preventDefault();
+
+        popupExtendedTest(this.actor);
+    }
+
+    /**
+     * Handle the social exchange popup
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    _onSocialExchange(event) {
+        event.preventDefault();
+
+        popupSocialExchange(this.actor);
+    }
+
+    /**
+     * Handle opening the advancement window
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    _onAdvancement(event) {
+        event.preventDefault();
+
+        new AdvancementDialog(this.actor).render(true);
+    }
+
+    /**
+     * Handle opening the character creation wizard
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    _onCreation(event) {
+        event.preventDefault();
+
+        new CharacterCreationWizard(this.actor).render(true);
+    }
+
     /**
      * Handle the condition reset
      * @param {Event} event   The originating click event
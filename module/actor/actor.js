@@ -4,10 +4,10 @@ import { makeStatCompareReady } from "../helpers.js";
 import { reformDiceString } from "../helpers.js";
 import { convertCamelCase } from "../helpers.js";
 import { getMacroSpeaker } from "../helpers.js";
+import { CommonSystemInfo } from "../helpers.js";
 import { findActorToken } from "../helpers.js";
-import { findInItems } from "../helpers.js";
-import { checkForPrechecked } from "../helpers.js";
 import { nullCheckConcat } from "../helpers.js";
+import { findInItems } from "../helpers.js";
 import { parseSingleDiceString } from "../helpers.js";
 import { checkDiceArrayIndex } from "../helpers.js";
 import { getDiceArrayMaxValue } from "../helpers.js";
@@ -22,6 +22,18 @@ import { rollTargetNumber } from "../dicerollers.js";
 import { rollHighest } from "../dicerollers.js";
 import { enforceLimit } from "../helpers.js";
 import { burdenedLimitedStat } from "../helpers.js";
+import { getSkillList } from "../helpers.js";
+import { getSkillLabel } from "../helpers.js";
+import { calculateDicePoolOdds } from "../dicepool.js";
+import { marksDicePool } from "../dicepool.js";
+import { standardDicePool } from "../dicepool.js";
+import { getActiveGiftEffects } from "../gifts.js";
+import { getGiftEffectDice } from "../gifts.js";
+import { getGiftMovementBonus } from "../gifts.js";
+import { getGiftEncumbranceBonus } from "../gifts.js";
+import { getSquad } from "../squads.js";
+import { getSquadAttackBonus } from "../squads.js";
+import { applySquadDamage } from "../squads.js";
 
 /**
  * Extend the base Actor entity by defining a custom data necessary for the Ironclaw system
@@ -53,8 +65,8 @@ export class urbanjungleActor extends Actor {
         super.prepareData();
         const actorData = this.data;
 
-        // Automatic Encumbrance Management
-        this._encumbranceAutoManagement(actorData);
+        // Automatic Encumbrance Management, vehicles only carry cargo and have no encumbrance
+        if (actorData.type !== 'vehicle') this._encumbranceAutoManagement(actorData);
     }
 
     /** @override
@@ -68,6 +80,7 @@ export class urbanjungleActor extends Actor {
         if (actorData.type === 'character') this._prepareCharacterData(actorData);
         if (actorData.type === 'mook') this._prepareMookData(actorData);
         if (actorData.type === 'beast') this._prepareBeastData(actorData);
+        if (actorData.type === 'vehicle') this._prepareVehicleData(actorData);
     }
 
     /**
@@ -107,6 +120,23 @@ export class urbanjungleActor extends Actor {
         this._processBattleData(actorData);
     }
 
+    /**
+     * Prepare Vehicle type specific data
+     */
+    _prepareVehicleData(actorData) {
+        const data = actorData.data;
+
+        data.handling.diceArray = findTotalDice(data.handling.dice);
+        data.armor.diceArray = findTotalDice(data.armor.dice);
+
+        const maxband = CommonSystemInfo.speedBands.length - 1;
+        data.maxSpeedBand = Math.max(0, Math.min(maxband, data.maxSpeedBand));
+        data.speedBand = Math.max(0, Math.min(data.maxSpeedBand, data.speedBand));
+        data.speedBandLabel = game.i18n.localize("urbanjungle.vehicle.speedBands." + CommonSystemInfo.speedBands[data.speedBand]);
+
+        this._processItemData(actorData);
+    }
+
     /**
      * Process baseTraits template data
      */
@@ -147,19 +177,21 @@ export class urbanjungleActor extends Actor {
             data.extraCareerIds.forEach(x => extracareers.push(this.items.get(x)));
         }
 
+        // Only the skills in the world's skill list are used, skills added to the list start with no marks, and skills removed from it keep their stored marks but are left out
+        let skills = {};
+        for (let entry of getSkillList()) {
+            skills[entry.key] = data.skills[entry.key] || { "marks": 0, "favoredUse": "" };
+        }
+        data.skills = skills;
+
         for (let [key, skill] of Object.entries(data.skills)) {
-            skill.diceArray = [0, 0, 0, 0, 0];
+            skill.diceArray = [];
             skill.diceString = "";
             skill.totalDiceString = "";
 
             // Marks
             if (skill.marks > 0) {
-                let d12s = Math.floor(skill.marks / 5); // Get the number of d12's for the skill
-                let remainder = skill.marks % 5; // Get whatever the mark count is minus full 5's (d12's)
-                skill.diceArray[0] += d12s; // Add the d12's
-                if (remainder > 0) {
-                    skill.diceArray[5 - remainder] += 1; // Based on what the marks are minus full 5's, add a smaller die
-                }
+                skill.diceArray = marksDicePool(skill.marks);
                 skill.diceString = reformDiceString(skill.diceArray, true); // For showing in the sheet how many dice the marks give
             }
 
@@ -182,7 +214,7 @@ export class urbanjungleActor extends Actor {
             skill.totalDiceString = reformDiceString(skill.diceArray, true); // For showing in the sheet how many dice the skill has in total
 
             // Make the name used for a skill more human-readable, and add a symbol if the skill can suffer under Burdened condition
-            skill.usedTitle = convertCamelCase(key);
+            skill.usedTitle = getSkillLabel(key);
             if (burdenedLimitedStat(key)) {
                 skill.usedTitle = String.fromCodePoint([9949]) + " " + skill.usedTitle + " " + String.fromCodePoint([9949]);
             }
@@ -216,60 +248,14 @@ export class urbanjungleActor extends Actor {
         if (speedint > 8 && hasConditionsIronclaw("burdened", this)) speedint = 8;
 
 
-        // Fast Mover and All Fours bonuses
-        const fastmover = findInItems(this.items, "fastmover", "gift");
-        if (fastmover) {
-            stridebonus += 1;
-            dashbonus += 2;
-            runbonus += 6;
-            if (hasConditionsIronclaw("allfours", this)) {
-                const allfours = findInItems(this.items, "allfours", "gift");
-                if (allfours) {
-                    stridebonus += 1;
-                    dashbonus += 2;
-                    runbonus += 6;
-                }
-            }
-        }
-
-        // Coward and Flight of the Prey bonuses
-        if (hasConditionsIronclaw(["afraid", "terrified"], this)) {
-            const coward = findInItems(this.items, "coward", "gift");
-            if (coward) {
-                const flightofprey = findInItems(this.items, "flightoftheprey", "gift");
-                if (flightofprey && hasConditionsIronclaw("afraid", this)) {
-                    stridebonus += 1;
-                    dashbonus += 4;
-                    runbonus += 16;
-                }
-                else {
-                    stridebonus += 1;
-                    dashbonus += 3;
-                    runbonus += 9;
-                }
-            }
-        }
-
-        // Body type Gift bonuses
-        const ophidian = findInItems(this.items, "ophidian", "gift");
-        if (ophidian) {
-            stridebonus += 2;
-            dashbonus -= 2;
-        }
-
-
-        // Flying-related bonuses
-        if (hasConditionsIronclaw("flying", this)) {
-            const flight = findInItems(this.items, "flight", "gift");
-            if (flight) {
-                stridebonus += 3;
-                const sprintint = getDiceArrayMaxValue(sprintarray);
-                runbonus += 12 + (sprintint - speedint); // Remove the speedint from the Flight run bonus, since the maximized flying sprint in the flying run replaces the maximized Speed in the standard run calculation
-            }
-            const wings = findInItems(this.items, "wings", "gift");
-            if (wings) {
-                stridebonus += 1;
-            }
+        // Gift bonuses, from the gift effect registry
+        const giftbonus = getGiftMovementBonus(this);
+        stridebonus += giftbonus.stride;
+        dashbonus += giftbonus.dash;
+        runbonus += giftbonus.run;
+        if (giftbonus.sprintRun) {
+            const sprintint = getDiceArrayMaxValue(sprintarray);
+            runbonus += sprintint - speedint; // Remove the speedint from the run bonus, since the maximized sprint replaces the maximized Speed in the standard run calculation, eg. for a flying run
         }
 
 
@@ -318,12 +304,14 @@ export class urbanjungleActor extends Actor {
             allvalue += currency.totalValue;
             allweight += currency.totalWeight;
         }
-        data.coinageValue = Math.floor(allvalue).toString() + String.fromCodePoint([data.coinage.denar.sign]);
+        const mainsign = data.coinage.dollar?.sign;
+        data.coinageValue = Math.floor(allvalue).toString() + (Number.isInteger(mainsign) ? String.fromCodePoint([mainsign]) : "");
         data.coinageWeight = allweight;
     }
 
     /**
      * Process derived data from items 
+     * Only the actor's own items count for its weight; a vehicle is a separate actor that merely stores the id of its driver, so neither the vehicle nor its cargo is ever among the driver's items
      */
     _processItemData(actorData) {
         const data = actorData.data;
@@ -331,8 +319,6 @@ export class urbanjungleActor extends Actor {
 
         let totalweight = 0;
         let totalarmors = 0;
-        let strengthlevel = 0;
-        let hasgiant = 0;
         for (let item of gear) {
 
             if (item.data.data.totalWeight && !isNaN(item.data.data.totalWeight)) {
@@ -342,28 +328,27 @@ export class urbanjungleActor extends Actor {
             if (item.data.type === 'armor' && item.data.data.worn === true) {
                 totalarmors++;
             }
+        }
 
-            // Encumbrance limit gift checks
-            if (item.data.type === 'gift' && makeStatCompareReady(item.data.name) == "strength") {
-                strengthlevel = strengthlevel > 1 ? strengthlevel : 1; // Check if improvedstrength has already been processed, in which case, keep it where it is
-            }
-            if (item.data.type === 'gift' && makeStatCompareReady(item.data.name) == "improvedstrength") {
-                strengthlevel = 2;
-            }
-            if (item.data.type === 'gift' && makeStatCompareReady(item.data.name) == "giant") {
-                hasgiant = 1;
-            }
+        // Vehicles only track their cargo against its capacity, and have no encumbrance of their own
+        if (actorData.type === 'vehicle') {
+            data.totalWeight = totalweight;
+            data.cargoOverCapacity = totalweight > data.cargoCapacity;
+            return;
         }
 
+        // Encumbrance limit gift bonuses
+        const giftlevel = getGiftEncumbranceBonus(this);
+
         const bodyarr = parseSingleDiceString(data.traits.body.dice);
         if (!Array.isArray(bodyarr)) {
             console.error("Unable to parse body die for " + actorData.name);
             return;
         }
 
-        data.encumbranceNone = Math.round(((bodyarr[1] / 2) - 1) * bodyarr[0] + strengthlevel + hasgiant);
-        data.encumbranceBurdened = Math.round((bodyarr[1] - 1) * bodyarr[0] + strengthlevel * 2 + hasgiant * 2);
-        data.encumbranceOverBurdened = Math.round(((bodyarr[1] / 2) * 3 - 1) * bodyarr[0] + strengthlevel * 3 + hasgiant * 3);
+        data.encumbranceNone = Math.round(((bodyarr[1] / 2) - 1) * bodyarr[0] + giftlevel);
+        data.encumbranceBurdened = Math.round((bodyarr[1] - 1) * bodyarr[0] + giftlevel * 2);
+        data.encumbranceOverBurdened = Math.round(((bodyarr[1] / 2) * 3 - 1) * bodyarr[0] + giftlevel * 3);
 
         const coinshaveweight = game.settings.get("urbanjungle", "coinsHaveWeight");
         if (coinshaveweight === true && data.coinageWeight) {
@@ -440,7 +425,7 @@ export class urbanjungleActor extends Actor {
                 if (traitnames.includes(makeStatCompareReady(key))) {
                     if (labelgiven)
                         label += " + ";
-                    totaldice = addArrays(totaldice, (isburdened && burdenedLimitedStat(key) ? enforceLimit(trait.diceArray, 2) : trait.diceArray));
+                    totaldice = addArrays(totaldice, (isburdened && burdenedLimitedStat(key) ? enforceLimit(trait.diceArray, 8) : trait.diceArray));
                     label += convertCamelCase(key);
                     labelgiven = true;
                 }
@@ -453,7 +438,7 @@ export class urbanjungleActor extends Actor {
                     if (traitnames.includes(key)) {
                         if (labelgiven)
                             label += " + ";
-                        totaldice = addArrays(totaldice, (isburdened && burdenedLimitedStat(key) ? enforceLimit(extra.data.data.diceArray, 2) : extra.data.data.diceArray));
+                        totaldice = addArrays(totaldice, (isburdened && burdenedLimitedStat(key) ? enforceLimit(extra.data.data.diceArray, 8) : extra.data.data.diceArray));
                         label += extra.data.data.careerName;
                         labelgiven = true;
                     }
@@ -465,8 +450,8 @@ export class urbanjungleActor extends Actor {
                 if (skillnames.includes(makeStatCompareReady(key))) {
                     if (labelgiven)
                         label += " + ";
-                    totaldice = addArrays(totaldice, (isburdened && burdenedLimitedStat(key) ? enforceLimit(skill.diceArray, 2) : skill.diceArray));
-                    label += convertCamelCase(key);
+                    totaldice = addArrays(totaldice, (isburdened && burdenedLimitedStat(key) ? enforceLimit(skill.diceArray, 8) : skill.diceArray));
+                    label += getSkillLabel(key);
                     labelgiven = true;
                 }
             }
@@ -475,6 +460,200 @@ export class urbanjungleActor extends Actor {
         return { "totalDice": totaldice, "label": label, "labelGiven": labelgiven };
     }
 
+    /**
+     * Get the extra damage the actor takes from its current conditions, and a label listing the conditions that caused it
+     * @private
+     */
+    _getConditionDamage() {
+        let addeddamage = 0;
+        let addedconditions = "";
+
+        if (hasConditionsIronclaw("hurt", this)) {
+            addeddamage++;
+            addedconditions = game.i18n.localize(CommonConditionInfo.getConditionLabel("hurt"));
+        }
+        if (hasConditionsIronclaw("injured", this)) {
+            addeddamage++;
+            addedconditions += (addedconditions ? ", " : "") + game.i18n.localize(CommonConditionInfo.getConditionLabel("injured"));
+        }
+
+        return { "damage": addeddamage, "label": addedconditions };
+    }
+
+    /**
+     * Get the roll bonuses the actor's gifts give to a roll, as checkbox inputs for the dice pool popup
+     * Stat effects are added straight into the prechecked array
+     * @param {string[]} rolltags The tags of the roll, eg. ["defense", "parry"]
+     * @param {string[]} prechecked The stats prechecked for the roll, modified in place
+     * @returns {{formconstruction: string, constructionkeys: string[], constructionarray: number[][], overridden: Set<string>}} The extra inputs and their dice, and the set of overridden bonus sources
+     * @private
+     */
+    _getGiftRollBonuses(rolltags, prechecked) {
+        let formconstruction = ``;
+        let constructionkeys = [];
+        let constructionarray = [];
+
+        const stats = getActiveGiftEffects(this, "stat", rolltags, prechecked);
+        for (let entry of stats.effects) {
+            const stat = makeStatCompareReady(entry.effect.stat);
+            if (stat.length > 0 && !prechecked.includes(stat)) {
+                prechecked.push(stat);
+            }
+        }
+
+        const dice = getActiveGiftEffects(this, "dice", rolltags, prechecked);
+        for (let entry of dice.effects) {
+            const bonus = getGiftEffectDice(this, entry);
+            if (!bonus || constructionkeys.includes(bonus.label)) continue;
+
+            constructionkeys.push(bonus.label);
+            constructionarray.push(bonus.dice);
+            formconstruction += `<div class="form-group flexrow">
+                 <label class="normal-label">${bonus.label}: ${reformDiceString(bonus.dice, true)}</label>
+	             <input type="checkbox" id="${makeStatCompareReady(bonus.label)}" name="${makeStatCompareReady(bonus.label)}" checked></input>
+                </div>`+ "\n";
+        }
+
+        return { "formconstruction": formconstruction, "constructionkeys": constructionkeys, "constructionarray": constructionarray, "overridden": new Set([...stats.overridden, ...dice.overridden]) };
+    }
+
+    /**
+     * Send the report of applied damage to chat, showing the wound track before and after the damage
+     * @param {number} damage The damage after soak, before condition damage
+     * @param {Object} conditiondamage The condition damage and the label of the conditions that caused it
+     * @param {string[]} adding The conditions the damage added, the last one is the worst and gets reported in the header
+     * @param {string[]} before The wound track conditions before the damage
+     * @param {string[]} after The wound track conditions after the damage
+     * @private
+     */
+    async _damageAppliedToChat(damage, conditiondamage, adding, before, after) {
+        const speaker = getMacroSpeaker(this);
+        const getlabels = (list) => list.map(x => ({ "label": game.i18n.localize(CommonConditionInfo.getConditionLabel(x)), "isNew": !before.includes(x) }));
+        const templateData = {
+            "header": game.i18n.format("urbanjungle.dialog.damageCalc.chatMessage", { "name": speaker.alias, "condition": game.i18n.localize(CommonConditionInfo.getConditionLabel(adding[adding.length - 1])) }),
+            "damage": damage,
+            "conditionDamage": conditiondamage.damage,
+            "conditionLabel": conditiondamage.label,
+            "before": getlabels(before),
+            "after": getlabels(after),
+            "colors": CommonSystemInfo.resultColors
+        };
+
+        let chatData = {
+            "content": await renderTemplate("systems/urbanjungle/templates/chat/damage-applied.html", templateData),
+            "speaker": speaker
+        };
+        ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+        CONFIG.ChatMessage.documentClass.create(chatData);
+    }
+
+    /**
+     * Read the dice pool popup's form and total up the dice pool it currently describes, along with the roll label
+     * Used both for the actual roll and the live probability preview
+     * @param {jQuery} html The dice pool popup's HTML
+     * @param {[string]} otherkeys An array of keys for the other dice
+     * @param {[number[]]} otherdice An array of dice arrays, matching the otherkeys
+     * @param {string} otherlabel Text to postpend to the label
+     * @param {boolean} hashtml Whether the popup has extra HTML inputs, in which case the other dice can be switched off
+     * @returns {Object} The total dice, label, whether to use a TN and the TN itself
+     * @private
+     */
+    _readDicePoolForm(html, otherkeys, otherdice, otherlabel, hashtml) {
+        const data = this.data.data;
+        const hastraits = data.hasOwnProperty("traits");
+        const hasskills = data.hasOwnProperty("skills");
+
+        let traitchecks = html.find('input:checkbox[name=trait]:checked');
+        let skillchecks = html.find('input:checkbox[name=skill]:checked');
+        let traitvalues = [];
+        let skillvalues = [];
+        let totaldice = [];
+
+        for (let i = 0; i < traitchecks.length; ++i) {
+            traitvalues.push(traitchecks[i].value);
+        }
+        for (let i = 0; i < skillchecks.length; ++i) {
+            skillvalues.push(skillchecks[i].value);
+        }
+
+        let IFBURDENED = html.find('[name=burdened]');
+        let isburdened = IFBURDENED.length > 0 ? IFBURDENED[0].checked : false;
+
+        let IFLIMIT = html.find('[name=iflimit]')[0];
+        let uselimit = IFLIMIT.checked;
+        let LIMIT = html.find('[name=limit]')[0].value;
+        let limit = 0;
+        let limitparsed = parseSingleDiceString(LIMIT.trim()); // Check if the limit field is a die, in which case, parse what value it's meant to limit to
+        if (Array.isArray(limitparsed)) limit = checkDiceArrayIndex(limitparsed[1]);
+        else if (LIMIT.length > 0) limit = parseInt(LIMIT);
+
+        let IFTNSS = html.find('[name=iftn]')[0];
+        let IFTN = IFTNSS.checked;
+        let TNSS = html.find('[name=tn]')[0].value;
+        let TN = 0; if (TNSS.length > 0) TN = parseInt(TNSS);
+        let DICES = html.find('[name=dices]')[0].value;
+        let DICE = findTotalDice(DICES);
+
+        let labelgiven = false;
+        let label = "";
+        if (IFTN)
+            label = game.i18n.localize("urbanjungle.chat.rollingTN") + ": ";
+        else
+            label = game.i18n.localize("urbanjungle.chat.rollingHighest") + ": ";
+
+        if (hastraits || hasskills) {
+            let statfoobar = this._getDicePools(traitvalues, skillvalues, isburdened, labelgiven);
+            totaldice = statfoobar.totalDice;
+            label += statfoobar.label;
+            labelgiven = statfoobar.labelGiven;
+        }
+        if (Array.isArray(otherdice) && Array.isArray(otherkeys) && otherdice.length > 0 && otherdice.length == otherkeys.length) {
+            for (let i = 0; i < otherdice.length; i++) {
+                let OTHER = html.find(`[name=${makeStatCompareReady(otherkeys[i])}]`);
+                let otherchecked = (hashtml && OTHER.length > 0 ? OTHER[0].checked : true);
+                if (otherchecked) {
+                    if (labelgiven)
+                        label += " + ";
+                    totaldice = addArrays(totaldice, otherdice[i]);
+                    label += otherkeys[i];
+                    labelgiven = true;
+                }
+            }
+        }
+        if (DICE.some(element => element != 0)) {
+            label += " + extra";
+            totaldice = addArrays(totaldice, DICE);
+        }
+        label += ".";
+        if (typeof (otherlabel) === 'string' && otherlabel.length > 0)
+            label += `<p style="color:black">${otherlabel}</p>`;
+
+        if (uselimit) {
+            totaldice = enforceLimit(totaldice, limit);
+        }
+
+        return { "totalDice": totaldice, "label": label, "useTN": IFTN, "tn": TN };
+    }
+
+    /**
+     * Update the probability preview of the dice pool popup to match the form's current state
+     * @param {jQuery} html The dice pool popup's HTML
+     * @param {[string]} otherkeys An array of keys for the other dice
+     * @param {[number[]]} otherdice An array of dice arrays, matching the otherkeys
+     * @param {boolean} hashtml Whether the popup has extra HTML inputs
+     * @private
+     */
+    _updateDicePoolOdds(html, otherkeys, otherdice, hashtml) {
+        const pool = this._readDicePoolForm(html, otherkeys, otherdice, "", hashtml);
+        const odds = calculateDicePoolOdds(pool.totalDice, (pool.useTN && !isNaN(pool.tn) ? pool.tn : -1));
+        const percent = x => (isNaN(x) ? "-" : (Math.round(x * 1000) / 10).toString() + "%");
+
+        html.find(".odds-success").text(pool.useTN ? percent(odds.success) : "-");
+        html.find(".odds-tie").text(pool.useTN ? percent(odds.tie) : "-");
+        html.find(".odds-botch").text(percent(odds.botch));
+        html.find(".odds-expected").text(pool.useTN && !isNaN(odds.expected) ? (Math.round(odds.expected * 100) / 100).toString() : "-");
+    }
+
     /* -------------------------------------------- */
     /*  Actor Token Change Functions                */
     /* -------------------------------------------- */
@@ -535,26 +714,187 @@ export class urbanjungleActor extends Actor {
         this._updateTokenLighting(updatedlightdata);
     }
 
-    applyDamage(damage, knockout, nonlethal = false) {
+    /**
+     * Apply damage to the actor, the single place where the wound track conditions get added
+     * The damage is raised by the conditions the actor already has, so repeated damage escalates the wound track
+     * @param {number} damage The damage after soak
+     * @param {boolean} knockout Whether the damage is from a knockout strike
+     * @param {boolean} nonlethal Whether the damage is non-lethal, which stops it from killing
+     * @param {boolean} sendinchat Whether to post the before and after state of the wound track to chat
+     * @returns {Promise<Object>} Promise of the total damage, the condition damage added to it, the added conditions and the wound track before and after
+     */
+    async applyDamage(damage, knockout = false, nonlethal = false, sendinchat = true) {
+        // A mook squad loses members before the leader takes any of the damage
+        const squad = getSquad(this.token);
+        if (squad && squad.members.length > 0 && damage > 0) {
+            const squadloss = damage - await applySquadDamage(this.token, damage);
+            damage -= squadloss;
+            if (damage <= 0) {
+                return { "damage": squadloss, "conditionDamage": 0, "conditions": [], "before": [], "after": [], "squadLoss": squadloss };
+            }
+        }
+
+        if (this.data.type === "vehicle") {
+            return this._applyVehicleDamage(damage, sendinchat);
+        }
+
+        const conditiondamage = this._getConditionDamage();
+        const total = damage + conditiondamage.damage;
+        const before = CommonConditionInfo.woundTrack.filter(x => hasConditionsIronclaw(x, this));
+
         let adding = ["reeling"];
-        if (damage >= 1) {
+        if (total >= 1) {
             adding.push("hurt");
             if (knockout) adding.push("asleep");
         }
-        if (damage >= 2) {
+        if (total >= 2) {
             adding.push("afraid");
             if (knockout) adding.push("unconscious");
         }
-        if (damage >= 3) adding.push("injured");
-        if (damage >= 4) adding.push("dying");
-        if (damage >= 5 && !nonlethal) adding.push("dead");
-        if (damage >= 6 && !nonlethal) adding.push("overkilled");
-        this.addEffect(adding);
-        return adding;
+        if (total >= 3) adding.push("injured");
+        if (total >= 4) adding.push("dying");
+        if (total >= 5 && !nonlethal) adding.push("dead");
+        if (total >= 6 && !nonlethal) adding.push("overkilled");
+        await this.addEffect(adding);
+
+        const after = CommonConditionInfo.woundTrack.filter(x => before.includes(x) || adding.includes(x));
+        if (sendinchat) {
+            await this._damageAppliedToChat(damage, conditiondamage, adding, before, after);
+        }
+        return { "damage": total, "conditionDamage": conditiondamage.damage, "conditions": adding, "before": before, "after": after };
+    }
+
+    /**
+     * Apply damage to a vehicle, moving it down the vehicle damage track instead of the wound track
+     * @param {number} damage The damage after soak
+     * @param {boolean} sendinchat Whether to post the damage report to chat
+     * @returns {Promise<Object>} Promise of the same data applyDamage returns
+     * @private
+     */
+    async _applyVehicleDamage(damage, sendinchat = true) {
+        const before = CommonConditionInfo.vehicleDamageTrack.filter(x => hasConditionsIronclaw(x, this));
+
+        let adding = [];
+        if (damage >= 1) adding.push("damaged");
+        if (damage >= 3) adding.push("crippled");
+        if (damage >= 5) adding.push("wrecked");
+        if (adding.length > 0) {
+            await this.addEffect(adding);
+        }
+
+        const after = CommonConditionInfo.vehicleDamageTrack.filter(x => before.includes(x) || adding.includes(x));
+        if (sendinchat && adding.length > 0) {
+            await this._damageAppliedToChat(damage, { "damage": 0, "label": "" }, adding, before, after);
+        }
+        return { "damage": damage, "conditionDamage": 0, "conditions": adding, "before": before, "after": after };
     }
 
-    async addEffect(condition) {
-        addConditionsIronclaw(condition, this);
+    /**
+     * Get the actor in the driver slot of a vehicle
+     * @returns {Actor | undefined} The driver, or undefined if the vehicle has none or the actor is not a vehicle
+     */
+    getVehicleDriver() {
+        if (this.data.type !== "vehicle" || !this.data.data.driver) return;
+        return game.actors.get(this.data.data.driver);
+    }
+
+    /**
+     * Open the dice pool popup of the vehicle's driver, with the driver's Transport and the vehicle's handling dice picked
+     * @param {Function} successfunc Optional function to call with the roll once it is done
+     * @param {Function} cancelfunc Optional function to call if the driver cancels the popup instead
+     * @returns {Dialog | null} The opened popup, or null if it could not be opened, eg. because the vehicle has no driver
+     */
+    popupVehicleRoll(successfunc = null, cancelfunc = null) {
+        const driver = this.getVehicleDriver();
+        if (!driver) {
+            ui.notifications.warn(game.i18n.format("urbanjungle.ui.vehicleNoDriver", { "name": this.name }));
+            return null;
+        }
+
+        const data = this.data.data;
+        const label = game.i18n.format("urbanjungle.vehicle.handlingLabel", { "name": this.name });
+        const formconstruction = `<div class="form-group flexrow">
+                 <label class="normal-label">${label}: ${reformDiceString(data.handling.diceArray, true)}</label>
+	             <input type="checkbox" id="${makeStatCompareReady(label)}" name="${makeStatCompareReady(label)}" checked></input>
+                </div>`+ "\n";
+
+        return driver.popupSelectRolled(["transport"], false, 3, "", formconstruction, [label], [data.handling.diceArray], game.i18n.format("urbanjungle.chat.rollingVehicle", { "name": this.name }), successfunc, cancelfunc);
+    }
+
+    /**
+     * Roll the vehicle's armor dice to soak damage, then apply whatever damage was left
+     * The armor is rolled straight away without a popup, so there is nothing to cancel
+     * @param {number} damage The raw damage of the attack
+     * @param {string} otherlabel Text describing the attack being soaked
+     * @returns {Promise<Object>} Promise of plain data about the soak and the applied damage
+     */
+    async vehicleSoakDamage(damage, otherlabel = "") {
+        const data = this.data.data;
+        const soak = await rollTargetNumber(3, data.armor.diceArray, game.i18n.localize("urbanjungle.chat.rollingSoak") + (otherlabel ? ", " + otherlabel : ""), this);
+        const soaked = soak?.tnData ? soak.tnData.successes : 0;
+        const applied = await this.applyDamage(damage - soaked, false, false, game.settings.get("urbanjungle", "defaultSendDamage"));
+        return { "soaked": soaked, "damage": applied.damage, "conditions": applied.conditions };
+    }
+
+    /**
+     * Open the defense popup for an attack targeting the actor, and wait for the defense roll to be made
+     * @param {string} otherlabel Text describing the attack being defended against
+     * @param {Function} onexpire Optional function to register a callback with, for when the attacker stops waiting for the defense
+     * @returns {Promise<Object | null>} Promise of plain data about the defense roll, or null if the popup was cancelled or expired
+     */
+    defendAgainstAttack(otherlabel = "", onexpire = null) {
+        return new Promise((resolve) => {
+            const successfunc = x => resolve(x ? { "highest": x.highest, "messageId": x.message?.id } : null);
+            const dlog = (this.data.type === "vehicle" ? // Vehicles defend through their driver's handling roll
+                this.popupVehicleRoll(successfunc, () => resolve(null)) :
+                this.popupDefenseRoll(["speed", "evasion"], false, 3, "", "", [], [], otherlabel, false, successfunc, () => resolve(null)));
+            if (!dlog) {
+                resolve(null);
+                return;
+            }
+            onexpire?.(() => {
+                if (dlog.rendered) dlog.close();
+            });
+        });
+    }
+
+    /**
+     * Open the soak popup for an attack that hit the actor, then apply whatever damage was left after the soak
+     * @param {number} damage The raw damage of the attack
+     * @param {boolean} knockout Whether the attack is a knockout strike
+     * @param {boolean} nonlethal Whether the attack is non-lethal
+     * @param {string} otherlabel Text describing the attack being soaked
+     * @param {Function} onexpire Optional function to register a callback with, for when the attacker stops waiting for the soak
+     * @returns {Promise<Object | null>} Promise of plain data about the soak and the applied damage, or null if the popup was cancelled or expired and no damage was applied
+     */
+    soakAttackDamage(damage, knockout = false, nonlethal = false, otherlabel = "", onexpire = null) {
+        if (this.data.type === "vehicle") {
+            return this.vehicleSoakDamage(damage, otherlabel);
+        }
+        return new Promise((resolve) => {
+            let expired = false;
+            const dlog = this.popupSoakRoll(["body"], true, 3, "", "", [], [], otherlabel, x => {
+                if (expired) { // The attacker already reported the damage as not applied, so a roll finished after that does not apply it either
+                    resolve(null);
+                    return;
+                }
+                const soaked = x?.tnData ? x.tnData.successes : 0;
+                this.applyDamage(damage - soaked, knockout, nonlethal, game.settings.get("urbanjungle", "defaultSendDamage"))
+                    .then(applied => resolve({ "soaked": soaked, "damage": applied.damage, "conditions": applied.conditions }));
+            }, () => resolve(null));
+            if (!dlog) {
+                resolve(null);
+                return;
+            }
+            onexpire?.(() => {
+                expired = true;
+                if (dlog.rendered) dlog.close();
+            });
+        });
+    }
+
+    async addEffect(condition, duration = null) {
+        await addConditionsIronclaw(condition, this, false, duration);
     }
 
     async deleteEffect(condition, isid = false) {
@@ -572,6 +912,64 @@ export class urbanjungleActor extends Actor {
         }
     }
 
+    /**
+     * Fill in the species or career trait from a species or career item, along with its attribute defaults, and copy its bundled gifts from the world's gift items
+     * Attribute defaults only fill the attributes that are still empty, and gifts the actor already has are skipped
+     * The gifts granted by the previous item of the same type are tracked in a flag and removed before the new ones are added
+     * @param {Object} itemData The data of the species or career item
+     * @returns {Promise<boolean>} Promise of whether the item could be applied
+     */
+    async applyTraitItem(itemData) {
+        if (!(itemData.type === "species" || itemData.type === "career")) return false;
+        if (!this.data.data.traits || this.data.type === "vehicle") {
+            ui.notifications.warn(game.i18n.format("urbanjungle.ui.traitItemWrongActor", { "item": itemData.name }));
+            return false;
+        }
+        const data = this.data.data;
+        const source = itemData.data;
+        const key = itemData.type;
+
+        let update = {};
+        update[`data.traits.${key}.name`] = source[key + "Name"] || itemData.name;
+        update[`data.traits.${key}.dice`] = source.dice;
+        for (let i = 1; i <= 3; ++i) {
+            update[`data.traits.${key}.${key}Skill${i}`] = source[key + "Skill" + i];
+        }
+        if (source.attributes && data.attributes) {
+            for (let [attribute, value] of Object.entries(source.attributes)) {
+                if (value && !data.attributes[attribute]) update[`data.attributes.${attribute}`] = value;
+            }
+        }
+        await this.update(update);
+
+        // Remove the gifts the previous species or career granted
+        const flagname = key + "Gifts";
+        const previous = (this.getFlag("urbanjungle", flagname) || []).filter(x => this.items.has(x));
+        if (previous.length > 0) await this.deleteEmbeddedDocuments("Item", previous);
+
+        // Bundled gifts
+        const giftnames = (source.bundledGifts || "").split(",").map(x => x.trim()).filter(x => x.length > 0);
+        let gifts = [];
+        let missing = [];
+        for (let name of giftnames) {
+            const comparename = makeStatCompareReady(name);
+            if (this.items.some(x => x.type === "gift" && makeStatCompareReady(x.name) === comparename)) continue;
+            const gift = findInItems(game.items, comparename, "gift");
+            if (gift) {
+                let giftdata = gift.toObject();
+                delete giftdata._id;
+                gifts.push(giftdata);
+            }
+            else missing.push(name);
+        }
+        const created = gifts.length > 0 ? await this.createEmbeddedDocuments("Item", gifts) : [];
+        await this.setFlag("urbanjungle", flagname, created.map(x => x.id));
+        if (missing.length > 0) ui.notifications.warn(game.i18n.format("urbanjungle.ui.bundledGiftsMissing", { "gifts": missing.join(", ") }));
+
+        ui.notifications.info(game.i18n.format("urbanjungle.ui.traitItemApplied", { "item": itemData.name, "name": this.name }));
+        return true;
+    }
+
     /* -------------------------------------------- */
     /*  Non-popup Roll Functions                    */
     /* -------------------------------------------- */
@@ -584,28 +982,23 @@ export class urbanjungleActor extends Actor {
      */
     initiativeRoll(returntype, tntouse = 2) {
         const data = this.data.data;
-        let formconstruction = ``;
-        let constructionkeys = [];
-        let constructionarray = [];
         let prechecked = ["speed", "mind"];
         const burdened = hasConditionsIronclaw("burdened", this);
 
-        // Danger Sense bonus
-        let dangersense = findInItems(this.items, "dangersense", "gift");
-        if (dangersense) {
-            constructionkeys.push(dangersense.data.name);
-            constructionarray.push(dangersense.data.data.giftArray);
-            formconstruction += `<div class="form-group flexrow">
-                 <label class="normal-label">${dangersense.data.name}: ${reformDiceString(dangersense.data.data.giftArray, true)}</label>
-	             <input type="checkbox" id="${makeStatCompareReady(dangersense.data.name)}" name="${makeStatCompareReady(dangersense.data.name)}" checked></input>
-                </div>`+ "\n";
-        }
+        // Gift bonuses, eg. Danger Sense
+        const giftbonus = this._getGiftRollBonuses(["initiative"], prechecked);
+        const formconstruction = giftbonus.formconstruction;
+        const constructionkeys = giftbonus.constructionkeys;
+        const constructionarray = giftbonus.constructionarray;
+        let bonusdice = [];
+        constructionarray.forEach(x => bonusdice = addArrays(bonusdice, x));
+        const bonuslabel = constructionkeys.map(x => " + " + x).join("");
 
         let foo, bar;
         switch (returntype) { // Yes, yes, the breaks are unnecessary
             case -1:
                 foo = this._getDicePools(prechecked, prechecked, burdened);
-                return (dangersense ? addArrays(foo.totalDice, dangersense.data.data.giftArray) : foo.totalDice);
+                return addArrays(foo.totalDice, bonusdice);
                 break;
             case 0:
                 this.popupSelectRolled(prechecked, true, tntouse, "", formconstruction, constructionkeys, constructionarray, game.i18n.localize("urbanjungle.chat.rollingInitiative"));
@@ -613,13 +1006,13 @@ export class urbanjungleActor extends Actor {
                 break;
             case 1:
                 foo = this._getDicePools(prechecked, prechecked, burdened);
-                bar = dangersense ? addArrays(foo.totalDice, dangersense.data.data.giftArray) : foo.totalDice;
-                return rollHighest(bar[0], bar[1], bar[2], bar[3], bar[4], game.i18n.localize("urbanjungle.chat.rollingInitiative") + ": " + foo.label + (dangersense ? " + " + dangersense.data.name : ""), this, false);
+                bar = addArrays(foo.totalDice, bonusdice);
+                return rollHighest(bar, game.i18n.localize("urbanjungle.chat.rollingInitiative") + ": " + foo.label + bonuslabel, this, false);
                 break;
             case 2:
                 foo = this._getDicePools(prechecked, prechecked, burdened);
-                bar = dangersense ? addArrays(foo.totalDice, dangersense.data.data.giftArray) : foo.totalDice;
-                return rollTargetNumber(tntouse, bar[0], bar[1], bar[2], bar[3], bar[4], game.i18n.localize("urbanjungle.chat.rollingInitiativeCheck") + ": " + foo.label + (dangersense ? " + " + dangersense.data.name : ""), this, false);
+                bar = addArrays(foo.totalDice, bonusdice);
+                return rollTargetNumber(tntouse, bar, game.i18n.localize("urbanjungle.chat.rollingInitiativeCheck") + ": " + foo.label + bonuslabel, this, false);
                 break;
         }
 
@@ -640,18 +1033,17 @@ export class urbanjungleActor extends Actor {
         let prechecked = ["speed"];
         const burdened = hasConditionsIronclaw("burdened", this);
 
-        // Flying Sprint
-        if (hasConditionsIronclaw("flying", this)) {
-            const flight = findInItems(this.items, "flight", "gift");
-            if (flight) {
-                prechecked.push("weathersense");
-            }
-        }
+        // Gift bonuses, eg. Flight's flying Sprint
+        const giftbonus = this._getGiftRollBonuses(["sprint"], prechecked);
+        formconstruction += giftbonus.formconstruction;
+        constructionkeys = constructionkeys.concat(giftbonus.constructionkeys);
+        constructionarray = constructionarray.concat(giftbonus.constructionarray);
 
         let foo;
         switch (returntype) { // Yes, yes, the breaks are unnecessary
             case -1:
                 foo = this._getDicePools(prechecked, prechecked, burdened);
+                constructionarray.forEach(x => foo.totalDice = addArrays(foo.totalDice, x));
                 return foo.totalDice;
                 break;
             case 0:
@@ -668,19 +1060,12 @@ export class urbanjungleActor extends Actor {
     /*  Special Popup Macro Puukko Functions        */
     /* -------------------------------------------- */
 
-    popupSoakRoll(prechecked = [], tnyes = false, tnnum = 3, extradice = "", otherinputs = "", otherkeys = [], otherdice = [], otherlabel = "", successfunc = null) {
+    popupSoakRoll(prechecked = [], tnyes = false, tnnum = 3, extradice = "", otherinputs = "", otherkeys = [], otherdice = [], otherlabel = "", successfunc = null, cancelfunc = null) {
         const data = this.data.data;
         let formconstruction = ``;
         let constructionkeys = [];
         let constructionarray = [];
 
-        // Resolve
-        if (findInItems(this.items, "resolve", "gift")) {
-            if (!prechecked.includes("will")) {
-                prechecked.push("will");
-            }
-        }
-
         // Armor
         let armors = this.items.filter(element => element.data.data.worn === true);
         for (let i = 0; i < armors.length && i < 3; ++i) {
@@ -692,50 +1077,16 @@ export class urbanjungleActor extends Actor {
                 </div>`+ "\n";
         }
 
-        // Shield Soak
-        if (findInItems(this.items, "shieldsoak", "gift")) {
-            let shield = this.items.find(element => element.data.data.held === true);
-            if (shield) {
-                constructionkeys.push(shield.data.name);
-                constructionarray.push(shield.data.data.coverArray);
-                formconstruction += `<div class="form-group flexrow">
-                 <label class="normal-label">${shield.data.name}: ${reformDiceString(shield.data.data.coverArray, true)}</label>
-	             <input type="checkbox" id="${makeStatCompareReady(shield.data.name)}" name="${makeStatCompareReady(shield.data.name)}" checked></input>
-                </div>`+ "\n";
-            }
-        }
-
-        // Guard Soak
-        if (findInItems(this.items, "guardsoak", "gift")) {
-            if (hasConditionsIronclaw("guarding", this)) {
-                let veteran = findInItems(this.items, "veteran", "gift");
-                let guardbonus = [0, 0, 1, 0, 0];
-                let guardlabel = game.i18n.localize("urbanjungle.dialog.dicePool.guardSoak");
-                if (veteran) {
-                    guardbonus = veteran.data.data.giftArray;
-                    guardlabel = game.i18n.localize("urbanjungle.dialog.dicePool.guardSoakVeteran");
-                }
-
-                constructionkeys.push(guardlabel);
-                constructionarray.push(guardbonus);
-                formconstruction += `<div class="form-group flexrow">
-                 <label class="normal-label">${guardlabel}: ${reformDiceString(guardbonus, true)}</label>
-	             <input type="checkbox" id="${makeStatCompareReady(guardlabel)}" name="${makeStatCompareReady(guardlabel)}" checked></input>
-                </div>`+ "\n";
-            }
-        }
-
-        // Natural Armor
-        if (findInItems(this.items, "naturalarmor", "gift")) {
-            if (!prechecked.includes("species")) {
-                prechecked.push("species");
-            }
-        }
+        // Gift bonuses, eg. Resolve, Shield Soak, Guard Soak and Natural Armor
+        const giftbonus = this._getGiftRollBonuses(["soak"], prechecked);
+        formconstruction += giftbonus.formconstruction;
+        constructionkeys = constructionkeys.concat(giftbonus.constructionkeys);
+        constructionarray = constructionarray.concat(giftbonus.constructionarray);
 
-        this.popupSelectRolled(prechecked, tnyes, tnnum, extradice, formconstruction + otherinputs, nullCheckConcat(constructionkeys, otherkeys), nullCheckConcat(constructionarray, otherdice), otherlabel, successfunc);
+        return this.popupSelectRolled(prechecked, tnyes, tnnum, extradice, formconstruction + otherinputs, nullCheckConcat(constructionkeys, otherkeys), nullCheckConcat(constructionarray, otherdice), otherlabel, successfunc, cancelfunc);
     }
 
-    popupDefenseRoll(prechecked = [], tnyes = false, tnnum = 3, extradice = "", otherinputs = "", otherkeys = [], otherdice = [], otherlabel = "", isparry = false, successfunc = null) {
+    popupDefenseRoll(prechecked = [], tnyes = false, tnnum = 3, extradice = "", otherinputs = "", otherkeys = [], otherdice = [], otherlabel = "", isparry = false, successfunc = null, cancelfunc = null) {
         const data = this.data.data;
         let formconstruction = ``;
         let constructionkeys = [];
@@ -752,37 +1103,16 @@ export class urbanjungleActor extends Actor {
                 </div>`+ "\n";
         }
 
-        // Coward bonus when Afraid or Terrified
-        if (hasConditionsIronclaw(["afraid", "terrified"], this)) {
-            let coward = findInItems(this.items, "coward", "gift");
-            let flightofprey = findInItems(this.items, "flightoftheprey", "gift");
-            if (flightofprey && coward && hasConditionsIronclaw("afraid", this)) {
-                constructionkeys.push(flightofprey.data.name);
-                constructionarray.push(flightofprey.data.data.giftArray);
-                formconstruction += `<div class="form-group flexrow">
-                 <label class="normal-label">${flightofprey.data.name}: ${reformDiceString(flightofprey.data.data.giftArray, true)}</label>
-	             <input type="checkbox" id="${makeStatCompareReady(flightofprey.data.name)}" name="${makeStatCompareReady(flightofprey.data.name)}" checked></input>
-                </div>`+ "\n";
-            }
-            else if (coward && isparry == false && checkForPrechecked(prechecked, "dodge")) {
-                constructionkeys.push(coward.data.name);
-                constructionarray.push(coward.data.data.giftArray);
-                formconstruction += `<div class="form-group flexrow">
-                 <label class="normal-label">${coward.data.name}: ${reformDiceString(coward.data.data.giftArray, true)}</label>
-	             <input type="checkbox" id="${makeStatCompareReady(coward.data.name)}" name="${makeStatCompareReady(coward.data.name)}" checked></input>
-                </div>`+ "\n";
-            }
-        }
+        // Gift bonuses, eg. Coward, Fencing and Focused Fighter
+        const giftbonus = this._getGiftRollBonuses(["defense", (isparry ? "parry" : "dodge")], prechecked);
+        formconstruction += giftbonus.formconstruction;
+        constructionkeys = constructionkeys.concat(giftbonus.constructionkeys);
+        constructionarray = constructionarray.concat(giftbonus.constructionarray);
 
-        // Guarding bonus
-        if (hasConditionsIronclaw("guarding", this)) {
-            let veteran = findInItems(this.items, "veteran", "gift");
-            let guardbonus = [0, 0, 1, 0, 0];
-            let guardlabel = game.i18n.localize("urbanjungle.dialog.dicePool.guarding");
-            if (veteran) {
-                guardbonus = veteran.data.data.giftArray;
-                guardlabel = game.i18n.localize("urbanjungle.dialog.dicePool.guardingVeteran");
-            }
+        // Guarding bonus, unless a gift replaces it
+        if (hasConditionsIronclaw("guarding", this) && !giftbonus.overridden.has("guarding")) {
+            const guardbonus = standardDicePool(0, 0, 1, 0, 0);
+            const guardlabel = game.i18n.localize("urbanjungle.dialog.dicePool.guarding");
 
             constructionkeys.push(guardlabel);
             constructionarray.push(guardbonus);
@@ -792,28 +1122,7 @@ export class urbanjungleActor extends Actor {
                 </div>`+ "\n";
         }
 
-        // Fencing Dodge bonus
-        if (isparry) {
-            let fencing = findInItems(this.items, "fencing", "gift");
-            if (fencing && !prechecked.includes("dodge")) {
-                prechecked.push("dodge");
-            }
-        }
-
-        // Focused Fighter bonus
-        if (hasConditionsIronclaw("focused", this)) {
-            let focused = findInItems(this.items, "focusedfighter", "gift");
-            if (focused) {
-                constructionkeys.push(focused.data.name);
-                constructionarray.push(focused.data.data.giftArray);
-                formconstruction += `<div class="form-group flexrow">
-                 <label class="normal-label">${focused.data.name}: ${reformDiceString(focused.data.data.giftArray, true)}</label>
-	             <input type="checkbox" id="${makeStatCompareReady(focused.data.name)}" name="${makeStatCompareReady(focused.data.name)}" checked></input>
-                </div>`+ "\n";
-            }
-        }
-
-        this.popupSelectRolled(prechecked, tnyes, tnnum, extradice, formconstruction + otherinputs, nullCheckConcat(constructionkeys, otherkeys), nullCheckConcat(constructionarray, otherdice), otherlabel, successfunc);
+        return this.popupSelectRolled(prechecked, tnyes, tnnum, extradice, formconstruction + otherinputs, nullCheckConcat(constructionkeys, otherkeys), nullCheckConcat(constructionarray, otherdice), otherlabel, successfunc, cancelfunc);
     }
 
     popupAttackRoll(prechecked = [], tnyes = false, tnnum = 3, extradice = "", otherinputs = "", otherkeys = [], otherdice = [], otherlabel = "", successfunc = null) {
@@ -822,21 +1131,21 @@ export class urbanjungleActor extends Actor {
         let constructionkeys = [];
         let constructionarray = [];
 
-        // Strength die
-        if (checkForPrechecked(prechecked, ["meleecombat", "brawling", "throwing"])) {
-            let strength = findInItems(this.items, "strength", "gift");
-            if (strength) {
-                let superstrength = findInItems(this.items, "improvedstrength", "gift");
-                strength = superstrength ? superstrength : strength;
-            }
-            if (strength) {
-                constructionkeys.push(strength.data.name);
-                constructionarray.push(strength.data.data.giftArray);
-                formconstruction += `<div class="form-group flexrow">
-                 <label class="normal-label">${strength.data.name}: ${reformDiceString(strength.data.data.giftArray, true)}</label>
-	             <input type="checkbox" id="${makeStatCompareReady(strength.data.name)}" name="${makeStatCompareReady(strength.data.name)}" checked></input>
+        // Gift bonuses, eg. Strength
+        const giftbonus = this._getGiftRollBonuses(["attack"], prechecked);
+        formconstruction += giftbonus.formconstruction;
+        constructionkeys = constructionkeys.concat(giftbonus.constructionkeys);
+        constructionarray = constructionarray.concat(giftbonus.constructionarray);
+
+        // Mook squad size bonus
+        const squadbonus = getSquadAttackBonus(this);
+        if (squadbonus) {
+            constructionkeys.push(squadbonus.label);
+            constructionarray.push(squadbonus.dice);
+            formconstruction += `<div class="form-group flexrow">
+                 <label class="normal-label">${squadbonus.label}: ${reformDiceString(squadbonus.dice, true)}</label>
+	             <input type="checkbox" id="${makeStatCompareReady(squadbonus.label)}" name="${makeStatCompareReady(squadbonus.label)}" checked></input>
                 </div>`+ "\n";
-            }
         }
 
         this.popupSelectRolled(prechecked, tnyes, tnnum, extradice, formconstruction + otherinputs, nullCheckConcat(constructionkeys, otherkeys), nullCheckConcat(constructionarray, otherdice), otherlabel, successfunc);
@@ -848,15 +1157,16 @@ export class urbanjungleActor extends Actor {
         let constructionkeys = [];
         let constructionarray = [];
 
-        // Guarding bonus
-        if (hasConditionsIronclaw("guarding", this)) {
-            let veteran = findInItems(this.items, "veteran", "gift");
-            let guardbonus = [0, 0, 1, 0, 0];
-            let guardlabel = "Guarding";
-            if (veteran) {
-                guardbonus = veteran.data.data.giftArray;
-                guardlabel = "Veteran guarding";
-            }
+        // Gift bonuses, eg. Focused Fighter
+        const giftbonus = this._getGiftRollBonuses(["counter"], prechecked);
+        formconstruction += giftbonus.formconstruction;
+        constructionkeys = constructionkeys.concat(giftbonus.constructionkeys);
+        constructionarray = constructionarray.concat(giftbonus.constructionarray);
+
+        // Guarding bonus, unless a gift replaces it
+        if (hasConditionsIronclaw("guarding", this) && !giftbonus.overridden.has("guarding")) {
+            const guardbonus = standardDicePool(0, 0, 1, 0, 0);
+            const guardlabel = game.i18n.localize("urbanjungle.dialog.dicePool.guarding");
 
             constructionkeys.push(guardlabel);
             constructionarray.push(guardbonus);
@@ -866,22 +1176,25 @@ export class urbanjungleActor extends Actor {
                 </div>`+ "\n";
         }
 
-        // Focused Fighter bonus
-        if (hasConditionsIronclaw("focused", this)) {
-            let focused = findInItems(this.items, "focusedfighter", "gift");
-            if (focused) {
-                constructionkeys.push(focused.data.name);
-                constructionarray.push(focused.data.data.giftArray);
-                formconstruction += `<div class="form-group flexrow">
-                 <label class="normal-label">${focused.data.name}: ${reformDiceString(focused.data.data.giftArray, true)}</label>
-	             <input type="checkbox" id="${makeStatCompareReady(focused.data.name)}" name="${makeStatCompareReady(focused.data.name)}" checked></input>
-                </div>`+ "\n";
-            }
-        }
-
         this.popupSelectRolled(prechecked, tnyes, tnnum, extradice, formconstruction + otherinputs, nullCheckConcat(constructionkeys, otherkeys), nullCheckConcat(constructionarray, otherdice), otherlabel, successfunc);
     }
 
+    /**
+     * Popup the Will roll to recover from being Afraid, a success removes the condition
+     * @returns {Promise<Object | null>} Promise of plain data about whether the actor recovered, or null if the popup was cancelled
+     */
+    popupAfraidRecovery() {
+        return new Promise((resolve) => {
+            this.popupSelectRolled(["will"], true, 3, "", "", [], [], game.i18n.localize("urbanjungle.combat.afraidRecovery"), async x => {
+                const recovered = x?.tnData?.successes > 0;
+                if (recovered) {
+                    await this.deleteEffect("afraid");
+                }
+                resolve({ "recovered": recovered });
+            }, () => resolve(null));
+        });
+    }
+
     /* -------------------------------------------- */
     /*  Actual Popup Functions                      */
     /* -------------------------------------------- */
@@ -890,17 +1203,9 @@ export class urbanjungleActor extends Actor {
     popupDamage(readydamage = "", readysoak = "") {
         let confirmed = false;
         let speaker = getMacroSpeaker(this);
-        let addeddamage = 0;
-        let addedconditions = "";
-
-        if (hasConditionsIronclaw("hurt", this)) {
-            addeddamage++;
-            addedconditions = game.i18n.localize(CommonConditionInfo.getConditionLabel("hurt"));
-        }
-        if (hasConditionsIronclaw("injured", this)) {
-            addeddamage++;
-            addedconditions += (addedconditions ? ", " : "") + game.i18n.localize(CommonConditionInfo.getConditionLabel("injured"));
-        }
+        const conditiondamage = this._getConditionDamage();
+        const addeddamage = conditiondamage.damage;
+        const addedconditions = conditiondamage.label;
         const confirmSend = game.settings.get("urbanjungle", "defaultSendDamage");
 
         let dlog = new Dialog({
@@ -919,7 +1224,6 @@ export class urbanjungleActor extends Actor {
       <div class="form-group">
        <span class="normal-label" title="${addeddamage ? game.i18n.format("urbanjungle.dialog.damageCalc.conditionDamageAdded", { "conditions": addedconditions }) : game.i18n.localize("urbanjungle.dialog.damageCalc.conditionDamageNothing")}">
         ${game.i18n.localize("urbanjungle.dialog.damageCalc.conditionDamage")}: ${addeddamage}</span>
-       <input type="checkbox" id="added" name="added" value="1" checked></input>
       </div>
       <div class="form-group">
        <label>${game.i18n.localize("urbanjungle.dialog.damageCalc.knockoutStrike")}</label>
@@ -949,14 +1253,12 @@ export class urbanjungleActor extends Actor {
             },
             default: "one",
             render: html => { document.getElementById("damage").focus(); },
-            close: html => {
+            close: async html => {
                 if (confirmed) {
                     let DAMAGE = html.find('[name=damage]')[0].value;
                     let damage = 0; if (DAMAGE.length > 0) damage = parseInt(DAMAGE);
                     let SOAK = html.find('[name=soak]')[0].value;
                     let soak = 0; if (SOAK.length > 0) soak = parseInt(SOAK);
-                    let ADDED = html.find('[name=added]')[0];
-                    let added = ADDED.checked;
                     let KNOCKOUT = html.find('[name=knockout]')[0];
                     let knockout = KNOCKOUT.checked;
                     let ALLOW = html.find('[name=nonlethal]')[0];
@@ -964,17 +1266,7 @@ export class urbanjungleActor extends Actor {
                     let SEND = html.find('[name=send]')[0];
                     let send = SEND.checked;
 
-                    let statuses = this.applyDamage(damage + (added ? addeddamage : 0) - soak, knockout, allow);
-
-                    if (send) {
-                        const reportedStatus = statuses[statuses.length - 1];
-                        let chatData = {
-                            "content": game.i18n.format("urbanjungle.dialog.damageCalc.chatMessage", { "name": speaker.alias, "condition": game.i18n.localize(CommonConditionInfo.getConditionLabel(reportedStatus)) }),
-                            "speaker": speaker
-                        };
-                        ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
-                        CONFIG.ChatMessage.documentClass.create(chatData);
-                    }
+                    await this.applyDamage(damage - soak, knockout, allow, send);
                 }
             }
         });
@@ -996,6 +1288,20 @@ export class urbanjungleActor extends Actor {
 	  <div class="form-group">
 	   <input id="cond" name="cond" value="${readyname}" onfocus="this.select();"></input>
       </div>
+      <div class="form-group">
+       <label>${game.i18n.localize("urbanjungle.dialog.addCondition.rounds")}:</label>
+	   <input id="rounds" name="rounds" value="" placeholder="0" onfocus="this.select();"></input>
+       <label>${game.i18n.localize("urbanjungle.dialog.addCondition.turns")}:</label>
+	   <input id="turns" name="turns" value="" placeholder="0" onfocus="this.select();"></input>
+      </div>
+      <div class="form-group">
+       <label>${game.i18n.localize("urbanjungle.dialog.addCondition.expiry")}:</label>
+       <select id="expiry" name="expiry">
+        <option value="">${game.i18n.localize("urbanjungle.dialog.addCondition.expiryNone")}</option>
+        <option value="startOfTurn">${game.i18n.localize("urbanjungle.effect.duration.untilStartOfTurn")}</option>
+        <option value="endOfTurn">${game.i18n.localize("urbanjungle.effect.duration.untilEndOfTurn")}</option>
+       </select>
+      </div>
      </form>
      `,
             buttons: {
@@ -1015,7 +1321,13 @@ export class urbanjungleActor extends Actor {
             close: html => {
                 if (confirmed) {
                     let COND = html.find('[name=cond]')[0].value;
-                    if (COND.length > 0) this.addEffect(makeStatCompareReady(COND));
+                    let ROUNDSTRING = html.find('[name=rounds]')[0].value;
+                    let ROUNDS = 0; if (ROUNDSTRING.length > 0) ROUNDS = parseInt(ROUNDSTRING) || 0;
+                    let TURNSTRING = html.find('[name=turns]')[0].value;
+                    let TURNS = 0; if (TURNSTRING.length > 0) TURNS = parseInt(TURNSTRING) || 0;
+                    let EXPIRY = html.find('[name=expiry]')[0].value;
+                    const duration = (ROUNDS > 0 || TURNS > 0 || EXPIRY ? { "rounds": ROUNDS, "turns": TURNS, "expiry": EXPIRY } : null);
+                    if (COND.length > 0) this.addEffect(makeStatCompareReady(COND), duration);
                 }
             }
         });
@@ -1036,8 +1348,10 @@ export class urbanjungleActor extends Actor {
      * @param {[number[]]} otherdice An array of dice arrays, the items should match exactly with their counterparts at otherkeys
      * @param {string} otherlabel Text to postpend to the label
      * @param successfunc Callback to execute after going through with the macro, will not execute if cancelled out
+     * @param cancelfunc Callback to execute if the popup is cancelled out instead
+     * @returns {Dialog | null} The opened popup, or null if the actor has nothing to roll
      */
-    popupSelectRolled(prechecked = [], tnyes = false, tnnum = 3, extradice = "", otherinputs = "", otherkeys = [], otherdice = [], otherlabel = "", successfunc = null) {
+    popupSelectRolled(prechecked = [], tnyes = false, tnnum = 3, extradice = "", otherinputs = "", otherkeys = [], otherdice = [], otherlabel = "", successfunc = null, cancelfunc = null) {
         const data = this.data.data;
         let formconstruction = ``;
         let firstelement = "";
@@ -1106,7 +1420,7 @@ export class urbanjungleActor extends Actor {
                 let lowerkey = makeStatCompareReady(key);
                 if (firstelement == "")
                     firstelement = lowerkey;
-                let usedname = (burdenedLimitedStat(lowerkey) ? String.fromCodePoint([9949]) : "") + " " + convertCamelCase(key) + ": " + reformDiceString(skill.diceArray);
+                let usedname = (burdenedLimitedStat(lowerkey) ? String.fromCodePoint([9949]) : "") + " " + getSkillLabel(key) + ": " + reformDiceString(skill.diceArray);
                 formconstruction += `<div class="form-group flex-group-center flex-tight">
        <label class="${usedname.length > 26 ? "tiny-label" : (usedname.length > 18 ? "small-label" : "normal-label")}">${usedname}</label>
 	   <input type="checkbox" id="${lowerkey}" name="skill" value="${lowerkey}" ${prechecked.includes(lowerkey) ? "checked" : ""}></input>
@@ -1144,6 +1458,12 @@ export class urbanjungleActor extends Actor {
        <input type="checkbox" id="iflimit" name="iflimit" value="1"></input>
 	   <input id="limit" name="limit" value="" placeholder="${game.i18n.localize("urbanjungle.dialog.dicePool.limitAllPlaceholder")}" onfocus="this.select();"></input>
      </div>
+     <div class="form-group dice-odds">
+       <span class="small-text">${game.i18n.localize("urbanjungle.dialog.dicePool.oddsSuccess")}: <strong class="odds-success">-</strong></span>
+       <span class="small-text">${game.i18n.localize("urbanjungle.dialog.dicePool.oddsTie")}: <strong class="odds-tie">-</strong></span>
+       <span class="small-text">${game.i18n.localize("urbanjungle.dialog.dicePool.oddsBotch")}: <strong class="odds-botch">-</strong></span>
+       <span class="small-text">${game.i18n.localize("urbanjungle.dialog.dicePool.oddsExpected")}: <strong class="odds-expected">-</strong></span>
+     </div>
      </form>
      `,
             buttons: {
@@ -1159,90 +1479,35 @@ export class urbanjungleActor extends Actor {
                 }
             },
             default: "one",
-            render: html => { document.getElementById("iftn").focus(); },
+            render: html => {
+                document.getElementById("iftn").focus();
+                html.find("input").on("change input", () => this._updateDicePoolOdds(html, otherkeys, otherdice, hashtml));
+                this._updateDicePoolOdds(html, otherkeys, otherdice, hashtml);
+            },
             close: async html => {
                 if (confirmed) {
-                    let traitchecks = html.find('input:checkbox[name=trait]:checked');
-                    let skillchecks = html.find('input:checkbox[name=skill]:checked');
-                    let traitvalues = [];
-                    let skillvalues = [];
-                    let totaldice = [0, 0, 0, 0, 0];
-
-                    for (let i = 0; i < traitchecks.length; ++i) {
-                        traitvalues.push(traitchecks[i].value);
-                    }
-                    for (let i = 0; i < skillchecks.length; ++i) {
-                        skillvalues.push(skillchecks[i].value);
-                    }
-
-                    let IFBURDENED = html.find('[name=burdened]');
-                    let isburdened = IFBURDENED.length > 0 ? IFBURDENED[0].checked : false;
-
-                    let IFLIMIT = html.find('[name=iflimit]')[0];
-                    let uselimit = IFLIMIT.checked;
-                    let LIMIT = html.find('[name=limit]')[0].value;
-                    let limit = 0;
-                    let limitparsed = parseSingleDiceString(LIMIT.trim()); // Check if the limit field is a die, in which case, parse what value it's meant to limit to
-                    if (Array.isArray(limitparsed)) limit = checkDiceArrayIndex(limitparsed[1]);
-                    else if (LIMIT.length > 0) limit = parseInt(LIMIT);
-
-                    let IFTNSS = html.find('[name=iftn]')[0];
-                    let IFTN = IFTNSS.checked;
-                    let TNSS = html.find('[name=tn]')[0].value;
-                    let TN = 0; if (TNSS.length > 0) TN = parseInt(TNSS);
-                    let DICES = html.find('[name=dices]')[0].value;
-                    let DICE = findTotalDice(DICES);
-
-                    let labelgiven = false;
-                    let label = "";
-                    if (IFTN)
-                        label = game.i18n.localize("urbanjungle.chat.rollingTN") + ": ";
-                    else
-                        label = game.i18n.localize("urbanjungle.chat.rollingHighest") + ": ";
-
-                    if (hastraits || hasskills) {
-                        let statfoobar = this._getDicePools(traitvalues, skillvalues, isburdened, labelgiven);
-                        totaldice = statfoobar.totalDice;
-                        label += statfoobar.label;
-                        labelgiven = statfoobar.labelGiven;
-                    }
-                    if (Array.isArray(otherdice) && Array.isArray(otherkeys) && otherdice.length > 0 && otherdice.length == otherkeys.length) {
-                        for (let i = 0; i < otherdice.length; i++) {
-                            let OTHER = html.find(`[name=${makeStatCompareReady(otherkeys[i])}]`);
-                            let otherchecked = (hashtml && OTHER.length > 0 ? OTHER[0].checked : true);
-                            if (otherchecked) {
-                                if (labelgiven)
-                                    label += " + ";
-                                totaldice = addArrays(totaldice, otherdice[i]);
-                                label += otherkeys[i];
-                                labelgiven = true;
-                            }
-                        }
-                    }
-                    if (DICE.some(element => element != 0)) {
-                        label += " + extra";
-                        totaldice = addArrays(totaldice, DICE);
-                    }
-                    label += ".";
-                    if (typeof (otherlabel) === 'string' && otherlabel.length > 0)
-                        label += `<p style="color:black">${otherlabel}</p>`;
-
-                    if (uselimit) {
-                        totaldice = enforceLimit(totaldice, limit);
-                    }
+                    const pool = this._readDicePoolForm(html, otherkeys, otherdice, otherlabel, hashtml);
+                    const totaldice = pool.totalDice;
+                    const label = pool.label;
+                    const IFTN = pool.useTN;
+                    const TN = pool.tn;
 
                     let rollreturn;
                     if (IFTN)
-                        rollreturn = await rollTargetNumber(TN, totaldice[0], totaldice[1], totaldice[2], totaldice[3], totaldice[4], label, this);
+                        rollreturn = await rollTargetNumber(TN, totaldice, label, this);
                     else
-                        rollreturn = await rollHighest(totaldice[0], totaldice[1], totaldice[2], totaldice[3], totaldice[4], label, this);
+                        rollreturn = await rollHighest(totaldice, label, this);
 
                     if (successfunc && typeof (successfunc) == "function") {
                         successfunc(rollreturn);
                     }
                 }
+                else if (cancelfunc && typeof (cancelfunc) == "function") {
+                    cancelfunc();
+                }
             }
         }, { width: 600 });
         dlog.render(true);
+        return dlog;
     }
 }
\ No newline at end of file
@@ -0,0 +1,344 @@
+import { parseSingleDiceString } from "./helpers.js";
+import { reformDiceString } from "./helpers.js";
+import { convertCamelCase } from "./helpers.js";
+import { getSkillLabel } from "./helpers.js";
+import { getMacroSpeaker } from "./helpers.js";
+
+import { marksDicePool } from "./dicepool.js";
+
+/* -------------------------------------------- */
+/*  Character Advancement                       */
+/* -------------------------------------------- */
+
+/**
+ * Common info about spending experience
+ * Every purchase is written into the actor's "urbanjungle.advancementLog" flag, so that the GM can see where the experience went and undo any purchase
+ */
+export class CommonAdvancementInfo {
+    /**
+     * The kinds of advancement, and the world setting holding the cost of each
+     */
+    static costSettings = Object.freeze({ "mark": "advanceCostMark", "trait": "advanceCostTrait", "gift": "advanceCostGift", "career": "advanceCostCareer" });
+    /**
+     * The traits that can be stepped up with experience
+     */
+    static traits = Object.freeze(["body", "speed", "mind", "will", "species", "career"]);
+    /**
+     * The largest die a trait can be stepped up to
+     */
+    static maxTraitDie = 12;
+
+    /**
+     * Get the experience cost of an advancement
+     * @param {string} type The kind of advancement, a key of costSettings
+     * @returns {number} The cost
+     */
+    static getCost(type) {
+        return game.settings.get("urbanjungle", this.costSettings[type]);
+    }
+}
+
+/**
+ * Get the advancement log of an actor, newest entry first
+ * @param {Actor} actor The actor to check
+ * @returns {Object[]} The log entries
+ */
+export function getAdvancementLog(actor) {
+    const log = actor?.getFlag("urbanjungle", "advancementLog");
+    return (Array.isArray(log) ? [...log] : []).sort((a, b) => b.time - a.time);
+}
+
+/**
+ * Get the die a trait steps up to next
+ * @param {string} dice The current dice of the trait, eg. "d8"
+ * @returns {string | null} The next die, or null if the trait is already at the max or is not a single die
+ */
+export function getNextTraitDie(dice) {
+    const parsed = parseSingleDiceString((dice || "").trim());
+    if (!parsed || parsed[0] !== 1 || parsed[1] >= CommonAdvancementInfo.maxTraitDie) return null;
+    return "d" + (parsed[1] + 2);
+}
+
+/**
+ * Spend experience on an advancement, check that the actor has enough of it and write the purchase into the advancement log
+ * Gifts and careers are paid for before the item is created, and refunded if the item could not be created
+ * @param {Actor} actor The actor advancing
+ * @param {string} type The kind of advancement: "mark", "trait", "gift" or "career"
+ * @param {string} key The skill or trait to advance, or for gifts and careers, the id of the world item to copy, empty for a blank item
+ * @param {string} name For blank gifts and careers, the name of the new item
+ * @returns {Promise<Object | null>} Promise of the new log entry, or null if the advancement was not possible
+ */
+export async function spendExperience(actor, type, key, name = "") {
+    const data = actor.data.data;
+    const cost = CommonAdvancementInfo.getCost(type);
+    if (cost > data.experience) {
+        ui.notifications.warn(game.i18n.format("urbanjungle.ui.notEnoughExperience", { "name": actor.name, "cost": cost, "experience": data.experience }));
+        return null;
+    }
+
+    let entry = { "id": randomID(), "type": type, "key": key, "cost": cost, "time": Date.now(), "user": game.user.name, "undone": false };
+    let update = { "data.experience": data.experience - cost };
+    let itemdata = null;
+    switch (type) {
+        case "mark": {
+            const skill = data.skills[key];
+            if (!skill) return null;
+            entry.label = getSkillLabel(key);
+            entry.before = skill.marks;
+            entry.after = skill.marks + 1;
+            update[`data.skills.${key}.marks`] = entry.after;
+            break;
+        }
+        case "trait": {
+            const trait = data.traits[key];
+            const next = getNextTraitDie(trait?.dice);
+            if (!next) {
+                ui.notifications.warn(game.i18n.format("urbanjungle.ui.traitCannotAdvance", { "trait": convertCamelCase(key) }));
+                return null;
+            }
+            entry.label = convertCamelCase(key);
+            entry.before = trait.dice;
+            entry.after = next;
+            update[`data.traits.${key}.dice`] = next;
+            break;
+        }
+        case "gift":
+        case "career": {
+            const itemtype = (type === "gift" ? "gift" : "extraCareer");
+            const source = (key ? game.items.get(key) : null);
+            itemdata = (source ? source.toObject() : { "name": name || game.i18n.localize(type === "gift" ? "urbanjungle.advancement.newGift" : "urbanjungle.advancement.newCareer"), "type": itemtype });
+            if (itemdata.type !== itemtype) return null;
+            itemdata._id = randomID(); // The id is picked here so that the log entry can point to the item before it exists
+            entry.label = itemdata.name;
+            entry.itemId = itemdata._id;
+            break;
+        }
+        default:
+            console.warn("spendExperience got an unknown advancement type: " + type);
+            return null;
+    }
+
+    update["flags.urbanjungle.advancementLog"] = [...getAdvancementLog(actor), entry];
+    await actor.update(update);
+    if (itemdata) {
+        let created = null;
+        try {
+            created = await actor.createEmbeddedDocuments("Item", [itemdata], { "keepId": true });
+        } catch (err) {
+            console.error(err);
+        }
+        if (!created?.length) { // Refund the purchase, with the experience as it is now
+            await actor.update({ "data.experience": actor.data.data.experience + cost, "flags.urbanjungle.advancementLog": getAdvancementLog(actor).filter(x => x.id !== entry.id) });
+            ui.notifications.warn(game.i18n.format("urbanjungle.ui.advancementFailed", { "advance": describeAdvancement(entry) }));
+            return null;
+        }
+    }
+    await advancementToChat(actor, game.i18n.format("urbanjungle.advancement.bought", { "name": actor.name, "advance": describeAdvancement(entry), "cost": cost }));
+    return entry;
+}
+
+/**
+ * Undo a logged advancement, refunding its experience
+ * Only works if the advanced stat is still at what the advancement left it at, or the bought item still exists, so that later changes are not silently overwritten
+ * The entry stays in the log, marked as undone
+ * @param {Actor} actor The actor to undo the advancement of
+ * @param {string} entryid The id of the log entry
+ * @returns {Promise<boolean>} Promise of whether the advancement was undone
+ */
+export async function undoAdvancement(actor, entryid) {
+    const data = actor.data.data;
+    let log = getAdvancementLog(actor);
+    const entry = log.find(x => x.id === entryid);
+    if (!entry || entry.undone) return false;
+
+    let update = { "data.experience": data.experience + entry.cost };
+    let unchanged = true;
+    switch (entry.type) {
+        case "mark":
+            unchanged = data.skills[entry.key]?.marks === entry.after;
+            update[`data.skills.${entry.key}.marks`] = entry.before;
+            break;
+        case "trait":
+            unchanged = data.traits[entry.key]?.dice === entry.after;
+            update[`data.traits.${entry.key}.dice`] = entry.before;
+            break;
+        case "gift":
+        case "career":
+            unchanged = actor.items.has(entry.itemId);
+            break;
+    }
+    if (!unchanged) {
+        ui.notifications.warn(game.i18n.format("urbanjungle.ui.advancementChanged", { "advance": describeAdvancement(entry) }));
+        return false;
+    }
+
+    if (entry.itemId) {
+        await actor.deleteEmbeddedDocuments("Item", [entry.itemId]);
+    }
+    entry.undone = true;
+    entry.undoneBy = game.user.name;
+    update["flags.urbanjungle.advancementLog"] = log;
+    await actor.update(update);
+    await advancementToChat(actor, game.i18n.format("urbanjungle.advancement.undone", { "name": actor.name, "advance": describeAdvancement(entry), "cost": entry.cost }));
+    return true;
+}
+
+/**
+ * Window for spending an actor's experience and reviewing the advancement log
+ */
+export class AdvancementDialog extends Application {
+    /**
+     * @param {Actor} actor The actor advancing
+     * @param {Object} options Application options
+     */
+    constructor(actor, options = {}) {
+        super(options);
+        this.actor = actor;
+        this.purchasing = false;
+    }
+
+    /** @override */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            template: "systems/urbanjungle/templates/popup/advancement.html",
+            classes: ["urbanjungle"],
+            width: 520,
+            height: "auto",
+            resizable: true
+        });
+    }
+
+    /** @override */
+    get id() {
+        return "advancement-" + this.actor.id;
+    }
+
+    /** @override */
+    get title() {
+        return game.i18n.format("urbanjungle.advancement.title", { "name": this.actor.name });
+    }
+
+    /** @override */
+    getData(options) {
+        const data = this.actor.data.data;
+        const costs = Object.fromEntries(Object.keys(CommonAdvancementInfo.costSettings).map(x => [x, CommonAdvancementInfo.getCost(x)]));
+        return {
+            "experience": data.experience,
+            "costs": costs,
+            "skills": Object.entries(data.skills).map(([key, skill]) => ({
+                "key": key, "label": getSkillLabel(key), "marks": skill.marks,
+                "current": reformDiceString(marksDicePool(skill.marks), true), "next": reformDiceString(marksDicePool(skill.marks + 1), true),
+                "affordable": costs.mark <= data.experience
+            })),
+            "traits": CommonAdvancementInfo.traits.map(key => {
+                const next = getNextTraitDie(data.traits[key]?.dice);
+                return { "key": key, "label": convertCamelCase(key), "current": data.traits[key]?.dice, "next": next, "affordable": !!next && costs.trait <= data.experience };
+            }),
+            "gifts": game.items.filter(x => x.type === "gift").map(x => ({ "id": x.id, "name": x.name })),
+            "careers": game.items.filter(x => x.type === "extraCareer").map(x => ({ "id": x.id, "name": x.name })),
+            "canBuyGift": costs.gift <= data.experience,
+            "canBuyCareer": costs.career <= data.experience,
+            "log": getAdvancementLog(this.actor).map(x => ({ ...x, "text": describeAdvancement(x), "date": new Date(x.time).toLocaleString() }))
+        };
+    }
+
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.advance-buy').click(this._onBuy.bind(this));
+        html.find('.advance-buy-item').click(this._onBuyItem.bind(this));
+        html.find('.advance-undo').click(this._onUndo.bind(this));
+    }
+
+    /**
+     * Handle buying a skill mark or trait step
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onBuy(event) {
+        event.preventDefault();
+        const dataset = event.currentTarget.dataset;
+        await this._runPurchase(() => spendExperience(this.actor, dataset.type, dataset.key));
+    }
+
+    /**
+     * Handle buying a gift or an extra career, either a copy of the selected world item or a blank one with the given name
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onBuyItem(event) {
+        event.preventDefault();
+        const type = event.currentTarget.dataset.type;
+        const row = $(event.currentTarget).parents(".advance-item-row");
+        const source = row.find('[name=source]')[0]?.value || "";
+        const name = row.find('[name=newname]')[0]?.value || "";
+        await this._runPurchase(() => spendExperience(this.actor, type, source, name));
+    }
+
+    /**
+     * Handle undoing a logged advancement
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onUndo(event) {
+        event.preventDefault();
+        const entryid = event.currentTarget.dataset.id;
+        await this._runPurchase(() => undoAdvancement(this.actor, entryid));
+    }
+
+    /**
+     * Run a purchase or an undo with the buttons of the window disabled, ignoring any other clicks until it is done
+     * @param {Function} func Function returning a Promise of the purchase
+     * @private
+     */
+    async _runPurchase(func) {
+        if (this.purchasing) return;
+        this.purchasing = true;
+        this.element.find('.advance-buy, .advance-buy-item, .advance-undo').addClass("disabled").prop("disabled", true);
+        try {
+            await func();
+        } finally {
+            this.purchasing = false;
+            this.render(false);
+        }
+    }
+}
+
+/* -------------------------------------------- */
+/*  Advancement Helpers                         */
+/* -------------------------------------------- */
+
+/**
+ * Describe an advancement log entry in a short line
+ * @param {Object} entry The log entry
+ * @returns {string}
+ */
+function describeAdvancement(entry) {
+    switch (entry.type) {
+        case "mark":
+            return game.i18n.format("urbanjungle.advancement.describeMark", { "skill": entry.label, "before": entry.before, "after": entry.after });
+        case "trait":
+            return game.i18n.format("urbanjungle.advancement.describeTrait", { "trait": entry.label, "before": entry.before, "after": entry.after });
+        case "gift":
+            return game.i18n.format("urbanjungle.advancement.describeGift", { "gift": entry.label });
+        case "career":
+            return game.i18n.format("urbanjungle.advancement.describeCareer", { "career": entry.label });
+        default:
+            return entry.label || "";
+    }
+}
+
+/**
+ * Post a short note about an advancement to chat
+ * @param {Actor} actor The actor advancing
+ * @param {string} text The text to post
+ */
+async function advancementToChat(actor, text) {
+    let chatData = {
+        "content": `<div class="urbanjungle"><div class="chat-item"><span>${text}</span></div></div>`,
+        "speaker": getMacroSpeaker(actor)
+    };
+    ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+    CONFIG.ChatMessage.documentClass.create(chatData);
+}
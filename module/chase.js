@@ -0,0 +1,373 @@
+import { getTokenActor } from "./helpers.js";
+import { CommonSystemInfo } from "./helpers.js";
+import { getSkillLabel } from "./helpers.js";
+
+import { sendSocketRequest } from "./sockets.js";
+import { findActorRollingUser } from "./sockets.js";
+
+/* -------------------------------------------- */
+/*  Chases                                      */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   tokenId: string,
+ *   actorId: string,
+ *   sceneId: string,
+ *   role: string,
+ *   distance: number,
+ *   status: string,
+ *   skill: string
+ * }} ChaseParticipant
+ */
+
+/**
+ * Common info about chases
+ */
+export class CommonChaseInfo {
+    /**
+     * The abstract range bands between a pursuer and the quarry, from caught to escaped
+     */
+    static rangeBands = Object.freeze(["caught", "close", "near", "far", "distant", "escaped"]);
+    /**
+     * The range band pursuers start at
+     */
+    static startingBand = 2;
+    /**
+     * The skills a participant on foot can run or drive with, the first one is the default
+     */
+    static rollSkills = Object.freeze(["athletics", "transport"]);
+}
+
+/**
+ * Whether this client is in the middle of rolling a chase round, the world setting alone cannot tell if the round was cut short by a reload
+ */
+let chaseRoundInProgress = false;
+
+/**
+ * Socket handler for a chase roll, opens the dice pool popup for the participant with the skill picked in the tracker and returns the highest die rolled
+ * Vehicles roll through their driver's Transport and the vehicle's handling
+ * @param {Object} payload The token and actor of the participant, the skill to roll, and the label of the roll
+ * @returns {Promise<Object | null>} Promise of plain data about the roll, or null if it was cancelled
+ */
+export function answerChaseRoll(payload) {
+    const actor = getTokenActor(payload.tokenId, payload.actorId, payload.sceneId);
+    if (!actor) return null;
+
+    return new Promise((resolve) => {
+        const callback = x => resolve(x ? { "highest": x.highest } : null);
+        if (actor.data.type === "vehicle") {
+            if (!actor.popupVehicleRoll(callback, () => resolve(null))) resolve(null);
+        }
+        else {
+            actor.popupSelectRolled([payload.skill || CommonChaseInfo.rollSkills[0]], false, 3, "", "", [], [], payload.label, callback, () => resolve(null));
+        }
+    });
+}
+
+/* -------------------------------------------- */
+/*  Chase Tracker                               */
+/* -------------------------------------------- */
+
+/**
+ * Window for the GM to run a chase between a quarry and its pursuers, tracking the range band of each pursuer
+ * Each round, every participant rolls through their owner's dice pool popup, pursuers who beat the quarry's highest die gain a band, those who fall short lose one
+ * The state of the chase is kept in a world setting, so it survives reloads
+ * @extends {Application}
+ */
+export class ChaseTracker extends Application {
+    /** @override */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "chase-tracker",
+            template: "systems/urbanjungle/templates/popup/chase-tracker.html",
+            title: game.i18n.localize("urbanjungle.chase.title"),
+            classes: ["urbanjungle"],
+            width: 460,
+            height: "auto",
+            resizable: true
+        });
+    }
+
+    /**
+     * The current state of the chase
+     * @returns {{round: number, obstacle: number, rolling: string | boolean, participants: ChaseParticipant[]}}
+     */
+    get chase() {
+        return mergeObject({ "round": 0, "obstacle": 0, "rolling": false, "participants": [] }, game.settings.get("urbanjungle", "chaseState") || {}, { inplace: false });
+    }
+
+    /**
+     * Save the state of the chase and refresh the window
+     * @param {Object} chase The new state
+     */
+    async saveChase(chase) {
+        await game.settings.set("urbanjungle", "chaseState", chase);
+        this.render(false);
+    }
+
+    /** @override */
+    getData(options) {
+        const chase = this.chase;
+        const bandlabel = x => game.i18n.localize("urbanjungle.chase.bands." + CommonChaseInfo.rangeBands[x]);
+        const participant = x => ({ ...x, "skill": x.skill || CommonChaseInfo.rollSkills[0], "onFoot": getTokenActor(x.tokenId, x.actorId, x.sceneId)?.data.type !== "vehicle" });
+        return {
+            "round": chase.round,
+            "obstacle": chase.obstacle,
+            "rolling": isChaseRolling(chase),
+            "quarry": chase.participants.filter(x => x.role === "quarry").map(x => participant(x)),
+            "pursuers": chase.participants.filter(x => x.role === "pursuer").map(x => ({ ...participant(x), "bandLabel": bandlabel(x.distance) })),
+            "bands": CommonChaseInfo.rangeBands.map((x, i) => ({ "value": i, "label": bandlabel(i) })),
+            "skills": CommonChaseInfo.rollSkills.map(x => ({ "value": x, "label": getSkillLabel(x) }))
+        };
+    }
+
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.chase-add').click(this._onAddParticipants.bind(this));
+        html.find('.chase-remove').click(this._onRemoveParticipant.bind(this));
+        html.find('.chase-distance').change(this._onDistanceChange.bind(this));
+        html.find('.chase-skill').change(this._onSkillChange.bind(this));
+        html.find('.chase-obstacle').change(this._onObstacleChange.bind(this));
+        html.find('.chase-round').click(this._onRollRound.bind(this));
+        html.find('.chase-end').click(this._onEndChase.bind(this));
+    }
+
+    /**
+     * Add the selected tokens to the chase, as the quarry or as pursuers
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onAddParticipants(event) {
+        event.preventDefault();
+        const role = event.currentTarget.dataset.role;
+        const tokens = canvas.tokens?.controlled.filter(x => x.actor) || [];
+        if (tokens.length == 0) {
+            ui.notifications.warn(game.i18n.localize("urbanjungle.ui.noTokensForChase"));
+            return;
+        }
+
+        let chase = this.chase;
+        for (let token of tokens) {
+            if (chase.participants.some(x => x.tokenId === token.id)) continue;
+            chase.participants.push({
+                "id": randomID(), "name": token.name, "tokenId": token.id, "actorId": token.actor.id, "sceneId": token.scene.id,
+                "role": role, "distance": (role === "pursuer" ? CommonChaseInfo.startingBand : 0), "status": "active", "skill": CommonChaseInfo.rollSkills[0]
+            });
+        }
+        await this.saveChase(chase);
+    }
+
+    /**
+     * Remove a participant from the chase
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onRemoveParticipant(event) {
+        event.preventDefault();
+        let chase = this.chase;
+        chase.participants = chase.participants.filter(x => x.id !== event.currentTarget.dataset.id);
+        await this.saveChase(chase);
+    }
+
+    /**
+     * Set the range band of a pursuer by hand
+     * @param {Event} event   The originating change event
+     * @private
+     */
+    async _onDistanceChange(event) {
+        let chase = this.chase;
+        const pursuer = chase.participants.find(x => x.id === event.currentTarget.dataset.id);
+        if (!pursuer) return;
+        pursuer.distance = parseInt(event.currentTarget.value) || 0;
+        pursuer.status = getPursuerStatus(pursuer.distance);
+        await this.saveChase(chase);
+    }
+
+    /**
+     * Set the skill a participant on foot rolls with
+     * @param {Event} event   The originating change event
+     * @private
+     */
+    async _onSkillChange(event) {
+        let chase = this.chase;
+        const participant = chase.participants.find(x => x.id === event.currentTarget.dataset.id);
+        if (!participant) return;
+        participant.skill = event.currentTarget.value;
+        await this.saveChase(chase);
+    }
+
+    /**
+     * Set the obstacle TN of the next round, zero for no obstacle
+     * @param {Event} event   The originating change event
+     * @private
+     */
+    async _onObstacleChange(event) {
+        let chase = this.chase;
+        chase.obstacle = Math.max(0, parseInt(event.currentTarget.value) || 0);
+        await this.saveChase(chase);
+    }
+
+    /**
+     * Ask every active participant for their chase roll, then resolve the round
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onRollRound(event) {
+        event.preventDefault();
+        let chase = this.chase;
+        const active = chase.participants.filter(x => x.status === "active");
+        if (!active.some(x => x.role === "quarry") || !active.some(x => x.role === "pursuer")) {
+            ui.notifications.warn(game.i18n.localize("urbanjungle.ui.chaseNeedsSides"));
+            return;
+        }
+
+        if (isChaseRolling(chase)) return;
+
+        // The rolling user is stored instead of a plain true, so that a round cut short by a reload does not lock the chase
+        chase.rolling = game.user.id;
+        chaseRoundInProgress = true;
+        await this.saveChase(chase);
+        const label = game.i18n.format("urbanjungle.chase.rollLabel", { "round": chase.round + 1 });
+        const results = new Map();
+        let summary = null;
+        try {
+            // Cancelled rolls and players who do not answer in time come back as null, and just do not count for the round
+            await Promise.all(active.map(async x => {
+                const actor = getTokenActor(x.tokenId, x.actorId, x.sceneId);
+                const user = findActorRollingUser(actor?.data.type === "vehicle" ? (actor.getVehicleDriver() || actor) : actor);
+                if (!user) {
+                    ui.notifications.warn(game.i18n.format("urbanjungle.ui.noUserForTarget", { "name": x.name }));
+                    return;
+                }
+                const answer = await sendSocketRequest(user, "chaseRoll", { "tokenId": x.tokenId, "actorId": x.actorId, "sceneId": x.sceneId, "skill": x.skill || CommonChaseInfo.rollSkills[0], "label": label });
+                if (answer) results.set(x.id, answer.highest);
+            }));
+
+            chase = this.chase;
+            summary = resolveChaseRound(chase, results);
+            chase.round += 1;
+        } finally {
+            chaseRoundInProgress = false;
+            if (!summary) chase = this.chase;
+            chase.rolling = false;
+            await this.saveChase(chase);
+        }
+        await chaseRoundToChat(chase, summary);
+    }
+
+    /**
+     * End the chase and clear its state
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onEndChase(event) {
+        event.preventDefault();
+        await game.settings.set("urbanjungle", "chaseState", {});
+        this.close();
+    }
+}
+
+/* -------------------------------------------- */
+/*  Chase Helpers                               */
+/* -------------------------------------------- */
+
+/**
+ * Check whether a chase round is being rolled right now, by an active user who has not reloaded since starting it
+ * @param {Object} chase The chase state
+ * @returns {boolean}
+ */
+function isChaseRolling(chase) {
+    const user = game.users.get(chase.rolling);
+    if (!user?.active) return false;
+    return (user.id !== game.user.id || chaseRoundInProgress);
+}
+
+/**
+ * Get the status of a pursuer at the given range band
+ * @param {number} distance The range band
+ * @returns {string} "caught" at the first band, "escaped" at the last, "active" otherwise
+ */
+function getPursuerStatus(distance) {
+    if (distance <= 0) return "caught";
+    if (distance >= CommonChaseInfo.rangeBands.length - 1) return "escaped";
+    return "active";
+}
+
+/**
+ * Resolve a round of the chase, moving each pursuer by comparing their roll to the quarry's best
+ * Gaining and losing move a band, a botch or a roll below the obstacle TN loses a band, and a quarry that stumbles lets every pursuer gain one
+ * Participants who did not roll keep their band, and do not count for the others; if no quarry rolled, pursuers only lose ground by stumbling
+ * @param {Object} chase The chase state, modified in place
+ * @param {Map<string, number>} results The highest die of each participant who rolled, by participant id
+ * @returns {Object[]} The summary lines of the round, one for each participant
+ */
+function resolveChaseRound(chase, results) {
+    const stumbled = x => results.has(x.id) && (results.get(x.id) <= 1 || (chase.obstacle > 0 && results.get(x.id) < chase.obstacle));
+    const quarry = chase.participants.filter(x => x.role === "quarry" && x.status === "active");
+    const rolledquarry = quarry.filter(x => results.has(x.id));
+    const quarrybest = Math.max(0, ...rolledquarry.map(x => results.get(x.id)));
+    const quarrystumbled = rolledquarry.length > 0 && rolledquarry.every(x => stumbled(x));
+
+    let summary = quarry.map(x => ({
+        "name": x.name, "highest": results.get(x.id) ?? "-",
+        "text": game.i18n.localize(!results.has(x.id) ? "urbanjungle.chase.didNotRoll" : (stumbled(x) ? "urbanjungle.chase.quarryStumbled" : "urbanjungle.chase.quarryRan")),
+        "color": (stumbled(x) ? CommonSystemInfo.resultColors.botch : CommonSystemInfo.resultColors.normal)
+    }));
+    for (let pursuer of chase.participants.filter(x => x.role === "pursuer" && x.status === "active")) {
+        if (!results.has(pursuer.id)) {
+            summary.push({
+                "name": pursuer.name, "highest": "-", "text": game.i18n.localize("urbanjungle.chase.didNotRoll") + " (" + game.i18n.localize("urbanjungle.chase.bands." + CommonChaseInfo.rangeBands[pursuer.distance]) + ")",
+                "color": CommonSystemInfo.resultColors.normal
+            });
+            continue;
+        }
+
+        const highest = results.get(pursuer.id);
+        let change = 0;
+        if (rolledquarry.length > 0 && highest > quarrybest) change -= 1;
+        else if (rolledquarry.length > 0 && highest < quarrybest) change += 1;
+        if (stumbled(pursuer)) change += 1;
+        if (quarrystumbled) change -= 1;
+
+        pursuer.distance = Math.max(0, Math.min(CommonChaseInfo.rangeBands.length - 1, pursuer.distance + change));
+        pursuer.status = getPursuerStatus(pursuer.distance);
+
+        let text = game.i18n.localize(change < 0 ? "urbanjungle.chase.gaining" : (change > 0 ? "urbanjungle.chase.losing" : "urbanjungle.chase.holding"));
+        if (pursuer.status !== "active") text = game.i18n.localize("urbanjungle.chase." + pursuer.status);
+        summary.push({
+            "name": pursuer.name, "highest": highest, "text": text + " (" + game.i18n.localize("urbanjungle.chase.bands." + CommonChaseInfo.rangeBands[pursuer.distance]) + ")",
+            "color": (change < 0 || pursuer.status === "caught" ? CommonSystemInfo.resultColors.success : (change > 0 ? CommonSystemInfo.resultColors.failure : CommonSystemInfo.resultColors.tie))
+        });
+    }
+
+    // If no pursuer is left in the chase, the quarry escaped
+    if (!chase.participants.some(x => x.role === "pursuer" && x.status !== "escaped")) {
+        summary.push({ "name": "", "highest": "", "text": game.i18n.localize("urbanjungle.chase.quarryEscaped"), "color": CommonSystemInfo.resultColors.botch });
+    }
+    return summary;
+}
+
+/**
+ * Send the results of a chase round to chat
+ * @param {Object} chase The chase state after the round
+ * @param {Object[]} summary The summary lines of the round
+ */
+async function chaseRoundToChat(chase, summary) {
+    const templateData = {
+        "header": game.i18n.format("urbanjungle.chase.roundHeader", { "round": chase.round }),
+        "obstacle": chase.obstacle,
+        "lines": summary
+    };
+
+    let chatData = {
+        content: await renderTemplate("systems/urbanjungle/templates/chat/chase-round.html", templateData),
+        speaker: ChatMessage.getSpeaker({ alias: game.i18n.localize("urbanjungle.chase.title") })
+    };
+    ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+    CONFIG.ChatMessage.documentClass.create(chatData);
+}
@@ -0,0 +1,191 @@
+import { getTokenActor } from "./helpers.js";
+
+import { copyToRollTN } from "./dicerollers.js";
+import { copyToRollHighest } from "./dicerollers.js";
+
+import { sendSocketNotice } from "./sockets.js";
+import { findActorRollingUser } from "./sockets.js";
+
+/* -------------------------------------------- */
+/*  Chat Card Buttons                           */
+/* -------------------------------------------- */
+
+/**
+ * Add the action buttons to a rendered chat message, depending on what flags the message has
+ * Meant to be called from the "renderChatMessage" hook
+ * @param {ChatMessage} message The message being rendered
+ * @param {jQuery} html The rendered HTML of the message
+ */
+export async function addIronclawChatButtons(message, html) {
+    if (!message.isContentVisible) {
+        return;
+    }
+
+    if (message.getFlag("urbanjungle", "groupRoll")) { // Group roll summary rows link back to the individual roll messages
+        html.find(".group-roll-link").click(event => {
+            event.preventDefault();
+            const messageid = event.currentTarget.dataset.messageId;
+            ui.chat.element.find(`.message[data-message-id="${messageid}"]`)[0]?.scrollIntoView({ behavior: "smooth" });
+        });
+    }
+
+    const buttons = getChatButtons(message);
+    if (buttons.length == 0) {
+        return;
+    }
+
+    const buttonbar = $(await renderTemplate("systems/urbanjungle/templates/chat/chat-buttons.html", { "buttons": buttons }));
+    buttonbar.find(".chat-button").click(event => {
+        event.preventDefault();
+        const button = event.currentTarget;
+        button.disabled = true; // Prevent double clicks from rolling twice, the button gets re-enabled when the action finishes
+        Promise.resolve(chatButtonAction(button.dataset.action, message)).finally(() => button.disabled = false);
+    });
+    html.find(".message-content").append(buttonbar);
+}
+
+/**
+ * Get the weapon that a hanging attack message was made with
+ * @param {ChatMessage} message The message with the hanging attack flags
+ * @returns {Item} The weapon, or undefined if it cannot be found
+ */
+export function getHangingWeapon(message) {
+    const weaponid = message.getFlag("urbanjungle", "hangingWeapon");
+    const actorid = message.getFlag("urbanjungle", "hangingActor");
+    const tokenid = message.getFlag("urbanjungle", "hangingToken");
+    const actor = getTokenActor(tokenid, actorid, game.scenes.current?.id);
+    return actor?.items.get(weaponid) || game.items.get(weaponid);
+}
+
+/* -------------------------------------------- */
+/*  Chat Button Helpers                         */
+/* -------------------------------------------- */
+
+/**
+ * Figure out which buttons a message should show to the current user
+ * The conditions mirror the ones used by the chat log context menu
+ * @param {ChatMessage} message The message to check
+ * @returns {Object[]} Array of button data for the template
+ */
+function getChatButtons(message) {
+    const active = game.settings.get("urbanjungle", "calculateAttackEffects");
+    const isroll = message.data.type == CONST.CHAT_MESSAGE_TYPES.ROLL;
+    const canmanage = game.user.isGM || message.isAuthor;
+    const type = message.getFlag("urbanjungle", "hangingAttack");
+    const weaponid = message.getFlag("urbanjungle", "hangingWeapon");
+    let buttons = [];
+
+    if (active && isroll && weaponid) {
+        if (type === "attack") {
+            const successes = message.getFlag("urbanjungle", "attackSuccessCount");
+            const original = message.getFlag("urbanjungle", "originalRoll");
+            if (original && (game.user.isGM || !message.isAuthor)) {
+                buttons.push({ "action": "rollDefense", "label": "urbanjungle.chatButtons.rollDefense", "icon": "fas fa-shield-alt" });
+            }
+            if (canmanage && successes > 0) {
+                buttons.push({ "action": "showAttack", "label": "urbanjungle.chatButtons.showAttack", "icon": "fas fa-fist-raised" });
+            }
+        } else if (type === "counter" && canmanage) {
+            buttons.push({ "action": "resolveCounter", "label": "urbanjungle.chatButtons.resolveCounter", "icon": "fas fa-fist-raised" });
+        } else if (type === "resist" && canmanage) {
+            const successes = message.getFlag("urbanjungle", "resistSuccessCount");
+            if (successes > 0) {
+                buttons.push({ "action": "resolveResist", "label": "urbanjungle.chatButtons.resolveResist", "icon": "fas fa-bolt" });
+                buttons.push({ "action": "resolveAsNormal", "label": "urbanjungle.chatButtons.resolveAsNormal", "icon": "fas fa-fist-raised" });
+            }
+        }
+    }
+
+    if (isroll && canmanage && message.getFlag("urbanjungle", "originalRoll") && message.getFlag("urbanjungle", "hasOne")) {
+        buttons.push({ "action": "rerollOne", "label": "urbanjungle.chatButtons.rerollOne", "icon": "fas fa-redo" });
+    }
+
+    if (active && canmanage && message.getFlag("urbanjungle", "damageCard")) {
+        buttons.push({ "action": "applyDamage", "label": "urbanjungle.chatButtons.applyDamage", "icon": "fas fa-heart-broken" });
+    }
+
+    return buttons;
+}
+
+/**
+ * Execute the action of a clicked chat button
+ * @param {string} action The action the button is for
+ * @param {ChatMessage} message The message the button was on
+ */
+async function chatButtonAction(action, message) {
+    switch (action) {
+        case "rollDefense":
+            await rollDefenseAgainst(message);
+            break;
+        case "showAttack":
+            getHangingWeapon(message)?.resendNormalAttack?.(message);
+            break;
+        case "resolveCounter":
+            await getHangingWeapon(message)?.resolveCounterAttack?.(message);
+            break;
+        case "resolveResist":
+            await getHangingWeapon(message)?.resolveResistedAttack?.(message);
+            break;
+        case "resolveAsNormal":
+            getHangingWeapon(message)?.resolveAsNormalAttack?.(message);
+            break;
+        case "rerollOne":
+            if (message.getFlag("urbanjungle", "rollType") === "TN") {
+                await copyToRollTN(parseInt(message.roll.formula.slice(message.roll.formula.indexOf(">") + 1)), message, true, true);
+            } else {
+                await copyToRollHighest(message, true, true);
+            }
+            break;
+        case "applyDamage":
+            applyDamageToTargets(message);
+            break;
+        default:
+            console.warn("Unknown chat button action: " + action);
+            break;
+    }
+}
+
+/**
+ * Roll defense with the user's actor against a hanging attack, and use the defense as the TN of the attack
+ * @param {ChatMessage} message The attack message
+ */
+async function rollDefenseAgainst(message) {
+    const actor = canvas.tokens.controlled[0]?.actor || game.user.character;
+    if (!actor) {
+        ui.notifications.warn(game.i18n.localize("urbanjungle.ui.actorNotFoundForDefense"));
+        return;
+    }
+
+    const weapon = getHangingWeapon(message);
+    const label = game.i18n.format("urbanjungle.chatInfo.targetedAttack.defendingAgainst", { "name": weapon?.name || "", "attacker": message.data.speaker?.alias || "" });
+    const defense = await actor.defendAgainstAttack(label);
+    if (!defense) {
+        return;
+    }
+
+    const attackinfo = await copyToRollTN(defense.highest, message);
+    if (attackinfo?.message) {
+        weapon?.resendNormalAttack?.(attackinfo.message);
+    }
+}
+
+/**
+ * Open the damage popup for every token the user currently targets, on the client of whoever owns the target
+ * @param {ChatMessage} message The damage card message
+ */
+function applyDamageToTargets(message) {
+    const damage = message.getFlag("urbanjungle", "attackDamage");
+    if (game.user.targets.size == 0) {
+        ui.notifications.warn(game.i18n.localize("urbanjungle.ui.noTargetsForDamage"));
+        return;
+    }
+
+    game.user.targets.forEach(x => {
+        const user = findActorRollingUser(x.actor);
+        if (!user) {
+            ui.notifications.warn(game.i18n.format("urbanjungle.ui.noUserForTarget", { "name": x.name }));
+            return;
+        }
+        sendSocketNotice(user, "damagePopup", { "tokenId": x.id, "actorId": x.actor?.id, "sceneId": x.scene?.id || canvas.scene?.id, "damage": damage });
+    });
+}
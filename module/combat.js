@@ -1,3 +1,20 @@
+import { makeStatCompareReady } from "./helpers.js";
+
+import { CommonConditionInfo } from "./conditions.js";
+import { isConditionExpired } from "./conditions.js";
+import { hasConditionsIronclaw } from "./conditions.js";
+
+import { getFactions } from "./factions.js";
+import { getTokenFaction } from "./factions.js";
+import { getFactionInitiativeGroup } from "./factions.js";
+import { areFactionsHostile } from "./factions.js";
+import { FactionManager } from "./factions.js";
+
+import { getSquad } from "./squads.js";
+
+import { sendSocketRequest } from "./sockets.js";
+import { findActorRollingUser } from "./sockets.js";
+
 /**
  * Extend the base Combat class to allow for the use of Ironclaw's initiative systems
  * @extends {Combat}
@@ -24,7 +41,7 @@ export class urbanjungleCombat extends Combat {
      * @private
      */
     static getInitiativeGroup(combatant, settings) {
-        if (combatant?.actor && combatant?.token && settings?.initType) {
+        if (combatant?.actor && combatant?.token && settings?.initType !== undefined) {
             let side = -1;
             const initType = parseInt(settings.initType);
             switch (initType) {
@@ -42,9 +59,12 @@ export class urbanjungleCombat extends Combat {
                     break;
                 case 4:
                 case 5:
-                    side = side = (combatant.actor.hasPlayerOwner ? 1 : (combatant.token.data?.disposition === CONST.TOKEN_DISPOSITIONS.FRIENDLY ? 2 : 0)); // If the combatant is a player, side 1, otherwise if the combatant is allied, side 2, otherwise side 0
+                    side = (combatant.actor.hasPlayerOwner ? 1 : (combatant.token.data?.disposition === CONST.TOKEN_DISPOSITIONS.FRIENDLY ? 2 : 0)); // If the combatant is a player, side 1, otherwise if the combatant is allied, side 2, otherwise side 0
                     if (initType === 4) return side == 1 ? 3 : (side == 2 ? 2 : 1);
-                    else return side == side == 0 ? 3 : (side == 1 ? 2 : 1);
+                    else return side == 0 ? 3 : (side == 1 ? 2 : 1);
+                    break;
+                case 6:
+                    return getFactionInitiativeGroup(combatant.token); // Factions go in their set order, tokens without a faction last
                     break;
                 default:
                     console.warn("Group initiative defaulted on init type");
@@ -66,19 +86,100 @@ export class urbanjungleCombat extends Combat {
         if (settings?.manualTN && settings.manualTN > 0) {
             return settings.manualTN;
         }
-        else if (combatant?.actor && combatant?.token && settings?.initType && allcombatants) {
-            let otherSide;
-            if (settings.initType === 0 || settings.initType === 1) {
-                let playerOwnerComparison = combatant.actor.hasPlayerOwner;
-                otherSide = allcombatants.filter(x => x?.actor?.hasPlayerOwner !== playerOwnerComparison);
+        else if (combatant?.actor && combatant?.token && settings?.initType !== undefined && allcombatants) {
+            return urbanjungleCombat.getDistanceTN(urbanjungleCombat.getDistanceToClosestOther(combatant, urbanjungleCombat.getOtherSide(combatant, allcombatants, settings)));
+        }
+        else return 2;
+    }
+
+    /**
+     * Get the combatants that count as the other side to the given combatant according to the initiative type in the settings
+     * With factions, the other side is every combatant in a faction hostile to the combatant's own
+     * @param {Combatant} combatant
+     * @param {Combatant[]} allcombatants
+     * @param {Object} settings
+     * @returns {Combatant[]}
+     * @private
+     */
+    static getOtherSide(combatant, allcombatants, settings) {
+        const initType = parseInt(settings.initType);
+        if (initType === 0 || initType === 1) {
+            let playerOwnerComparison = combatant.actor.hasPlayerOwner;
+            return allcombatants.filter(x => x?.actor?.hasPlayerOwner !== playerOwnerComparison);
+        }
+        else if (initType === 6) {
+            const faction = getTokenFaction(combatant.token);
+            return allcombatants.filter(x => x?.id !== combatant.id && areFactionsHostile(faction, getTokenFaction(x?.token)));
+        }
+        else {
+            let playerOwnerComparison = combatant.actor.hasPlayerOwner || combatant.token.data?.disposition === CONST.TOKEN_DISPOSITIONS.FRIENDLY;
+            return allcombatants.filter(x => (x?.actor?.hasPlayerOwner || x?.token?.data?.disposition === CONST.TOKEN_DISPOSITIONS.FRIENDLY) !== playerOwnerComparison);
+        }
+    }
+
+    /**
+     * Get the display name of an initiative group according to the initiative type in the settings
+     * @param {number} group The initiative group, as returned by getInitiativeGroup
+     * @param {Object} settings
+     * @returns {string}
+     * @private
+     */
+    static getInitiativeGroupName(group, settings) {
+        const players = game.i18n.localize("urbanjungle.combat.sidePlayers");
+        const npcs = game.i18n.localize("urbanjungle.combat.sideNPCs");
+        const allies = game.i18n.localize("urbanjungle.combat.sideAllies");
+        const enemies = game.i18n.localize("urbanjungle.combat.sideEnemies");
+        const initType = parseInt(settings.initType);
+        switch (initType) {
+            case 0:
+                return group == 2 ? players : npcs;
+            case 1:
+                return group == 2 ? npcs : players;
+            case 2:
+                return group == 2 ? allies : enemies;
+            case 3:
+                return group == 2 ? enemies : allies;
+            case 4:
+                return group == 3 ? players : (group == 2 ? allies : enemies);
+            case 5:
+                return group == 3 ? enemies : (group == 2 ? players : allies);
+            case 6: {
+                const factions = getFactions();
+                return factions[factions.length + 1 - group]?.name || game.i18n.localize("urbanjungle.combat.sideNoFaction");
             }
-            else {
-                let playerOwnerComparison = combatant.actor.hasPlayerOwner || combatant.token.data?.disposition === CONST.TOKEN_DISPOSITIONS.FRIENDLY;
-                otherSide = allcombatants.filter(x => (x?.actor?.hasPlayerOwner || x?.token?.data?.disposition === CONST.TOKEN_DISPOSITIONS.FRIENDLY) !== playerOwnerComparison);
+            default:
+                return game.i18n.format("urbanjungle.combat.sideGroup", { "group": group });
+        }
+    }
+
+    /**
+     * Get the sides of a side-based initiative combat in turn order, along with their members and whether they have acted this round
+     * Status is "acting" for the side of the current combatant, "acted" for sides before it, "next" for the side right after it, and "waiting" for the rest
+     * @param {Combat} combat
+     * @param {Object} settings
+     * @returns {{group: number, name: string, combatantIds: string[], status: string}[]}
+     */
+    static getSideStatus(combat, settings) {
+        let sides = [];
+        for (let combatant of combat.turns) {
+            if (!Number.isNumeric(combatant.initiative) || combatant.getFlag("urbanjungle", "holding")) continue;
+            // A held combatant acting now takes their turn with the side they stepped in front of, for the rest of the round
+            const group = combat.combatants.get(urbanjungleCombat.getActingBefore(combatant, combat))?.initiative ?? combatant.initiative;
+            let side = sides.find(x => x.group === group);
+            if (!side) {
+                side = { "group": group, "name": urbanjungleCombat.getInitiativeGroupName(group, settings), "combatantIds": [], "status": "waiting" };
+                sides.push(side);
             }
-            return urbanjungleCombat.getDistanceTN(urbanjungleCombat.getDistanceToClosestOther(combatant, otherSide));
+            side.combatantIds.push(combatant.id);
         }
-        else return 2;
+
+        const current = combat.started ? combat.combatant : null;
+        const acting = sides.findIndex(x => x.combatantIds.includes(current?.id));
+        sides.forEach((x, i) => {
+            if (acting < 0) x.status = (i === 0 ? "next" : "waiting");
+            else x.status = (i < acting ? "acted" : (i === acting ? "acting" : (i === acting + 1 ? "next" : "waiting")));
+        });
+        return sides;
     }
 
     /**
@@ -115,6 +216,245 @@ export class urbanjungleCombat extends Combat {
         return 6;
     }
 
+    /** Store the turn the combat moves from in the same update that moves it, so that the expiry and automation know it even after a reload or a change of GM
+     *  @override
+     */
+    async _preUpdate(changed, options, user) {
+        await super._preUpdate(changed, options, user);
+        if (changed.hasOwnProperty("round") || changed.hasOwnProperty("turn")) {
+            setProperty(changed, "flags.urbanjungle.previousTurn", { "round": this.round, "turn": this.turn, "combatantId": this.combatant?.id ?? null });
+        }
+    }
+
+    /** @override */
+    _onUpdate(data, options, userId) {
+        super._onUpdate(data, options, userId);
+
+        if (data.hasOwnProperty("round") || data.hasOwnProperty("turn")) {
+            if (game.users.find(x => x.isGM && x.active)?.id === game.user.id) { // Only one GM handles the expiry and automation, so that nothing happens twice
+                const previous = this.getFlag("urbanjungle", "previousTurn") || null;
+                this.expireTimedConditions(previous);
+                this.runTurnAutomation(previous);
+            }
+        }
+    }
+
+    /**
+     * Take a combatant out of the turn order to delay their turn or ready an action, or bring a held combatant back in to act right now
+     * Held combatants are sorted after everyone else and skipped when the turn advances, readied actions lapse when a new round starts
+     * Players' requests are passed on to a GM, since only a GM can change the turn
+     * @param {string} combatantId The id of the combatant
+     * @param {string} mode "delay" or "ready" to hold the turn, null to act now
+     * @returns {Promise<boolean>} Whether the change went through
+     */
+    async holdTurn(combatantId, mode = null) {
+        const combatant = this.combatants.get(combatantId);
+        if (!combatant?.isOwner) return false;
+        if (!game.user.isGM) {
+            const gm = game.users.find(x => x.isGM && x.active);
+            if (!gm) {
+                ui.notifications.warn(game.i18n.localize("urbanjungle.ui.noGMForHold"));
+                return false;
+            }
+            return await sendSocketRequest(gm, "combatHold", { "combatId": this.id, "combatantId": combatantId, "mode": mode });
+        }
+
+        const current = this.combatant;
+        if (mode) {
+            await combatant.setFlag("urbanjungle", "holding", mode);
+            if (current?.id === combatantId) { // The current combatant held, so move on to whoever is now in their place
+                const next = this.turns.findIndex((x, i) => i >= this.turn && !urbanjungleCombat.isSkippedTurn(x));
+                if (next < 0) await this.nextRound();
+                else await this.update({ turn: next });
+            }
+        }
+        else {
+            // Slot in right before the current combatant for the rest of this round only, the initiative itself stays as it was
+            let update = { "flags.urbanjungle.holding": null, "flags.urbanjungle.actingBefore": null };
+            if (this.started && current && current.id !== combatantId) {
+                update["flags.urbanjungle.actingBefore"] = { "combatantId": current.id, "round": this.round };
+            }
+            await combatant.update(update);
+            if (!this.started) return true;
+
+            const index = this.turns.findIndex(x => x.id === combatantId);
+            if (index >= 0 && index !== this.turn) {
+                await this.update({ turn: index }); // The turn change runs the expiry and automation through _onUpdate
+            }
+            else if (game.users.find(x => x.isGM && x.active)?.id === game.user.id) {
+                // The turn index usually stays the same since the combatant took the current spot, so the turn change hooks do not run for them
+                await this.expireTimedConditions(this.getFlag("urbanjungle", "previousTurn") || null);
+                if (combatant.actor) await this._turnStartAutomation(combatant, game.settings.get("core", Combat.CONFIG_SETTING));
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Get the combatant a held combatant stepped in front of when acting now, which only holds for the round they did it in
+     * @param {Combatant} combatant
+     * @param {Combat} combat
+     * @returns {string | null} The id of the combatant, or null if the combatant is in their normal spot or holding again
+     */
+    static getActingBefore(combatant, combat) {
+        const acting = combatant.getFlag("urbanjungle", "actingBefore");
+        if (combatant.getFlag("urbanjungle", "holding")) return null;
+        return (acting && acting.round === combat.round && acting.combatantId !== combatant.id ? acting.combatantId : null);
+    }
+
+    /** Move the combatants acting now from their normal spot to right before the combatant they stepped in front of
+     *  @override
+     */
+    setupTurns() {
+        const turns = super.setupTurns();
+        const acting = turns.filter(x => urbanjungleCombat.getActingBefore(x, this));
+        if (acting.length === 0) return turns;
+
+        let reordered = turns.filter(x => !acting.includes(x));
+        for (let combatant of acting) {
+            const index = reordered.findIndex(x => x.id === urbanjungleCombat.getActingBefore(combatant, this));
+            reordered.splice(index >= 0 ? index : reordered.length, 0, combatant);
+        }
+        this.turns = reordered;
+        const current = reordered[this.turn];
+        if (this.current && current) {
+            this.current.combatantId = current.id;
+            this.current.tokenId = current.data.tokenId;
+        }
+        return this.turns;
+    }
+
+    /**
+     * Whether the turn of a combatant is skipped when advancing, either because they are holding or because they are defeated and defeated are skipped
+     * @param {Combatant} combatant
+     * @returns {boolean}
+     */
+    static isSkippedTurn(combatant) {
+        if (combatant.getFlag("urbanjungle", "holding")) return true;
+        return !!(game.settings.get("core", Combat.CONFIG_SETTING)?.skipDefeated && combatant.data.defeated);
+    }
+
+    /** Skip held combatants when advancing the turn
+     *  @override
+     */
+    async nextTurn() {
+        const next = this.turns.findIndex((x, i) => i > this.turn && !urbanjungleCombat.isSkippedTurn(x));
+        if (this.round === 0 || next < 0) {
+            return this.nextRound();
+        }
+        return this.update({ round: this.round, turn: next }, { advanceTime: CONFIG.time.turnTime });
+    }
+
+    /** Let readied actions lapse and combatants who acted now go back to their normal spot when a new round starts
+     *  @override
+     */
+    async nextRound() {
+        if (game.user.isGM) {
+            const lapsed = this.combatants.filter(x => x.getFlag("urbanjungle", "holding") === "ready" || x.getFlag("urbanjungle", "actingBefore")).map(x => {
+                const holding = x.getFlag("urbanjungle", "holding");
+                return { "_id": x.id, "flags.urbanjungle.holding": (holding === "ready" ? null : holding), "flags.urbanjungle.actingBefore": null };
+            });
+            if (lapsed.length > 0) {
+                await this.updateEmbeddedDocuments("Combatant", lapsed);
+            }
+        }
+        return super.nextRound();
+    }
+
+    /**
+     * Remove every timed condition of the combatants that has run out
+     * @param {Object} previous The round, turn and combatant id of the turn the combat moved from, if known
+     */
+    async expireTimedConditions(previous = null) {
+        for (let combatant of this.combatants) {
+            const actor = combatant.actor;
+            if (!actor) continue;
+
+            const expired = actor.effects.filter(x => isConditionExpired(x, this, previous)).map(x => x.id);
+            if (expired.length > 0) {
+                await actor.deleteEmbeddedDocuments("ActiveEffect", expired);
+            }
+        }
+    }
+
+    /**
+     * Run the turn-start and turn-end automation rules enabled in the combat settings
+     * Only runs when the combat moves forward, so that stepping back a turn does not repeat anything
+     * @param {Object} previous The round, turn and combatant id of the turn the combat moved from, if known
+     */
+    async runTurnAutomation(previous = null) {
+        const settings = game.settings.get("core", Combat.CONFIG_SETTING);
+        const turncount = Math.max(1, this.turns.length);
+        if (previous && previous.round * turncount + previous.turn >= this.round * turncount + this.turn) {
+            return;
+        }
+
+        const ended = (previous?.round > 0 ? this.combatants.get(previous.combatantId) : null); // Nobody's turn ends when the combat starts
+        if (ended?.actor) {
+            await this._turnEndAutomation(ended, settings);
+        }
+        if (this.combatant?.actor) {
+            await this._turnStartAutomation(this.combatant, settings);
+        }
+    }
+
+    /**
+     * Automation for the start of a combatant's turn: dropping Guarding, refreshing turn gifts and On Fire damage
+     * @param {Combatant} combatant The combatant whose turn started
+     * @param {Object} settings The combat settings
+     * @private
+     */
+    async _turnStartAutomation(combatant, settings) {
+        const actor = combatant.actor;
+
+        if (settings?.autoDropGuarding && hasConditionsIronclaw("guarding", actor)) {
+            await actor.deleteEffect("guarding");
+        }
+
+        if (settings?.autoRefreshGifts) {
+            const refreshed = actor.items.filter(x => x.data.type === "gift" && x.data.data.exhausted && makeStatCompareReady(x.data.data.refresh).includes("turn")).map(x => ({ "_id": x.id, "data.exhausted": false }));
+            if (refreshed.length > 0) {
+                await actor.updateEmbeddedDocuments("Item", refreshed);
+            }
+        }
+
+        if (settings?.autoOnFire && hasConditionsIronclaw("onfire", actor)) {
+            const user = findActorRollingUser(actor);
+            if (!user) {
+                ui.notifications.warn(game.i18n.format("urbanjungle.ui.noUserForTarget", { "name": combatant.name }));
+                return;
+            }
+            // Not awaited, so that the combat does not wait for the soak roll
+            sendSocketRequest(user, "soakRoll", {
+                "tokenId": combatant.token?.id, "actorId": actor.id, "sceneId": this.scene?.id, "damage": (settings.autoOnFireDamage ?? 1),
+                "knockout": false, "nonlethal": false, "label": game.i18n.localize("urbanjungle.combat.onFireSoak")
+            }).then(answer => {
+                if (!answer) ui.notifications.warn(game.i18n.format("urbanjungle.ui.turnRollNotMade", { "name": combatant.name, "roll": game.i18n.localize("urbanjungle.combat.onFireSoak") }));
+            });
+        }
+    }
+
+    /**
+     * Automation for the end of a combatant's turn: the Afraid recovery roll
+     * @param {Combatant} combatant The combatant whose turn ended
+     * @param {Object} settings The combat settings
+     * @private
+     */
+    async _turnEndAutomation(combatant, settings) {
+        const actor = combatant.actor;
+
+        if (settings?.autoAfraidRecovery && hasConditionsIronclaw("afraid", actor)) {
+            const user = findActorRollingUser(actor);
+            if (!user) {
+                ui.notifications.warn(game.i18n.format("urbanjungle.ui.noUserForTarget", { "name": combatant.name }));
+                return;
+            }
+            sendSocketRequest(user, "afraidRecovery", { "tokenId": combatant.token?.id, "actorId": actor.id, "sceneId": this.scene?.id }).then(answer => {
+                if (!answer) ui.notifications.warn(game.i18n.format("urbanjungle.ui.turnRollNotMade", { "name": combatant.name, "roll": game.i18n.localize("urbanjungle.combat.afraidRecovery") }));
+            });
+        }
+    }
+
     /** @override */
     _prepareCombatant(c, scene, players, settings = {}) {
         c = super._prepareCombatant(c, scene, players, settings);
@@ -129,7 +469,7 @@ export class urbanjungleCombat extends Combat {
             return {
                 _id: c.id,
                 initiative: null,
-                flags: { "urbanjungle.initiativeResult": null }
+                flags: { "urbanjungle.initiativeResult": null, "urbanjungle.initiativeDelayed": null, "urbanjungle.initiativeConsequence": null, "urbanjungle.holding": null, "urbanjungle.actingBefore": null }
             }
         });
         await this.updateEmbeddedDocuments("Combatant", updates);
@@ -183,7 +523,13 @@ export class urbanjungleCombat extends Combat {
                 initResult = initRoll.tnData.successes > 0 ? initRoll.tnData.successes.toString() : (initRoll.tnData.ties ? "T" : (initRoll.highest === 1 ? "B" : "F")); // Set the result as either the number of successes, or Ties, Botch, or Fail
             }
 
-            updates.push({ _id: id, initiative: initiative, flags: { "urbanjungle.initiativeResult": initResult } });
+            // Apply the consequences of a failed or botched check
+            const consequence = await urbanjungleCombat.applyInitiativeConsequences(combatant, initRoll, settings);
+            if (consequence.messages.length > 0) {
+                flavorString += `<p class="initiative-consequence">${consequence.messages.join("<br>")}</p>`;
+            }
+
+            updates.push({ _id: id, initiative: initiative, flags: { "urbanjungle.initiativeResult": initResult, "urbanjungle.initiativeDelayed": consequence.delayed, "urbanjungle.initiativeConsequence": consequence.messages.join(" ") || null } });
 
             // Determine the roll mode
             let rollMode = messageOptions.rollMode || game.settings.get("core", "rollMode");
@@ -224,14 +570,50 @@ export class urbanjungleCombat extends Combat {
         return this;
     }
 
-    /** Add PC advantage to the initiative tie-breaking
+    /**
+     * Determine and apply the consequences of an initiative check according to the settings
+     * A failure can delay the combatant to the end of their side's order and a botch can add a condition, ties count as either a success or a failure depending on the tie rule
+     * @param {Combatant} combatant The combatant who rolled
+     * @param {DiceReturn} initRoll The initiative check
+     * @param {Object} settings
+     * @returns {Promise<{delayed: boolean, messages: string[]}>} Whether the combatant was delayed, and the consequence messages to post
+     */
+    static async applyInitiativeConsequences(combatant, initRoll, settings) {
+        let consequence = { "delayed": false, "messages": [] };
+        if (!initRoll.tnData) return consequence; // Consequences need a TN to have been rolled against
+
+        const botched = initRoll.highest === 1;
+        const tied = initRoll.tnData.successes <= 0 && initRoll.tnData.ties > 0;
+        const failed = botched || (initRoll.tnData.successes <= 0 && (!tied || settings?.initTieRule === "failure"));
+        const name = combatant.token?.name || combatant.name;
+
+        if (failed && settings?.initFailDelay) {
+            consequence.delayed = true;
+            consequence.messages.push(game.i18n.format("urbanjungle.combat.consequenceDelayed", { "name": name }));
+        }
+        if (botched && settings?.initBotchCondition && combatant.actor) {
+            await combatant.actor.addEffect(settings.initBotchCondition);
+            consequence.messages.push(game.i18n.format("urbanjungle.combat.consequenceCondition", { "name": name, "condition": game.i18n.localize(CommonConditionInfo.getConditionLabel(settings.initBotchCondition)) }));
+        }
+        return consequence;
+    }
+
+    /** Add PC advantage to the initiative tie-breaking, put delayed combatants after the rest of their side, and held combatants after everyone
      *  @override 
      */
     _sortCombatants(a, b) {
+        const ha = a.getFlag("urbanjungle", "holding") ? 1 : 0;
+        const hb = b.getFlag("urbanjungle", "holding") ? 1 : 0;
+        if (ha !== hb) return ha - hb; // Held combatants are out of the order until they act
         const ia = Number.isNumeric(a.initiative) ? a.initiative : -9999;
         const ib = Number.isNumeric(b.initiative) ? b.initiative : -9999;
+        const da = a.getFlag("urbanjungle", "initiativeDelayed") ? 1 : 0;
+        const db = b.getFlag("urbanjungle", "initiativeDelayed") ? 1 : 0;
+        const sidebased = game.settings.get("core", Combat.CONFIG_SETTING)?.sideBased;
+        if (!sidebased && da !== db) return da - db; // Without sides, delayed combatants go after everyone else
         let ci = ib - ia;
         if (ci !== 0) return ci;
+        if (da !== db) return da - db;
         let [apc, bpc] = [a.token?.actor?.hasPlayerOwner || false, b.token?.actor?.hasPlayerOwner || false];
         let cpc = bpc - apc;
         if (cpc !== 0) return cpc;
@@ -281,6 +663,8 @@ export class urbanjungleCombatant extends Combatant {
 export class urbanjungleCombatTracker extends CombatTracker {
     constructor(options) {
         super(options);
+        /** The initiative groups the user has collapsed in the tracker, kept per client */
+        this.collapsedSides = new Set();
     }
 
     /** Replace the default CombatTrackerConfig with a system one
@@ -298,6 +682,103 @@ export class urbanjungleCombatTracker extends CombatTracker {
             ev.preventDefault();
             new urbanjungleCombatTrackerConfig().render(true);
         });
+
+        // Mark the combatants who suffered initiative consequences, and show the size of mook squads
+        combatants.each((i, el) => {
+            const combatant = this.viewed?.combatants.get(el.dataset.combatantId);
+            const consequence = combatant?.getFlag("urbanjungle", "initiativeConsequence");
+            if (consequence) {
+                $(el).find(".token-name h4").append(` <i class="fas fa-exclamation-triangle initiative-consequence" title="${consequence}"></i>`);
+            }
+            const squad = getSquad(combatant?.token);
+            if (squad) {
+                $(el).find(".token-name h4").append(` <span class="squad-size">${game.i18n.format("urbanjungle.squad.size", { "size": squad.members.length + 1 })}</span>`);
+            }
+        });
+
+        // Delay and ready controls, and the section for held combatants
+        this._addHoldControls(tracker, combatants);
+
+        // Group the combatants under side headers when side-based initiative is used
+        this._addSideHeaders(tracker, combatants.filter((i, el) => !this.viewed?.combatants.get(el.dataset.combatantId)?.getFlag("urbanjungle", "holding")));
+    }
+
+    /**
+     * Add the delay, ready and act now controls to the combatants the user owns, and put the held combatants under their own header
+     * @param {JQuery} tracker The combatant list of the tracker
+     * @param {JQuery} combatants The combatant elements in the list
+     * @private
+     */
+    _addHoldControls(tracker, combatants) {
+        const combat = this.viewed;
+        if (!combat) return;
+
+        let firstheld = null;
+        combatants.each((i, el) => {
+            const combatant = combat.combatants.get(el.dataset.combatantId);
+            if (!combatant) return;
+            const holding = combatant.getFlag("urbanjungle", "holding");
+            if (holding) {
+                firstheld = firstheld || el;
+                $(el).addClass("holding");
+                $(el).find(".token-name h4").append(` <span class="holding-mode">(${game.i18n.localize("urbanjungle.combat.holding." + holding)})</span>`);
+            }
+            if (!combatant.isOwner || !combat.started) return;
+
+            const controls = $(el).find(".combatant-controls");
+            if (holding) {
+                controls.prepend(`<a class="combatant-control hold-control" title="${game.i18n.localize("urbanjungle.combat.actNow")}" data-mode=""><i class="fas fa-play"></i></a>`);
+            }
+            else {
+                controls.prepend(`<a class="combatant-control hold-control" title="${game.i18n.localize("urbanjungle.combat.ready")}" data-mode="ready"><i class="fas fa-crosshairs"></i></a>`);
+                controls.prepend(`<a class="combatant-control hold-control" title="${game.i18n.localize("urbanjungle.combat.delay")}" data-mode="delay"><i class="fas fa-hourglass-half"></i></a>`);
+            }
+        });
+
+        tracker.find(".hold-control").click(async ev => {
+            ev.preventDefault();
+            ev.stopPropagation(); // Do not let the click select the combatant as well
+            const combatantid = ev.currentTarget.closest(".combatant").dataset.combatantId;
+            await combat.holdTurn(combatantid, ev.currentTarget.dataset.mode || null);
+        });
+
+        if (firstheld) {
+            $(`<li class="combatant-side-header held-header flexrow"><h4 class="side-name">${game.i18n.localize("urbanjungle.combat.heldCombatants")}</h4></li>`).insertBefore(firstheld);
+        }
+    }
+
+    /**
+     * Insert a collapsible header before the first combatant of each initiative side, showing the side's name, size and turn status
+     * @param {JQuery} tracker The combatant list of the tracker
+     * @param {JQuery} combatants The combatant elements in the list
+     * @private
+     */
+    _addSideHeaders(tracker, combatants) {
+        const settings = game.settings.get("core", Combat.CONFIG_SETTING);
+        if (!this.viewed || !settings?.sideBased || combatants.length == 0) return;
+
+        const sides = urbanjungleCombat.getSideStatus(this.viewed, settings);
+        for (let side of sides) {
+            const collapsed = this.collapsedSides.has(side.group);
+            const elements = combatants.filter((i, el) => side.combatantIds.includes(el.dataset.combatantId));
+            if (elements.length == 0) continue;
+
+            const header = $(`<li class="combatant-side-header flexrow ${side.status}" data-group="${side.group}">
+                <a class="side-collapse"><i class="fas ${collapsed ? "fa-caret-right" : "fa-caret-down"}"></i></a>
+                <h4 class="side-name">${side.name}</h4>
+                <span class="side-count" title="${game.i18n.localize("urbanjungle.combat.sideMembers")}">${side.combatantIds.length}</span>
+                <span class="side-status">${game.i18n.localize("urbanjungle.combat.sideStatus." + side.status)}</span>
+            </li>`);
+            header.insertBefore(elements.first());
+            if (collapsed) elements.hide();
+
+            header.click(ev => {
+                ev.preventDefault();
+                if (this.collapsedSides.has(side.group)) this.collapsedSides.delete(side.group);
+                else this.collapsedSides.add(side.group);
+                this.render();
+            });
+        }
     }
 }
 
@@ -315,17 +796,37 @@ export class urbanjungleCombatTrackerConfig extends CombatTrackerConfig {
     async getData(options) {
         return {
             settings: game.settings.get("core", Combat.CONFIG_SETTING),
-            initOptions: this.getInitiativeOptions()
+            initOptions: this.getInitiativeOptions(),
+            tieRules: { "success": "urbanjungle.combat.tieRuleSuccess", "failure": "urbanjungle.combat.tieRuleFailure" },
+            botchConditions: { "": "urbanjungle.combat.botchConditionNone", "reeling": CommonConditionInfo.getConditionLabel("reeling"), "surprised": CommonConditionInfo.getConditionLabel("surprised") }
         };
     };
 
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.manage-factions').click(ev => {
+            ev.preventDefault();
+            new FactionManager().render(true);
+        });
+    }
+
     /** @override */
     async _updateObject(event, formData) {
         return game.settings.set("core", Combat.CONFIG_SETTING, {
             sideBased: formData.sideBased,
             initType: formData.initType,
             skipDefeated: formData.skipDefeated,
-            manualTN: formData.manualTN
+            manualTN: formData.manualTN,
+            initFailDelay: formData.initFailDelay,
+            initBotchCondition: formData.initBotchCondition,
+            initTieRule: formData.initTieRule,
+            autoDropGuarding: formData.autoDropGuarding,
+            autoAfraidRecovery: formData.autoAfraidRecovery,
+            autoOnFire: formData.autoOnFire,
+            autoOnFireDamage: formData.autoOnFireDamage,
+            autoRefreshGifts: formData.autoRefreshGifts
         });
     }
 
@@ -335,6 +836,7 @@ export class urbanjungleCombatTrackerConfig extends CombatTrackerConfig {
         { key: "urbanjungle.combat.alliesVsEnemies", value: 2 },
         { key: "urbanjungle.combat.enemiesVsAllies", value: 3 },
         { key: "urbanjungle.combat.pcsAlliesEnemies", value: 4 },
-        { key: "urbanjungle.combat.enemiesPcsAllies", value: 5 }];
+        { key: "urbanjungle.combat.enemiesPcsAllies", value: 5 },
+        { key: "urbanjungle.combat.factions", value: 6 }];
     }
 }
\ No newline at end of file
@@ -31,9 +31,9 @@ export function ironclawRollChat(inputstring) {
     }
 
     if (tn > 0)
-        rollTargetNumber(tn, dicearray[0], dicearray[1], dicearray[2], dicearray[3], dicearray[4]);
+        rollTargetNumber(tn, dicearray);
     else
-        rollHighest(dicearray[0], dicearray[1], dicearray[2], dicearray[3], dicearray[4]);
+        rollHighest(dicearray);
 }
 
 /**
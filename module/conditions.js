@@ -86,20 +86,38 @@ export function getConditionsIronclaw(target, warn = false) {
     return conds;
 }
 
+/**
+ * @typedef {{
+ *   rounds: number,
+ *   turns: number,
+ *   expiry: string
+ * }} ConditionDuration
+ */
+
 /**
  * Unified function to add conditions for urbanjungle
  * @param {String[] | String} conditions Conditions to add
  * @param {(Actor | Token)} target The actor or token in question
  * @param {boolean} warn Whether to use CUB's warnings
+ * @param {ConditionDuration} duration Optional duration for the conditions, in rounds and turns, or until the "startOfTurn" or "endOfTurn" of the target's next turn
  */
-export async function addConditionsIronclaw(conditions, target, warn = false) {
+export async function addConditionsIronclaw(conditions, target, warn = false, duration = null) {
     if (!game.ready) { // If the game isn't fully ready yet, wait until it is
         await game.urbanjungle.waitUntilReady();
     }
 
     if (game.urbanjungle.useCUBConditions) {
         let cubconditions = CommonConditionInfo.convertToCub(conditions);
-        return game.cub.addCondition(cubconditions, target, { "warn": warn });
+        let actor = getTargetActor(target);
+        const oldeffects = new Set(actor?.effects.map(x => x.id) || []);
+        const added = await game.cub.addCondition(cubconditions, target, { "warn": warn });
+        if (duration) { // CUB creates the effects itself, so the duration has to be set on them afterwards, only on the effects it just created
+            const durationdata = prepareDuration(duration, actor);
+            const updates = actor?.effects.filter(x => !oldeffects.has(x.id) && cubconditions.includes(x.data.label)).map(x => ({ "_id": x.id, ...durationdata })) || [];
+            if (updates.length > 0)
+                await actor.updateEmbeddedDocuments("ActiveEffect", updates);
+        }
+        return added;
     }
     else {
         let actor = getTargetActor(target);
@@ -109,7 +127,7 @@ export async function addConditionsIronclaw(conditions, target, warn = false) {
             const existingeffects = getConditionsIronclaw(target, warn);
             usedconditions = usedconditions.filter(x => existingeffects.some(y => y.getFlag("core", "statusId") === x) == false);
         }
-        const effects = prepareEffects(CommonConditionInfo.getMatchedConditions(usedconditions));
+        const effects = prepareEffects(CommonConditionInfo.getMatchedConditions(usedconditions), (duration ? prepareDuration(duration, actor) : null));
         if (effects.length > 0) {
             await actor.createEmbeddedDocuments("ActiveEffect", effects);
         }
@@ -166,10 +184,128 @@ export function getConditionByNameIronclaw(condition, warn = false) {
     }
 }
 
+/**
+ * Check whether a timed condition has run out in the given combat
+ * @param {ActiveEffect} effect The condition to check
+ * @param {Combat} combat The combat whose turn order the condition follows
+ * @param {Object} previous The round, turn and combatant id of the turn the combat just moved from, if known
+ * @returns {boolean} True if the condition should be removed
+ */
+export function isConditionExpired(effect, combat, previous = null) {
+    const remaining = getConditionTurnsRemaining(effect.data, combat, previous);
+    return remaining !== null && remaining <= 0;
+}
+
+/**
+ * Get a short label of how long a timed condition still lasts, for the sheet and the token HUD
+ * Works on both the ActiveEffect document and its raw data
+ * @param {ActiveEffect | Object} effect The condition, or its data
+ * @param {Combat} combat The combat to count the remaining duration in, defaults to the current combat
+ * @returns {string} The label, or an empty string if the condition is not timed
+ */
+export function getConditionDurationLabel(effect, combat = game.combat) {
+    const data = effect?.data?.duration ? effect.data : effect;
+    const expiry = data?.flags?.urbanjungle?.expiry;
+    if (expiry) {
+        return game.i18n.localize(expiry === "startOfTurn" ? "urbanjungle.effect.duration.untilStartOfTurn" : "urbanjungle.effect.duration.untilEndOfTurn");
+    }
+
+    const rounds = data?.duration?.rounds || 0;
+    const turns = data?.duration?.turns || 0;
+    if (rounds <= 0 && turns <= 0) {
+        return "";
+    }
+
+    const remaining = getConditionTurnsRemaining(data, combat);
+    const turncount = combat?.turns.length || 0;
+    if (remaining === null || turncount == 0) { // Not in the combat the condition was added in, so show the full duration
+        return game.i18n.format("urbanjungle.effect.duration.roundsAndTurns", { "rounds": rounds, "turns": turns });
+    }
+    return game.i18n.format("urbanjungle.effect.duration.roundsAndTurns", { "rounds": Math.floor(Math.max(0, remaining) / turncount), "turns": Math.max(0, remaining) % turncount });
+}
+
 /* -------------------------------------------- */
 /*  Condition Helpers                           */
 /* -------------------------------------------- */
 
+/**
+ * Turn a condition duration into the ActiveEffect data fields that store it
+ * Round and turn durations use the core duration fields, the turn-based expiry rules use system flags
+ * The combatant whose turn it was is stored as well, so that the duration counts from that combatant's place in the turn order even if combatants are added or removed
+ * @param {ConditionDuration} duration The duration
+ * @param {Actor} actor The actor the condition is added to, used to find its combatant for the turn-based rules
+ * @returns {Object} The data to merge into the effect data
+ */
+function prepareDuration(duration, actor) {
+    const combat = game.combat;
+    let data = {
+        "duration": {
+            "rounds": duration.rounds || 0,
+            "turns": duration.turns || 0,
+            "combat": combat?.id,
+            "startRound": combat?.round ?? 0,
+            "startTurn": combat?.turn ?? 0
+        },
+        "flags.urbanjungle.startCombatant": combat?.combatant?.id ?? null
+    };
+    if (duration.expiry === "startOfTurn" || duration.expiry === "endOfTurn") {
+        const combatant = combat?.combatants.find(x => x.actor?.id === actor?.id);
+        data["flags.urbanjungle.expiry"] = duration.expiry;
+        data["flags.urbanjungle.expiryCombatant"] = combatant?.id ?? null;
+    }
+    return data;
+}
+
+/**
+ * Get how many turns a timed condition still lasts in the given combat
+ * The turn-based expiry rules count as zero once the turn they wait for has come, and as one before that
+ * @param {Object} data The effect data
+ * @param {Combat} combat The combat to count in
+ * @param {Object} previous The round, turn and combatant id of the turn before the current one, defaults to the turn right before it in the order
+ * @returns {number | null} The remaining turns, or null if the condition is not timed in this combat
+ */
+function getConditionTurnsRemaining(data, combat, previous = null) {
+    if (!combat || data?.duration?.combat !== combat.id) {
+        return null;
+    }
+    const turncount = Math.max(1, combat.turns.length);
+    const start = getTurnPosition(combat, data.duration.startRound || 0, data.flags?.urbanjungle?.startCombatant, data.duration.startTurn || 0);
+    const now = combat.round * turncount + combat.turn;
+
+    const expiry = data.flags?.urbanjungle?.expiry;
+    if (expiry) {
+        const combatantid = data.flags.urbanjungle.expiryCombatant;
+        if (!combatantid) return null;
+        if (expiry === "startOfTurn") { // The owner's turn has started after the condition was added
+            return (now > start && combat.combatant?.id === combatantid ? 0 : 1);
+        }
+        // The owner's turn, which started after the condition was added, has ended
+        const previousnow = (previous ? getTurnPosition(combat, previous.round, previous.combatantId, previous.turn) : now - 1);
+        const previousid = (previous ? previous.combatantId : combat.turns[(now - 1 + turncount) % turncount]?.id);
+        return (previousnow > start && previousnow < now && previousid === combatantid ? 0 : 1);
+    }
+
+    const rounds = data.duration.rounds || 0;
+    const turns = data.duration.turns || 0;
+    if (rounds <= 0 && turns <= 0) {
+        return null;
+    }
+    return start + rounds * turncount + turns - now;
+}
+
+/**
+ * Get the position of a turn counted in turns from the start of the combat, using the combatant's current place in the turn order
+ * @param {Combat} combat The combat to count in
+ * @param {number} round The round of the turn
+ * @param {string} combatantid The id of the combatant whose turn it was
+ * @param {number} fallbackturn The turn index to use if the combatant is no longer in the turn order
+ * @returns {number} The position of the turn
+ */
+function getTurnPosition(combat, round, combatantid, fallbackturn) {
+    const index = (combatantid ? combat.turns.findIndex(x => x.id === combatantid) : -1);
+    return round * Math.max(1, combat.turns.length) + (index >= 0 ? index : fallbackturn);
+}
+
 /**
  * Grab the actor instance from the given target
  * @param {Actor | Token} target
@@ -179,14 +315,15 @@ function getTargetActor(target) {
     return (target instanceof Actor ? target : (target instanceof Token ? target.actor : null));
 }
 
-function prepareEffects(effects) {
+function prepareEffects(effects, durationdata = null) {
     let effectDatas = [];
     effects = Array.isArray(effects) ? effects : [effects];
 
     for (let effect of effects) {
-        const createData = duplicate(effect);
+        let createData = duplicate(effect);
         createData.label = game.i18n.localize(effect.label);
         createData["flags.core.statusId"] = effect.id;
+        if (durationdata) createData = mergeObject(createData, durationdata);
         delete createData.id;
         effectDatas.push(createData);
     }
@@ -379,6 +516,31 @@ export class CommonConditionInfo {
         label: "urbanjungle.effect.status.hiding",
         icon: "icons/svg/mystery-man.svg"
     },
+    {
+        id: "surprised",
+        label: "urbanjungle.effect.status.surprised",
+        icon: "icons/svg/daze.svg"
+    },
+    {
+        id: "convinced",
+        label: "urbanjungle.effect.status.convinced",
+        icon: "icons/svg/heal.svg"
+    },
+    {
+        id: "damaged",
+        label: "urbanjungle.effect.status.damaged",
+        icon: "icons/svg/hazard.svg"
+    },
+    {
+        id: "crippled",
+        label: "urbanjungle.effect.status.crippled",
+        icon: "icons/svg/paralysis.svg"
+    },
+    {
+        id: "wrecked",
+        label: "urbanjungle.effect.status.wrecked",
+        icon: "icons/svg/explosion.svg"
+    },
     {
         id: "misc-a",
         label: "urbanjungle.effect.status.misc-a",
@@ -410,6 +572,15 @@ export class CommonConditionInfo {
         icon: "icons/svg/sound.svg"
     }];
 
+    /**
+     * The conditions that make up the wound track, in the order they are shown in damage reports
+     */
+    static woundTrack = Object.freeze(["reeling", "hurt", "afraid", "injured", "dying", "dead", "overkilled", "asleep", "unconscious"]);
+    /**
+     * The conditions that make up the damage track of vehicles, in the order they are shown in damage reports
+     */
+    static vehicleDamageTrack = Object.freeze(["damaged", "crippled", "wrecked"]);
+
     /**
      * Map of standard names and their proper names in the CUB-provided condition-map
      */
@@ -419,7 +590,7 @@ export class CommonConditionInfo {
     ["confused", "Confused"], ["terrified", "Terrified"], ["enraged", "Enraged"], ["knockdown", "Knockdown"], ["berserk", "Berserk"],
     ["blinded", "Blinded"], ["silenced", "Silenced"], ["fulltilt", "Full Tilt"], ["slowed", "Slowed"], ["immobilized", "Immobilized"],
     ["half-buried", "Half-Buried"], ["onfire", "On Fire"], ["mesmerized", "Mesmerized"], ["marionette", "Marionette"], ["controlled", "Controlled"],
-    ["allfours", "All Fours"], ["flying", "Flying"], ["grappled", "Grappled"], ["hiding", "Hiding"], ["misc-a", "Misc-A"], ["misc-b", "Misc-B"], ["misc-c", "Misc-C"],
+    ["allfours", "All Fours"], ["flying", "Flying"], ["grappled", "Grappled"], ["hiding", "Hiding"], ["surprised", "Surprised"], ["convinced", "Convinced"], ["damaged", "Damaged"], ["crippled", "Crippled"], ["wrecked", "Wrecked"], ["misc-a", "Misc-A"], ["misc-b", "Misc-B"], ["misc-c", "Misc-C"],
     ["misc-d", "Misc-D"], ["misc-e", "Misc-E"], ["misc-f", "Misc-F"]]));
 
     /**
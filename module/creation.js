@@ -0,0 +1,323 @@
+import { convertCamelCase } from "./helpers.js";
+import { getSkillLabel } from "./helpers.js";
+import { makeStatCompareReady } from "./helpers.js";
+import { getMacroSpeaker } from "./helpers.js";
+
+/* -------------------------------------------- */
+/*  Character Creation                          */
+/* -------------------------------------------- */
+
+/**
+ * Common info about guided character creation
+ */
+export class CommonCreationInfo {
+    /**
+     * The steps of the creation wizard, in order
+     */
+    static steps = Object.freeze(["traits", "species", "career", "skills", "gifts", "review"]);
+    /**
+     * The dice a trait can start at, the index of a die is its cost in trait points
+     */
+    static traitDice = Object.freeze(["d4", "d6", "d8", "d10", "d12"]);
+    /**
+     * The traits set on the first step, species and career dice are set on their own steps but paid from the same budget
+     */
+    static baseTraits = Object.freeze(["body", "speed", "mind", "will"]);
+    /**
+     * The most marks a single skill can start with
+     */
+    static maxStartingMarks = 4;
+
+    /**
+     * Get the trait point cost of a die
+     * @param {string} dice The die, eg. "d8"
+     * @returns {number} The cost, zero for anything that is not a standard starting die
+     */
+    static getTraitCost(dice) {
+        return Math.max(0, this.traitDice.indexOf(dice));
+    }
+
+    /**
+     * Get the creation budgets from the world settings
+     * @returns {{traits: number, marks: number, gifts: number}}
+     */
+    static getBudgets() {
+        return {
+            "traits": game.settings.get("urbanjungle", "creationTraitPoints"),
+            "marks": game.settings.get("urbanjungle", "creationSkillMarks"),
+            "gifts": game.settings.get("urbanjungle", "creationGifts")
+        };
+    }
+}
+
+/**
+ * Step-by-step window for setting up a new character, walks through traits, species, career, skill marks and starting gifts within the world's point budgets
+ * Nothing is written to the actor until the last step, where everything is applied at once
+ * @extends {FormApplication}
+ */
+export class CharacterCreationWizard extends FormApplication {
+    /**
+     * @param {Actor} actor The character to set up
+     * @param {Object} options Application options
+     */
+    constructor(actor, options = {}) {
+        super(actor, options);
+        this.actor = actor;
+        this.step = 0;
+        this.creation = buildCreationState(actor);
+    }
+
+    /** @override */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            template: "systems/urbanjungle/templates/popup/character-creation.html",
+            classes: ["urbanjungle"],
+            width: 520,
+            height: "auto",
+            closeOnSubmit: false,
+            submitOnChange: true
+        });
+    }
+
+    /** @override */
+    get id() {
+        return "character-creation-" + this.actor.id;
+    }
+
+    /** @override */
+    get title() {
+        return game.i18n.format("urbanjungle.creation.title", { "name": this.actor.name });
+    }
+
+    /** @override */
+    getData(options) {
+        const budgets = CommonCreationInfo.getBudgets();
+        const spent = getSpentPoints(this.creation);
+        const stepname = CommonCreationInfo.steps[this.step];
+        const skillchoices = Object.fromEntries(Object.keys(this.actor.data.data.skills).map(x => [x, getSkillLabel(x)]));
+
+        return {
+            "step": stepname,
+            "stepLabel": game.i18n.localize("urbanjungle.creation.steps." + stepname),
+            "stepNumber": this.step + 1,
+            "stepCount": CommonCreationInfo.steps.length,
+            "isFirst": this.step === 0,
+            "isLast": this.step === CommonCreationInfo.steps.length - 1,
+            "creation": this.creation,
+            "budgets": budgets,
+            "spent": spent,
+            "traitDice": Object.fromEntries(CommonCreationInfo.traitDice.map(x => [x, `${x} (${CommonCreationInfo.getTraitCost(x)})`])),
+            "baseTraits": CommonCreationInfo.baseTraits.map(x => ({ "key": x, "label": convertCamelCase(x), "dice": this.creation.traits[x] })),
+            "skillChoices": mergeObject({ "": "-" }, skillchoices),
+            "skills": Object.keys(skillchoices).map(x => ({ "key": x, "label": skillchoices[x], "marks": this.creation.marks[x] || 0 })),
+            "gifts": game.items.filter(x => x.type === "gift").map(x => ({ "id": x.id, "name": x.name, "picked": this.creation.gifts.includes(x.id) })),
+            "errors": validateCreation(this.creation, this.actor, stepname === "review" ? null : stepname)
+        };
+    }
+
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.creation-prev').click(this._onChangeStep.bind(this, -1));
+        html.find('.creation-next').click(this._onChangeStep.bind(this, 1));
+        html.find('.creation-finish').click(this._onFinish.bind(this));
+    }
+
+    /** @override */
+    async _updateObject(event, formData) {
+        const expanded = expandObject(formData);
+        if (expanded.traits) mergeObject(this.creation.traits, expanded.traits);
+        if (expanded.species) mergeObject(this.creation.species, expanded.species);
+        if (expanded.career) mergeObject(this.creation.career, expanded.career);
+        if (expanded.marks) {
+            for (let [key, marks] of Object.entries(expanded.marks)) {
+                this.creation.marks[key] = Math.max(0, Math.min(CommonCreationInfo.maxStartingMarks, Number(marks) || 0));
+            }
+        }
+        if (expanded.gifts) this.creation.gifts = Object.entries(expanded.gifts).filter(([key, picked]) => picked).map(([key, picked]) => key);
+        this.render(false);
+    }
+
+    /**
+     * Handle moving between the steps, a step can only be left forward once it is valid
+     * @param {number} direction -1 to go back, 1 to go forward
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onChangeStep(direction, event) {
+        event.preventDefault();
+        await this.submit({ preventRender: true });
+        if (direction > 0) {
+            const errors = validateCreation(this.creation, this.actor, CommonCreationInfo.steps[this.step]);
+            if (errors.length > 0) {
+                ui.notifications.warn(errors[0]);
+                this.render(false);
+                return;
+            }
+        }
+        this.step = Math.max(0, Math.min(CommonCreationInfo.steps.length - 1, this.step + direction));
+        this.render(false);
+    }
+
+    /**
+     * Handle finishing the creation, writing everything to the actor
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onFinish(event) {
+        event.preventDefault();
+        await this.submit({ preventRender: true });
+        const errors = validateCreation(this.creation, this.actor);
+        if (errors.length > 0) {
+            ui.notifications.warn(errors[0]);
+            this.render(false);
+            return;
+        }
+
+        if (await applyCreation(this.actor, this.creation)) this.close(); // On a failure, the wizard stays open to try again
+    }
+}
+
+/* -------------------------------------------- */
+/*  Creation Helpers                            */
+/* -------------------------------------------- */
+
+/**
+ * Build the starting state of the wizard from the actor's current data, so that reopening the wizard does not lose anything already set
+ * @param {Actor} actor The character
+ * @returns {Object} The creation state
+ */
+function buildCreationState(actor) {
+    const data = actor.data.data;
+    const startdie = x => (CommonCreationInfo.traitDice.includes(x) ? x : CommonCreationInfo.traitDice[0]);
+    const skillkeys = Object.keys(data.skills);
+    const startskill = x => (skillkeys.includes(makeStatCompareReady(x)) ? makeStatCompareReady(x) : "");
+
+    let traits = {};
+    CommonCreationInfo.baseTraits.forEach(x => traits[x] = startdie(data.traits[x]?.dice));
+    let marks = {};
+    skillkeys.forEach(x => marks[x] = data.skills[x].marks || 0);
+
+    return {
+        "traits": traits,
+        "species": {
+            "name": data.traits.species.name, "dice": startdie(data.traits.species.dice),
+            "skill1": startskill(data.traits.species.speciesSkill1), "skill2": startskill(data.traits.species.speciesSkill2), "skill3": startskill(data.traits.species.speciesSkill3)
+        },
+        "career": {
+            "name": data.traits.career.name, "dice": startdie(data.traits.career.dice),
+            "skill1": startskill(data.traits.career.careerSkill1), "skill2": startskill(data.traits.career.careerSkill2), "skill3": startskill(data.traits.career.careerSkill3)
+        },
+        "marks": marks,
+        "gifts": []
+    };
+}
+
+/**
+ * Count the points spent from each budget
+ * @param {Object} creation The creation state
+ * @returns {{traits: number, marks: number, gifts: number}}
+ */
+function getSpentPoints(creation) {
+    let traits = CommonCreationInfo.getTraitCost(creation.species.dice) + CommonCreationInfo.getTraitCost(creation.career.dice);
+    for (let dice of Object.values(creation.traits)) {
+        traits += CommonCreationInfo.getTraitCost(dice);
+    }
+    return {
+        "traits": traits,
+        "marks": Object.values(creation.marks).reduce((a, b) => a + b, 0),
+        "gifts": creation.gifts.length
+    };
+}
+
+/**
+ * Check the creation state for problems
+ * @param {Object} creation The creation state
+ * @param {Actor} actor The character, for the list of valid skills
+ * @param {string | null} step Only check what the given step sets, or everything if null
+ * @returns {string[]} The localized problems found, empty if everything is fine
+ */
+function validateCreation(creation, actor, step = null) {
+    const budgets = CommonCreationInfo.getBudgets();
+    const spent = getSpentPoints(creation);
+    const skillkeys = Object.keys(actor.data.data.skills);
+    const checks = x => step === null || step === x;
+    let errors = [];
+
+    if ((checks("traits") || checks("species") || checks("career")) && spent.traits > budgets.traits) {
+        errors.push(game.i18n.format("urbanjungle.creation.overBudget", { "budget": game.i18n.localize("urbanjungle.creation.traitPoints"), "spent": spent.traits, "max": budgets.traits }));
+    }
+    for (let part of ["species", "career"]) {
+        if (!checks(part)) continue;
+        const picked = [creation[part].skill1, creation[part].skill2, creation[part].skill3];
+        const label = game.i18n.localize("urbanjungle.creation.steps." + part);
+        if (!creation[part].name?.trim()) {
+            errors.push(game.i18n.format("urbanjungle.creation.missingName", { "part": label }));
+        }
+        if (picked.some(x => !skillkeys.includes(x))) {
+            errors.push(game.i18n.format("urbanjungle.creation.missingSkills", { "part": label }));
+        }
+        else if (new Set(picked).size < picked.length) {
+            errors.push(game.i18n.format("urbanjungle.creation.duplicateSkills", { "part": label }));
+        }
+    }
+    if (checks("skills") && spent.marks > budgets.marks) {
+        errors.push(game.i18n.format("urbanjungle.creation.overBudget", { "budget": game.i18n.localize("urbanjungle.creation.skillMarks"), "spent": spent.marks, "max": budgets.marks }));
+    }
+    if (checks("gifts") && spent.gifts > budgets.gifts) {
+        errors.push(game.i18n.format("urbanjungle.creation.overBudget", { "budget": game.i18n.localize("urbanjungle.creation.startingGifts"), "spent": spent.gifts, "max": budgets.gifts }));
+    }
+    return errors;
+}
+
+/**
+ * Write a finished creation to the actor, the traits and skills go in a single actor update and the picked gifts are copied over after it
+ * If the gifts cannot be copied, the actor update is undone, so that the character is not left half-made
+ * @param {Actor} actor The character
+ * @param {Object} creation The validated creation state
+ * @returns {Promise<boolean>} Promise of whether the creation was written
+ */
+async function applyCreation(actor, creation) {
+    let update = {};
+    for (let [key, dice] of Object.entries(creation.traits)) {
+        update[`data.traits.${key}.dice`] = dice;
+    }
+    for (let part of ["species", "career"]) {
+        update[`data.traits.${part}.name`] = creation[part].name.trim();
+        update[`data.traits.${part}.dice`] = creation[part].dice;
+        for (let i = 1; i <= 3; ++i) {
+            update[`data.traits.${part}.${part}Skill${i}`] = creation[part]["skill" + i];
+        }
+    }
+    for (let [key, marks] of Object.entries(creation.marks)) {
+        update[`data.skills.${key}.marks`] = marks;
+    }
+    const previous = Object.fromEntries(Object.keys(update).map(x => [x, getProperty(actor.data, x) ?? null]));
+    await actor.update(update);
+
+    const gifts = creation.gifts.map(x => game.items.get(x)?.toObject()).filter(x => !!x);
+    gifts.forEach(x => delete x._id);
+    if (gifts.length > 0) {
+        let created = null;
+        try {
+            created = await actor.createEmbeddedDocuments("Item", gifts);
+        } catch (err) {
+            console.error(err);
+        }
+        if (created?.length !== gifts.length) {
+            if (created?.length > 0) await actor.deleteEmbeddedDocuments("Item", created.map(x => x.id));
+            await actor.update(previous);
+            ui.notifications.error(game.i18n.format("urbanjungle.creation.failed", { "name": actor.name }));
+            return false;
+        }
+    }
+
+    let chatData = {
+        "content": `<div class="urbanjungle"><div class="chat-item"><span>${game.i18n.format("urbanjungle.creation.finished", { "name": actor.name, "species": creation.species.name, "career": creation.career.name })}</span></div></div>`,
+        "speaker": getMacroSpeaker(actor)
+    };
+    ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+    CONFIG.ChatMessage.documentClass.create(chatData);
+    return true;
+}
@@ -0,0 +1,469 @@
+/* -------------------------------------------- */
+/*  Dice Pool Engine                            */
+/* -------------------------------------------- */
+// Everything in this file is plain JavaScript with no Foundry dependencies, so that it can be loaded and run outside of Foundry as well
+// The Foundry-facing dice rollers and helpers should call these for the actual dice math
+// A dice array is indexed by die size, so that dicearray[12] is the number of d12's in the pool, which lets a pool hold dice of any size; unused indices are zero
+
+/**
+ * The standard die sizes of the system, largest first, the ones shown as separate fields in dialogs
+ */
+export const STANDARD_DICE = Object.freeze([12, 10, 8, 6, 4]);
+
+/**
+ * @typedef {{
+ *   successes: number,
+ *   ties: number,
+ *   highest: number,
+ *   botched: boolean,
+ *   hasOne: boolean
+ * }} TNResult
+ */
+
+/**
+ * @typedef {{
+ *   highest: number,
+ *   botched: boolean,
+ *   hasOne: boolean
+ * }} HighestResult
+ */
+
+/**
+ * Create an empty dice array
+ * @returns {number[]} A dice array with no dice in it
+ */
+export function emptyDicePool() {
+    return [];
+}
+
+/**
+ * Add dice of a given size to a dice array, extending the array if needed
+ * @param {number[]} dicearray The dice array to add to, modified in place
+ * @param {number} sides The sides of the dice to add
+ * @param {number} amount The number of dice to add
+ * @returns {number[]} The same dice array, for convenience
+ */
+export function addDice(dicearray, sides, amount = 1) {
+    while (dicearray.length <= sides) {
+        dicearray.push(0);
+    }
+    dicearray[sides] += amount;
+    return dicearray;
+}
+
+/**
+ * Create a dice array from amounts of the standard dice
+ * @param {number} d12 d12's in the pool
+ * @param {number} d10 d10's in the pool
+ * @param {number} d8 d8's in the pool
+ * @param {number} d6 d6's in the pool
+ * @param {number} d4 d4's in the pool
+ * @returns {number[]} The dice array
+ */
+export function standardDicePool(d12 = 0, d10 = 0, d8 = 0, d6 = 0, d4 = 0) {
+    let dicearray = emptyDicePool();
+    [d12, d10, d8, d6, d4].forEach((x, i) => {
+        if (x > 0)
+            addDice(dicearray, STANDARD_DICE[i], x);
+    });
+    return dicearray;
+}
+
+/**
+ * Create the dice array a skill gets from its marks, every five marks give a d12, and the marks left over give a smaller die, from d4 at one mark up to d10 at four
+ * @param {number} marks The number of marks in the skill
+ * @returns {number[]} The dice array
+ */
+export function marksDicePool(marks) {
+    let dicearray = emptyDicePool();
+    if (!(marks > 0))
+        return dicearray;
+
+    const d12s = Math.floor(marks / 5);
+    const remainder = marks % 5;
+    if (d12s > 0)
+        addDice(dicearray, 12, d12s);
+    if (remainder > 0)
+        addDice(dicearray, 2 + remainder * 2, 1);
+    return dicearray;
+}
+
+/**
+ * Get the die sizes present in a dice array, largest first
+ * @param {number[]} dicearray The dice array to check
+ * @returns {number[]} The sides of every die size with a non-zero amount
+ */
+export function getDiceSizes(dicearray) {
+    let sizes = [];
+    for (let i = dicearray.length - 1; i > 0; --i) {
+        if (dicearray[i] > 0)
+            sizes.push(i);
+    }
+    return sizes;
+}
+
+/**
+ * Parse a single part of a dice string, eg. "3d12"
+ * @param {string} dicestring The single dice to be parsed
+ * @returns {number[] | null} Returns a two-part array, first containing the number of dice, second the sides of the die used; returns null if the input cannot be parsed
+ */
+export function parseSingleDie(dicestring) {
+    let bar = dicestring.trim();
+    let index = bar.search(/d/i); // Search for the letter d in the string
+    if (index == -1)
+        return null; // If none found, just return null
+    let total = 0, sides = 0;
+    if (index == 0) // If d is the first character, take it to mean a single die
+        total = 1;
+    else
+        total = parseInt(bar.slice(0, index)); // Otherwise slice the string at d and parse the first part for the number of dice
+    sides = parseInt(bar.slice(index + 1)); // Slice the string at d and parse the second part for the sides of the die
+
+    if (isNaN(total) || isNaN(sides))
+        return null; // If either of the variables end up as NaN, return null
+
+    return [total, sides]; // Return total and sides as an array
+}
+
+/**
+ * Check which dice array index a die with a given number of sides would belong to
+ * Since dice arrays are indexed by die size, any whole number of sides above one is valid
+ * @param {number} sides The sides of the die to check
+ * @returns {number} The dice array index the dice would belong to, or -1 for invalid
+ */
+export function getDieIndex(sides) {
+    if (isNaN(sides)) {
+        console.warn("Something that was NaN inputted to dice index checker: " + sides);
+        return -1;
+    }
+    const index = Number(sides);
+    return (Number.isInteger(index) && index > 1 ? index : -1);
+}
+
+/**
+ * Check whether something is a proper dice array
+ * @param {number[]} dicearray The array to check
+ * @returns {boolean} Whether the array is a dice array
+ */
+export function isDicePool(dicearray) {
+    return Array.isArray(dicearray) && dicearray.every(x => typeof (x) === "number");
+}
+
+/**
+ * Convert a dice array from the old format, which had five slots for the amounts of d12's, d10's, d8's, d6's and d4's in that order, into one indexed by die size
+ * Indices zero and one never hold dice in a size-indexed array, so a five-long array with anything in them can only be an old one
+ * An old array with only d8's, d6's and d4's cannot be told apart from a pool of d2's, d3's and d4's, so those are left as they are
+ * @param {number[]} dicearray The dice array to check
+ * @returns {number[]} A converted copy of an old dice array, or the given array as is
+ */
+export function convertLegacyDicePool(dicearray) {
+    if (!isDicePool(dicearray) || dicearray.length !== STANDARD_DICE.length || !(dicearray[0] || dicearray[1]))
+        return dicearray;
+
+    console.warn("Old five-slot dice array converted to one indexed by die size, use standardDicePool to form dice arrays instead: " + dicearray);
+    return standardDicePool(...dicearray);
+}
+
+/**
+ * Split a string of dice into component forms, separated by commas, then parse them into a dice array
+ * @param {string} dicestring String containing standard dice notation, separated by commas
+ * @returns {number[]} Dice array of the dice in the string
+ */
+export function parseDicePool(dicestring) {
+    let totaldice = emptyDicePool();
+
+    if (typeof (dicestring) !== "string") {
+        console.warn("Something that was not a string inputted to dice parser: " + dicestring);
+        return totaldice;
+    }
+
+    let foos = dicestring.split(",");
+    for (let i = 0; i < foos.length; ++i) {
+        let bar = parseSingleDie(foos[i]);
+        if (!Array.isArray(bar))
+            continue;
+
+        let total = bar[0], sides = bar[1];
+
+        if (total == 0 || sides == 0)
+            continue;
+        let diceindex = getDieIndex(sides);
+        if (diceindex >= 0)
+            addDice(totaldice, diceindex, total);
+        else
+            console.log("Invalid dice found while totaling up dice: " + dicestring);
+    }
+    return totaldice;
+}
+
+/**
+ * Check whether a dice array actually has any dice
+ * @param {number[]} dicearray
+ * @returns {boolean}
+ */
+export function hasDice(dicearray) {
+    if (!isDicePool(dicearray)) {
+        console.warn("Something that was not a dice array inputted to dice array checker: " + dicearray);
+        return false;
+    }
+    return dicearray.some(x => x != 0);
+}
+
+/**
+ * Add two arrays of numbers together, primarily for adding dice pools together
+ * @param {number[]} foo First array
+ * @param {number[]} bar Second array
+ * @param {number} outputLength Set the length of the output array, leave empty or non-positive to auto-calculate from input array lengths
+ * @returns {number[]} New array composed of the added values
+ */
+export function combineDicePools(foo, bar, outputLength = -1) {
+    let total = [];
+
+    if (!Array.isArray(foo) || !Array.isArray(bar)) {
+        if (Array.isArray(foo) && !Array.isArray(bar))
+            return foo;
+        else if (!Array.isArray(foo) && Array.isArray(bar))
+            return bar;
+        else
+            return total;
+    }
+    foo = convertLegacyDicePool(foo);
+    bar = convertLegacyDicePool(bar);
+
+    let totallength = foo.length;
+    if (totallength < bar.length)
+        totallength = bar.length;
+    if (outputLength > 0)
+        totallength = outputLength;
+
+    for (let i = 0; i < totallength; ++i) {
+        if (i < foo.length && i < bar.length)
+            total.push(foo[i] + bar[i]);
+        else if (i < foo.length)
+            total.push(foo[i]);
+        else if (i < bar.length)
+            total.push(bar[i]);
+        else
+            total.push(0);
+    }
+    return total;
+}
+
+/**
+ * Limit a dice array so that no die is larger than the given die, moving the bigger dice down to the limit
+ * @param {number[]} dicearray The dice array to limit
+ * @param {number} maxdie The sides of the largest allowed die, zero or less for no limit
+ * @returns {number[]} A new, limited dice array
+ */
+export function limitDicePool(dicearray, maxdie) {
+    if (!isDicePool(dicearray))
+        return console.warn("Something other than a proper dice array inputted into limit enforcer: " + dicearray);
+    if (isNaN(maxdie))
+        return console.warn("Something other than a number inputted into limit enforcer as the limit: " + maxdie);
+
+    let limit = maxdie;
+    if (!Number.isInteger(limit)) limit = Math.round(limit);
+    let newarray = [...convertLegacyDicePool(dicearray)];
+    if (limit <= 1)
+        return newarray;
+    for (let i = limit + 1; i < newarray.length; ++i) {
+        if (newarray[i] != 0) {
+            addDice(newarray, limit, newarray[i]);
+            newarray[i] = 0;
+        }
+    }
+
+    return newarray;
+}
+
+/**
+ * Form a standard notation dice string from a dice array
+ * @param {number[]} dicearray The array of dice to be parsed
+ * @param {boolean} humanreadable Whether to put spaces between the dice components
+ * @returns {string} The completed string in dice notation
+ */
+export function dicePoolToString(dicearray, humanreadable = false) {
+    if (!isDicePool(dicearray)) {
+        console.warn("Something that was not a dice array inputted to dice string reformer: " + dicearray);
+        return "";
+    }
+    dicearray = convertLegacyDicePool(dicearray);
+
+    let parts = getDiceSizes(dicearray).map(x => (dicearray[x] == 1 ? "" : dicearray[x].toString()) + "d" + x.toString());
+    return parts.join(humanreadable ? ", " : ",");
+}
+
+/**
+ * Get the maximized dice pool value from a dice array
+ * @param {number[]} dicearray The array of dice to get the maximized value from
+ * @returns {number} The number of sides the largest die in the pool has, 0 for an empty pool and -1 for invalid input
+ */
+export function getDicePoolMaxValue(dicearray) {
+    if (!isDicePool(dicearray)) {
+        console.error("Something that was not a dice array inputted to dice pool maximizer: " + dicearray);
+        return -1;
+    }
+    dicearray = convertLegacyDicePool(dicearray);
+
+    const sizes = getDiceSizes(dicearray);
+    return (sizes.length > 0 ? sizes[0] : 0);
+}
+
+/**
+ * Form a roll formula from a dice array, with every die as its own term, eg. "1d12,1d12,1d6"
+ * @param {number[]} dicearray The dice to put into the formula
+ * @returns {string} The formula, empty if there are no dice
+ */
+export function dicePoolToFormula(dicearray) {
+    if (!isDicePool(dicearray)) {
+        console.warn("Something that was not a dice array inputted to dice formula former: " + dicearray);
+        return "";
+    }
+    dicearray = convertLegacyDicePool(dicearray);
+
+    let terms = [];
+    getDiceSizes(dicearray).forEach(x => {
+        for (let j = 0; j < dicearray[x]; ++j) {
+            terms.push("1d" + x.toString());
+        }
+    });
+    return terms.join(",");
+}
+
+/**
+ * Roll the dice in a dice array
+ * @param {number[]} dicearray The dice to roll
+ * @param {Function} rng Function returning a random number between 0 (inclusive) and 1 (exclusive), defaults to Math.random
+ * @returns {number[]} The results of every single die, in the same order as the dice array
+ */
+export function rollDicePool(dicearray, rng = Math.random) {
+    if (!isDicePool(dicearray)) {
+        console.warn("Something that was not a dice array inputted to dice pool roller: " + dicearray);
+        return [];
+    }
+    dicearray = convertLegacyDicePool(dicearray);
+
+    let results = [];
+    getDiceSizes(dicearray).forEach(x => {
+        for (let j = 0; j < dicearray[x]; ++j) {
+            results.push(Math.floor(rng() * x) + 1);
+        }
+    });
+    return results;
+}
+
+/**
+ * Evaluate die results against a target number, a result above the TN is a success and one equal to it a tie
+ * @param {number[]} results The results of the single dice
+ * @param {number} tn The target number
+ * @returns {TNResult} The evaluated results
+ */
+export function evaluateTN(results, tn) {
+    let successes = 0, ties = 0, highest = 0, hasOne = false;
+    results.forEach(x => {
+        if (x > tn) successes++;
+        if (x == tn) ties++;
+        if (x > highest) highest = x;
+        if (x === 1) hasOne = true;
+    });
+    return { "successes": successes, "ties": ties, "highest": highest, "botched": highest == 1, "hasOne": hasOne };
+}
+
+/**
+ * Evaluate die results by the highest die
+ * @param {number[]} results The results of the single dice
+ * @returns {HighestResult} The evaluated results
+ */
+export function evaluateHighest(results) {
+    const highest = results.reduce((acc, x) => Math.max(acc, x), 0);
+    return { "highest": highest, "botched": highest == 1, "hasOne": results.some(x => x === 1) };
+}
+
+/**
+ * Get the overall result type of a TN roll
+ * @param {number} successes The number of successes
+ * @param {number} ties The number of ties
+ * @param {boolean} botched Whether the roll was botched
+ * @returns {string} "success", "botch", "tie" or "failure"
+ */
+export function getTNResultType(successes, ties, botched) {
+    if (successes > 0)
+        return "success";
+    else if (botched)
+        return "botch";
+    else if (ties > 0)
+        return "tie";
+    else
+        return "failure";
+}
+
+/**
+ * Form a formula that copies existing die results as flat numbers
+ * @param {number[]} results The results to copy
+ * @returns {string} A new formula to use for the copy roll
+ */
+export function copyResultsFormula(results) {
+    return results.map(x => x.toString()).join(",");
+}
+
+/**
+ * Form a formula that copies existing die results, except for the first "1", which gets rerolled with its original die
+ * @param {number[]} results The results to copy
+ * @param {string[]} terms The original formula terms of the dice, in the same order as the results
+ * @returns {string} A new formula to use for the reroll, with the first "1" as a die to be rolled
+ */
+export function rerollOneFormula(results, terms) {
+    let onefound = false;
+    return results.map((x, i) => {
+        if (!onefound && x == 1) {
+            onefound = true;
+            return terms[i];
+        }
+        return x.toString();
+    }).join(",");
+}
+
+/**
+ * Calculate the odds of a dice pool roll, using the same rules as evaluateTN
+ * A die counts as a success if it rolls above the TN and as a tie if it rolls exactly the TN, while a botch is every die rolling a one
+ * @param {number[]} dicearray The array of dice to calculate the odds for
+ * @param {number} tn The target number, set to negative to only calculate the botch chance for a highest roll
+ * @returns {Object} The chances of at least one success, a tie without successes and a botch, plus the expected number of successes; NaN if not calculable
+ */
+export function calculateDicePoolOdds(dicearray, tn = -1) {
+    let odds = { "success": NaN, "tie": NaN, "botch": 0, "expected": NaN };
+    if (!isDicePool(dicearray)) {
+        console.warn("Something that was not a dice array inputted to dice odds calculator: " + dicearray);
+        return odds;
+    }
+    dicearray = convertLegacyDicePool(dicearray);
+    if (!hasDice(dicearray)) {
+        return odds; // No dice means no odds to speak of
+    }
+
+    const usetn = !isNaN(tn) && tn >= 0;
+    let noneabove = 1; // Chance that no die rolls above the TN
+    let nonereached = 1; // Chance that no die rolls the TN or above
+    let botch = 1;
+    let expected = 0;
+
+    for (const sides of getDiceSizes(dicearray)) {
+        const amount = dicearray[sides];
+        botch *= Math.pow(1 / sides, amount);
+        if (usetn) {
+            const atmost = Math.min(Math.max(tn, 0), sides) / sides;
+            const below = Math.min(Math.max(tn - 1, 0), sides) / sides;
+            noneabove *= Math.pow(atmost, amount);
+            nonereached *= Math.pow(below, amount);
+            expected += amount * (1 - atmost);
+        }
+    }
+
+    odds.botch = botch;
+    if (usetn) {
+        odds.success = 1 - noneabove;
+        odds.tie = noneabove - nonereached;
+        odds.expected = expected;
+    }
+    return odds;
+}
@@ -0,0 +1,293 @@
+/* -------------------------------------------- */
+/*  Dice Pool Engine Tests                      */
+/* -------------------------------------------- */
+// Headless tests for the dice pool engine, run with "npm test" or "node --test module/dicepool.test.mjs"
+// The engine has no Foundry dependencies, so these run in plain Node
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseDicePool } from "./dicepool.js";
+import { limitDicePool } from "./dicepool.js";
+import { marksDicePool } from "./dicepool.js";
+import { standardDicePool } from "./dicepool.js";
+import { convertLegacyDicePool } from "./dicepool.js";
+import { combineDicePools } from "./dicepool.js";
+import { dicePoolToString } from "./dicepool.js";
+import { rollDicePool } from "./dicepool.js";
+import { evaluateTN } from "./dicepool.js";
+import { evaluateHighest } from "./dicepool.js";
+import { copyResultsFormula } from "./dicepool.js";
+import { rerollOneFormula } from "./dicepool.js";
+import { calculateDicePoolOdds } from "./dicepool.js";
+
+/**
+ * Create a seeded random number generator (mulberry32), so that rolls are the same on every run
+ * @param {number} seed The seed
+ * @returns {Function} Function returning a number between 0 (inclusive) and 1 (exclusive)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create a random number generator that returns the given values in order, looping back to the start
+ * @param {number[]} values The values to return
+ * @returns {Function}
+ */
+function sequenceRandom(values) {
+    let index = 0;
+    return () => values[index++ % values.length];
+}
+
+/**
+ * Compare two dice arrays, ignoring trailing zeroes
+ * @param {number[]} actual
+ * @param {number[]} expected
+ */
+function assertSamePool(actual, expected) {
+    const trim = x => {
+        let copy = [...x];
+        while (copy.length > 0 && !copy[copy.length - 1]) copy.pop();
+        return copy.map(y => y || 0);
+    };
+    assert.deepEqual(trim(actual), trim(expected));
+}
+
+/* -------------------------------------------- */
+/*  Parsing                                     */
+/* -------------------------------------------- */
+
+test("parseDicePool reads standard notation with and without spaces", () => {
+    assertSamePool(parseDicePool("d12, 3d6,2d12"), standardDicePool(3, 0, 0, 3, 0));
+    assertSamePool(parseDicePool("2D8"), standardDicePool(0, 0, 2, 0, 0));
+});
+
+test("parseDicePool supports non-standard dice", () => {
+    const pool = parseDicePool("2d20,d3");
+    assert.equal(pool[20], 2);
+    assert.equal(pool[3], 1);
+});
+
+test("parseDicePool skips parts it cannot parse", () => {
+    assertSamePool(parseDicePool("d8,foo,0d6,d0,d1"), standardDicePool(0, 0, 1, 0, 0));
+    assertSamePool(parseDicePool(""), []);
+    assertSamePool(parseDicePool(null), []);
+});
+
+test("dicePoolToString forms standard notation, largest die first", () => {
+    const pool = standardDicePool(2, 0, 1, 0, 0);
+    assert.equal(dicePoolToString(pool), "2d12,d8");
+    assert.equal(dicePoolToString(pool, true), "2d12, d8");
+    assert.equal(dicePoolToString(parseDicePool("d20,3d6")), "d20,3d6");
+    assert.equal(dicePoolToString([]), "");
+    assert.equal(dicePoolToString("d6"), "");
+});
+
+/* -------------------------------------------- */
+/*  Old Five-Slot Dice Arrays                   */
+/* -------------------------------------------- */
+
+test("convertLegacyDicePool converts five-slot arrays with d12's or d10's", () => {
+    assertSamePool(convertLegacyDicePool([1, 0, 0, 0, 0]), standardDicePool(1));
+    assertSamePool(convertLegacyDicePool([0, 2, 1, 0, 3]), standardDicePool(0, 2, 1, 0, 3));
+});
+
+test("convertLegacyDicePool leaves size-indexed and ambiguous arrays as they are", () => {
+    const pools = [standardDicePool(1, 0, 2), parseDicePool("d3,d4"), [0, 0, 1, 0, 0], []];
+    pools.forEach(x => assert.equal(convertLegacyDicePool(x), x));
+});
+
+test("Old five-slot arrays are read as the dice they meant", () => {
+    assert.equal(dicePoolToString([2, 0, 1, 0, 0]), "2d12,d8");
+    assertSamePool(combineDicePools([1, 0, 0, 0, 0], standardDicePool(0, 0, 0, 1)), standardDicePool(1, 0, 0, 1));
+    assertSamePool(limitDicePool([1, 0, 0, 0, 0], 8), standardDicePool(0, 0, 1));
+    assert.deepEqual(rollDicePool([1, 0, 0, 0, 0], sequenceRandom([0.9999])), [12]);
+});
+
+/* -------------------------------------------- */
+/*  Combining, Limits and Marks                 */
+/* -------------------------------------------- */
+
+test("combineDicePools adds the pools together", () => {
+    assertSamePool(combineDicePools(standardDicePool(1, 0, 2, 0, 0), standardDicePool(0, 1, 1, 0, 3)), standardDicePool(1, 1, 3, 0, 3));
+    assertSamePool(combineDicePools(parseDicePool("d20"), standardDicePool(0, 0, 0, 1, 0)), parseDicePool("d20,d6"));
+});
+
+test("combineDicePools pads the output to the given length", () => {
+    assert.deepEqual(combineDicePools([1, 2], [3], 4), [4, 2, 0, 0]);
+});
+
+test("combineDicePools returns the only array when the other is missing", () => {
+    const pool = standardDicePool(1);
+    assert.equal(combineDicePools(pool, null), pool);
+    assert.equal(combineDicePools(undefined, pool), pool);
+    assert.deepEqual(combineDicePools(null, null), []);
+});
+
+test("limitDicePool moves larger dice down to the limit", () => {
+    const limited = limitDicePool(standardDicePool(2, 1, 1, 0, 1), 8);
+    assertSamePool(limited, standardDicePool(0, 0, 4, 0, 1));
+});
+
+test("limitDicePool does not change the original array or pools already within the limit", () => {
+    const original = standardDicePool(1, 0, 0, 2, 0);
+    const limited = limitDicePool(original, 12);
+    assertSamePool(limited, original);
+    assert.notEqual(limited, original);
+
+    limitDicePool(original, 6);
+    assertSamePool(original, standardDicePool(1, 0, 0, 2, 0));
+});
+
+test("limitDicePool treats a limit of one or less as no limit", () => {
+    assertSamePool(limitDicePool(standardDicePool(1, 1, 0, 0, 0), 0), standardDicePool(1, 1, 0, 0, 0));
+});
+
+test("limitDicePool rejects invalid input", () => {
+    assert.equal(limitDicePool("d12", 8), undefined);
+    assert.equal(limitDicePool(standardDicePool(1), NaN), undefined);
+});
+
+test("marksDicePool gives a die per mark step and a d12 per five marks", () => {
+    assertSamePool(marksDicePool(0), []);
+    assertSamePool(marksDicePool(1), standardDicePool(0, 0, 0, 0, 1));
+    assertSamePool(marksDicePool(2), standardDicePool(0, 0, 0, 1, 0));
+    assertSamePool(marksDicePool(4), standardDicePool(0, 1, 0, 0, 0));
+    assertSamePool(marksDicePool(5), standardDicePool(1, 0, 0, 0, 0));
+    assertSamePool(marksDicePool(7), standardDicePool(1, 0, 0, 1, 0));
+    assertSamePool(marksDicePool(10), standardDicePool(2, 0, 0, 0, 0));
+});
+
+test("marksDicePool gives no dice for negative or missing marks", () => {
+    assertSamePool(marksDicePool(-3), []);
+    assertSamePool(marksDicePool(undefined), []);
+});
+
+/* -------------------------------------------- */
+/*  Rolling and Evaluation                      */
+/* -------------------------------------------- */
+
+test("rollDicePool rolls every die, largest first, within its sides", () => {
+    const pool = standardDicePool(2, 0, 1, 0, 3);
+    const results = rollDicePool(pool, seededRandom(1234));
+    assert.equal(results.length, 6);
+    const sides = [12, 12, 8, 4, 4, 4];
+    results.forEach((x, i) => {
+        assert.ok(Number.isInteger(x) && x >= 1 && x <= sides[i], `die ${i} rolled ${x} on a d${sides[i]}`);
+    });
+});
+
+test("rollDicePool gives the same results for the same seed", () => {
+    const pool = standardDicePool(3, 2, 1, 1, 1);
+    assert.deepEqual(rollDicePool(pool, seededRandom(42)), rollDicePool(pool, seededRandom(42)));
+});
+
+test("rollDicePool maps the injected random numbers to die faces", () => {
+    const pool = standardDicePool(1, 0, 1, 1, 0);
+    assert.deepEqual(rollDicePool(pool, sequenceRandom([0])), [1, 1, 1]);
+    assert.deepEqual(rollDicePool(pool, sequenceRandom([0.9999])), [12, 8, 6]);
+    assert.deepEqual(rollDicePool(pool, sequenceRandom([0.5, 0.25, 0.5])), [7, 3, 4]);
+});
+
+test("rollDicePool rolls nothing for invalid input", () => {
+    assert.deepEqual(rollDicePool("2d6", seededRandom(1)), []);
+});
+
+test("evaluateTN counts successes above the TN and ties at it", () => {
+    const result = evaluateTN([12, 3, 3, 1, 5], 3);
+    assert.deepEqual(result, { "successes": 2, "ties": 2, "highest": 12, "botched": false, "hasOne": true });
+});
+
+test("evaluateTN marks a roll of only ones as a botch", () => {
+    const result = evaluateTN([1, 1], 3);
+    assert.equal(result.botched, true);
+    assert.equal(result.successes, 0);
+    assert.equal(result.ties, 0);
+});
+
+test("evaluateTN works on seeded rolls", () => {
+    const pool = standardDicePool(2, 0, 0, 2, 0);
+    const results = rollDicePool(pool, seededRandom(7));
+    const evaluated = evaluateTN(results, 4);
+    assert.equal(evaluated.successes, results.filter(x => x > 4).length);
+    assert.equal(evaluated.ties, results.filter(x => x === 4).length);
+    assert.equal(evaluated.highest, Math.max(...results));
+});
+
+test("evaluateHighest finds the highest die and botches", () => {
+    assert.deepEqual(evaluateHighest([3, 1, 7]), { "highest": 7, "botched": false, "hasOne": true });
+    assert.deepEqual(evaluateHighest([1, 1]), { "highest": 1, "botched": true, "hasOne": true });
+    assert.deepEqual(evaluateHighest([]), { "highest": 0, "botched": false, "hasOne": false });
+});
+
+test("copyResultsFormula turns the results into flat numbers", () => {
+    assert.equal(copyResultsFormula([12, 3, 1]), "12,3,1");
+    assert.equal(copyResultsFormula([]), "");
+});
+
+test("rerollOneFormula rerolls only the first one with its own die", () => {
+    assert.equal(rerollOneFormula([5, 1, 1], ["1d12", "1d8", "1d6"]), "5,1d8,1");
+    assert.equal(rerollOneFormula([5, 3], ["1d12", "1d8"]), "5,3");
+});
+
+test("rerollOneFormula works on the terms of a seeded roll", () => {
+    const pool = standardDicePool(0, 0, 1, 1, 1);
+    const results = rollDicePool(pool, sequenceRandom([0.5, 0, 0]));
+    assert.deepEqual(results, [5, 1, 1]);
+    assert.equal(rerollOneFormula(results, ["1d8", "1d6", "1d4"]), "5,1d6,1");
+});
+
+/* -------------------------------------------- */
+/*  Odds                                        */
+/* -------------------------------------------- */
+
+test("calculateDicePoolOdds gives exact odds for a single die", () => {
+    const odds = calculateDicePoolOdds(standardDicePool(0, 0, 0, 1, 0), 3);
+    assert.ok(Math.abs(odds.success - 0.5) < 1e-9);
+    assert.ok(Math.abs(odds.tie - 1 / 6) < 1e-9);
+    assert.ok(Math.abs(odds.botch - 1 / 6) < 1e-9);
+    assert.ok(Math.abs(odds.expected - 0.5) < 1e-9);
+});
+
+test("calculateDicePoolOdds combines different dice", () => {
+    const odds = calculateDicePoolOdds(standardDicePool(1, 0, 0, 0, 1), 4);
+    // No success means d12 at most 4 and d4 at most 4, no tie either means both below 4
+    assert.ok(Math.abs(odds.success - (1 - (4 / 12) * 1)) < 1e-9);
+    assert.ok(Math.abs(odds.tie - ((4 / 12) * 1 - (3 / 12) * (3 / 4))) < 1e-9);
+    assert.ok(Math.abs(odds.botch - (1 / 12) * (1 / 4)) < 1e-9);
+    assert.ok(Math.abs(odds.expected - 8 / 12) < 1e-9);
+});
+
+test("calculateDicePoolOdds only gives the botch chance without a TN", () => {
+    const odds = calculateDicePoolOdds(standardDicePool(0, 0, 2, 0, 0));
+    assert.ok(isNaN(odds.success) && isNaN(odds.tie) && isNaN(odds.expected));
+    assert.ok(Math.abs(odds.botch - 1 / 64) < 1e-9);
+});
+
+test("calculateDicePoolOdds gives no odds for an empty or invalid pool", () => {
+    for (let pool of [[], "d6"]) {
+        const odds = calculateDicePoolOdds(pool, 3);
+        assert.ok(isNaN(odds.success) && isNaN(odds.tie) && isNaN(odds.expected));
+    }
+});
+
+test("calculateDicePoolOdds agrees with seeded rolls", () => {
+    const pool = standardDicePool(1, 0, 1, 0, 0);
+    const tn = 6;
+    const odds = calculateDicePoolOdds(pool, tn);
+    const rng = seededRandom(2021);
+    const rounds = 20000;
+    let successes = 0;
+    for (let i = 0; i < rounds; ++i) {
+        if (evaluateTN(rollDicePool(pool, rng), tn).successes > 0) successes++;
+    }
+    assert.ok(Math.abs(successes / rounds - odds.success) < 0.02, `rolled ${successes / rounds}, calculated ${odds.success}`);
+});
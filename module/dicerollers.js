@@ -2,6 +2,17 @@ import { findTotalDice } from "./helpers.js";
 import { getMacroSpeaker } from "./helpers.js";
 import { CommonSystemInfo } from "./helpers.js";
 
+import { dicePoolToFormula } from "./dicepool.js";
+import { standardDicePool } from "./dicepool.js";
+import { combineDicePools } from "./dicepool.js";
+import { evaluateTN } from "./dicepool.js";
+import { evaluateHighest } from "./dicepool.js";
+import { getTNResultType } from "./dicepool.js";
+import { copyResultsFormula } from "./dicepool.js";
+import { rerollOneFormula } from "./dicepool.js";
+
+import { recordExtendedTestRoll } from "./extendedtests.js";
+
 /**
  * @typedef {{
  *   roll: Roll,
@@ -22,37 +33,27 @@ import { CommonSystemInfo } from "./helpers.js";
 /**
  * A common dice roller function to roll a set of dice against a target number
  * @param {number} tni Target number
- * @param {number} d12 d12's to roll
- * @param {number} d10 d10's to roll
- * @param {number} d8 d8's to roll
- * @param {number} d6 d6's to roll
- * @param {number} d4 d4's to roll
+ * @param {number[]} dicearray The dice array to roll
  * @param {string} label Optional value to display some text before the result text
  * @param {Actor} rollingactor Optional value to display the roll as from a specific actor
  * @param {boolean} sendinchat Optional value, set to false for the dice roller to not send the roll message into chat, just create the data for it
  * @returns {Promise<DiceReturn>} Promise of the roll and the message object or data (depending on sendinchat, true | false) in an object
  */
-export async function rollTargetNumber(tni, d12, d10, d8, d6, d4, label = "", rollingactor = null, sendinchat = true) {
-    let rollstring = formRoll(d12, d10, d8, d6, d4);
+export async function rollTargetNumber(tni, dicearray, label = "", rollingactor = null, sendinchat = true) {
+    let rollstring = dicePoolToFormula(dicearray);
     if (rollstring.length == 0)
         return null;
 
     let roll = await new Roll("{" + rollstring + "}cs>" + tni).evaluate({ async: true });
 
-    const successes = roll.total;
-    let highest = 0;
-    let ties = 0;
-    let hasOne = false;
-    roll.terms[0].results.forEach(x => {
-        if (x.result == tni) ties++;
-        if (x.result > highest) highest = x.result;
-        if (x.result === 1) hasOne = true;
-    });
+    const result = evaluateTN(getRollResults(roll), tni);
+    const highest = result.highest;
+    const hasOne = result.hasOne;
 
-    const flavorstring = flavorStringTN(successes, ties, highest == 1, label);
+    const flavorstring = flavorStringTN(result.successes, result.ties, result.botched, label);
 
     /** @type TNData */
-    let tnData = { "successes": successes, "ties": ties };
+    let tnData = { "successes": result.successes, "ties": result.ties };
 
     let msg = await roll.toMessage({
         speaker: getMacroSpeaker(rollingactor),
@@ -60,6 +61,10 @@ export async function rollTargetNumber(tni, d12, d10, d8, d6, d4, label = "", ro
         flags: { "urbanjungle.rollType": "TN", "urbanjungle.label": label, "urbanjungle.originalRoll": true, "urbanjungle.hasOne": hasOne }
     }, { create: sendinchat });
 
+    if (sendinchat && rollingactor) { // Only rolls that actually happened in chat count towards an extended test
+        await recordExtendedTestRoll(rollingactor, tnData, result.botched);
+    }
+
     return { "roll": roll, "highest": highest, "tnData": tnData, "message": msg, "isSent": sendinchat };
 };
 
@@ -76,7 +81,7 @@ export async function copyToRollTN(tni, message, sendinchat = true, rerollone =
         console.log(message);
         return;
     }
-    let rollstring = rerollone ? copyRerollHighestOne(message.roll) : copyDicePoolResult(message.roll);
+    let rollstring = rerollone ? rerollOneFormula(getRollResults(message.roll), getRollTerms(message.roll)) : copyResultsFormula(getRollResults(message.roll));
     if (rollstring.length == 0)
         return;
     let label = message.getFlag("urbanjungle", "label");
@@ -85,21 +90,15 @@ export async function copyToRollTN(tni, message, sendinchat = true, rerollone =
 
     let roll = await new Roll("{" + rollstring + "}cs>" + tni).evaluate({ async: true });
 
-    const successes = roll.total;
-    let highest = 0;
-    let ties = 0;
-    let hasOne = false;
-    roll.terms[0].results.forEach(x => {
-        if (x.result == tni) ties++;
-        if (x.result > highest) highest = x.result;
-        if (x.result === 1) hasOne = true;
-    });
+    const result = evaluateTN(getRollResults(roll), tni);
+    const highest = result.highest;
+    const hasOne = result.hasOne;
 
-    const flavorstring = flavorStringTN(successes, ties, highest == 1,
+    const flavorstring = flavorStringTN(result.successes, result.ties, result.botched,
         `${(rerollone ? game.i18n.localize("urbanjungle.chatInfo.reroll") : game.i18n.localize("urbanjungle.chatInfo.copy"))} ${game.i18n.localize("urbanjungle.chatInfo.tn")}: ` + label);
 
     /** @type TNData */
-    let tnData = { "successes": successes, "ties": ties };
+    let tnData = { "successes": result.successes, "ties": result.ties };
 
     let msg = await roll.toMessage({
         speaker: message.data.speaker,
@@ -114,25 +113,21 @@ export async function copyToRollTN(tni, message, sendinchat = true, rerollone =
 
 /**
  * A common dice roller function to roll a set of dice and take the highest one
- * @param {number} d12 d12's to roll
- * @param {number} d10 d10's to roll
- * @param {number} d8 d8's to roll
- * @param {number} d6 d6's to roll
- * @param {number} d4 d4's to roll
+ * @param {number[]} dicearray The dice array to roll
  * @param {string} label Optional value to display some text before the result text
  * @param {Actor} rollingactor Optional value to display the roll as from a specific actor
  * @param {boolean} sendinchat Optional value, set to false for the dice roller to not send the roll message into chat, just create the data for it
  * @returns {Promise<DiceReturn>} Promise of the roll and the message object or data (depending on sendinchat, true | false) in an object
  */
-export async function rollHighest(d12, d10, d8, d6, d4, label = "", rollingactor = null, sendinchat = true) {
-    let rollstring = formRoll(d12, d10, d8, d6, d4);
+export async function rollHighest(dicearray, label = "", rollingactor = null, sendinchat = true) {
+    let rollstring = dicePoolToFormula(dicearray);
     if (rollstring.length == 0)
         return null;
 
     let roll = await new Roll("{" + rollstring + "}kh1").evaluate({ async: true });
     const flavorstring = flavorStringHighest(roll.total, label);
 
-    let hasOne = roll.terms[0].results.some(x => x.result === 1); // Find if one of the dice rolled a "1"
+    let hasOne = evaluateHighest(getRollResults(roll)).hasOne; // Find if one of the dice rolled a "1"
 
     let msg = await roll.toMessage({
         speaker: getMacroSpeaker(rollingactor),
@@ -156,7 +151,7 @@ export async function copyToRollHighest(message, sendinchat = true, rerollone =
         console.log(message);
         return;
     }
-    let rollstring = rerollone ? copyRerollHighestOne(message.roll) : copyDicePoolResult(message.roll);
+    let rollstring = rerollone ? rerollOneFormula(getRollResults(message.roll), getRollTerms(message.roll)) : copyResultsFormula(getRollResults(message.roll));
     if (rollstring.length == 0)
         return;
     let label = message.getFlag("urbanjungle", "label");
@@ -167,7 +162,7 @@ export async function copyToRollHighest(message, sendinchat = true, rerollone =
     const flavorstring = flavorStringHighest(roll.total,
         `${(rerollone ? game.i18n.localize("urbanjungle.chatInfo.reroll") : game.i18n.localize("urbanjungle.chatInfo.copy"))} ${game.i18n.localize("urbanjungle.chatInfo.high")}: ` + label);
 
-    let hasOne = roll.terms[0].results.some(x => x.result === 1); // Find if one of the dice "rolled" a "1"
+    let hasOne = evaluateHighest(getRollResults(roll)).hasOne; // Find if one of the dice "rolled" a "1"
 
     let msg = await roll.toMessage({
         speaker: message.data.speaker,
@@ -197,8 +192,9 @@ export async function copyToRollHighest(message, sendinchat = true, rerollone =
  * @param {string} label The label given to the roll function to display in the chat message
  * @param {string} rolltitle The title shown as the dialog's purpose, translated if one is found
  * @param {Actor} rollingactor The actor for which the roll is for
+ * @param {string} otherdice Dice of any other size, in standard dice notation
  */
-export async function rollTargetNumberDialog(tn = 3, d12s = 0, d10s = 0, d8s = 0, d6s = 0, d4s = 0, label = "", rolltitle = "", rollingactor = null) {
+export async function rollTargetNumberDialog(tn = 3, d12s = 0, d10s = 0, d8s = 0, d6s = 0, d4s = 0, label = "", rolltitle = "", rollingactor = null, otherdice = "") {
     let confirmed = false;
     const usetranslation = !rolltitle || game.i18n.has(rolltitle); // Use translations if either rolltitle does not exist, or it exists and has a translation equivalent
     let speaker = getMacroSpeaker(rollingactor);
@@ -230,6 +226,10 @@ export async function rollTargetNumberDialog(tn = 3, d12s = 0, d10s = 0, d8s = 0
 	  <div class="form-group">
        <label>${game.i18n.localize("urbanjungle.dialog.macroDefault.d4Dice")}:</label>
 	   <input id="d4s" name="d4s" value="${d4s != 0 ? d4s.toString() : ""}" onfocus="this.select();"></input>
+      </div>
+	  <div class="form-group">
+       <label>${game.i18n.localize("urbanjungle.dialog.macroDefault.otherDice")}:</label>
+	   <input id="others" name="others" value="${otherdice}" onfocus="this.select();"></input>
       </div>
      </form>
      `,
@@ -261,7 +261,8 @@ export async function rollTargetNumberDialog(tn = 3, d12s = 0, d10s = 0, d8s = 0
                     let D6S = 0; if (D6SS.length > 0) D6S = parseInt(D6SS);
                     let D4SS = html.find('[name=d4s]')[0].value;
                     let D4S = 0; if (D4SS.length > 0) D4S = parseInt(D4SS);
-                    resolve(rollTargetNumber(TN, D12S, D10S, D8S, D6S, D4S, label, rollingactor));
+                    let OTHERS = findTotalDice(html.find('[name=others]')[0].value);
+                    resolve(rollTargetNumber(TN, combineDicePools(standardDicePool(D12S, D10S, D8S, D6S, D4S), OTHERS), label, rollingactor));
                 } else {
                     resolve(null);
                 }
@@ -283,8 +284,9 @@ export async function rollTargetNumberDialog(tn = 3, d12s = 0, d10s = 0, d8s = 0
  * @param {string} label The label given to the roll function to display in the chat message
  * @param {string} rolltitle The title shown as the dialog's purpose, translated if one is found
  * @param {Actor} rollingactor The actor for which the roll is for
+ * @param {string} otherdice Dice of any other size, in standard dice notation
  */
-export async function rollHighestDialog(d12s = 0, d10s = 0, d8s = 0, d6s = 0, d4s = 0, label = "", rolltitle = "", rollingactor = null) {
+export async function rollHighestDialog(d12s = 0, d10s = 0, d8s = 0, d6s = 0, d4s = 0, label = "", rolltitle = "", rollingactor = null, otherdice = "") {
     let confirmed = false;
     const usetranslation = !rolltitle || game.i18n.has(rolltitle); // Use translations if either rolltitle does not exist, or it exists and has a translation equivalent
     let speaker = getMacroSpeaker(rollingactor);
@@ -312,6 +314,10 @@ export async function rollHighestDialog(d12s = 0, d10s = 0, d8s = 0, d6s = 0, d4
 	  <div class="form-group">
        <label>${game.i18n.localize("urbanjungle.dialog.macroDefault.d4Dice")}:</label>
 	   <input id="d4s" name="d4s" value="${d4s != 0 ? d4s.toString() : ""}" onfocus="this.select();"></input>
+      </div>
+	  <div class="form-group">
+       <label>${game.i18n.localize("urbanjungle.dialog.macroDefault.otherDice")}:</label>
+	   <input id="others" name="others" value="${otherdice}" onfocus="this.select();"></input>
       </div>
      </form>
      `,
@@ -341,7 +347,8 @@ export async function rollHighestDialog(d12s = 0, d10s = 0, d8s = 0, d6s = 0, d4
                     let D6S = 0; if (D6SS.length > 0) D6S = parseInt(D6SS);
                     let D4SS = html.find('[name=d4s]')[0].value;
                     let D4S = 0; if (D4SS.length > 0) D4S = parseInt(D4SS);
-                    resolve(rollHighest(D12S, D10S, D8S, D6S, D4S, label, rollingactor));
+                    let OTHERS = findTotalDice(html.find('[name=others]')[0].value);
+                    resolve(rollHighest(combineDicePools(standardDicePool(D12S, D10S, D8S, D6S, D4S), OTHERS), label, rollingactor));
                 } else {
                     resolve(null);
                 }
@@ -402,7 +409,7 @@ export async function rollTargetNumberOneLine(tnnum = 3, readydice = "", label =
                     let TN = 0; if (TNSS.length > 0) TN = parseInt(TNSS);
                     let DICES = html.find('[name=dices]')[0].value;
                     let DICE = findTotalDice(DICES);
-                    resolve(rollTargetNumber(TN, DICE[0], DICE[1], DICE[2], DICE[3], DICE[4], label, rollingactor));
+                    resolve(rollTargetNumber(TN, DICE, label, rollingactor));
                 } else {
                     resolve(null);
                 }
@@ -456,7 +463,7 @@ export async function rollHighestOneLine(readydice = "", label = "", rolltitle =
                 if (confirmed) {
                     let DICES = html.find('[name=dices]')[0].value;
                     let DICE = findTotalDice(DICES);
-                    resolve(rollHighest(DICE[0], DICE[1], DICE[2], DICE[3], DICE[4], label, rollingactor));
+                    resolve(rollHighest(DICE, label, rollingactor));
                 } else {
                     resolve(null);
                 }
@@ -522,36 +529,22 @@ export async function copyToRollTNDialog(message, rolltitle = "") {
 /* -------------------------------------------- */
 
 /**
- * Helper function for the dice rollers to form the roll command properly
- * @param {number} d12 d12's to roll
- * @param {number} d10 d10's to roll
- * @param {number} d8 d8's to roll
- * @param {number} d6 d6's to roll
- * @param {number} d4 d4's to roll
- * @returns {string} Properly set-up string to give to a Roll
+ * Helper function to get the results of the single dice of a dice pool roll as plain numbers
+ * @param {Roll} roll The roll to get the results from
+ * @returns {number[]} The results of the dice in the pool
  */
-function formRoll(d12, d10, d8, d6, d4) {
-    let rollstring = "";
-    for (var i = 0; i < d12; i++) {
-        rollstring += "1d12,";
-    }
-    for (var i = 0; i < d10; i++) {
-        rollstring += "1d10,";
-    }
-    for (var i = 0; i < d8; i++) {
-        rollstring += "1d8,";
-    }
-    for (var i = 0; i < d6; i++) {
-        rollstring += "1d6,";
-    }
-    for (var i = 0; i < d4; i++) {
-        rollstring += "1d4,";
-    }
-    if (rollstring.length > 0) {
-        rollstring = rollstring.slice(0, -1);
-    }
-    return rollstring;
-};
+function getRollResults(roll) {
+    return (roll.terms.length > 0 ? roll.terms[0].results.map(x => x.result) : []);
+}
+
+/**
+ * Helper function to get the formula terms of the single dice of a dice pool roll
+ * @param {Roll} roll The roll to get the terms from
+ * @returns {string[]} The formula terms of the dice in the pool
+ */
+function getRollTerms(roll) {
+    return (roll.terms.length > 0 ? roll.terms[0].terms : []);
+}
 
 /**
  * Helper function for the target number dice rollers to form the chat message flavor text properly
@@ -562,19 +555,16 @@ function formRoll(d12, d10, d8, d6, d4) {
  * @returns {string} The formed flavor string
  */
 function flavorStringTN(successes, ties, botched, label) {
-    if (successes > 0) {
-        return (label.length > 0 ? "<p>" + label + "</p>" : "") + `<p style="font-size:${CommonSystemInfo.resultFontSize};color:${CommonSystemInfo.resultColors.success}">${game.i18n.format("urbanjungle.chat.success", { "successes": successes })}</p>`;
-    }
-    else {
-        if (botched) {
-            return (label.length > 0 ? "<p>" + label + "</p>" : "") + `<p style="font-size:${CommonSystemInfo.resultFontSize};color:${CommonSystemInfo.resultColors.botch}">${game.i18n.localize("urbanjungle.chat.botch")}</p>`;
-        }
-        else if (ties > 0) {
-            return (label.length > 0 ? "<p>" + label + "</p>" : "") + `<p style="font-size:${CommonSystemInfo.resultFontSize};color:${CommonSystemInfo.resultColors.tie}">${game.i18n.format("urbanjungle.chat.tie", { "ties": ties })}</p>`;
-        }
-        else {
-            return (label.length > 0 ? "<p>" + label + "</p>" : "") + `<p style="font-size:${CommonSystemInfo.resultFontSize};color:${CommonSystemInfo.resultColors.failure}">${game.i18n.localize("urbanjungle.chat.failure")}</p>`;
-        }
+    const labelstring = (label.length > 0 ? "<p>" + label + "</p>" : "");
+    switch (getTNResultType(successes, ties, botched)) {
+        case "success":
+            return labelstring + `<p style="font-size:${CommonSystemInfo.resultFontSize};color:${CommonSystemInfo.resultColors.success}">${game.i18n.format("urbanjungle.chat.success", { "successes": successes })}</p>`;
+        case "botch":
+            return labelstring + `<p style="font-size:${CommonSystemInfo.resultFontSize};color:${CommonSystemInfo.resultColors.botch}">${game.i18n.localize("urbanjungle.chat.botch")}</p>`;
+        case "tie":
+            return labelstring + `<p style="font-size:${CommonSystemInfo.resultFontSize};color:${CommonSystemInfo.resultColors.tie}">${game.i18n.format("urbanjungle.chat.tie", { "ties": ties })}</p>`;
+        default:
+            return labelstring + `<p style="font-size:${CommonSystemInfo.resultFontSize};color:${CommonSystemInfo.resultColors.failure}">${game.i18n.localize("urbanjungle.chat.failure")}</p>`;
     }
 }
 
@@ -589,51 +579,6 @@ function flavorStringHighest(highest, label) {
     color:${(highest > 1 ? CommonSystemInfo.resultColors.normal : CommonSystemInfo.resultColors.botch)}">${game.i18n.format("urbanjungle.chat.highest", { "highest": highest })}</p>`;
 }
 
-/**
- * Helper function for the dice roller copy functions to turn the dice results of the copied roll into numbers
- * @param {Roll} roll The roll to be copied
- * @returns {string} A new formula to use for the new copy roll
- */
-function copyDicePoolResult(roll) {
-    let formula = "";
-
-    if (roll.terms.length > 0) {
-        roll.terms[0].results.forEach(x => {
-            formula += x.result.toString() + ",";
-        });
-        if (formula.length > 0) {
-            formula = formula.slice(0, -1);
-        }
-    }
-
-    return formula;
-}
-
-/**
- * Helper function for the dice roller copy functions to reroll one "1" and copy the rest of the dice results as numbers
- * @param {Roll} roll
- * @returns {string} A new formula to use for the new copy roll, with the highest "1" as a die to be rolled
- */
-function copyRerollHighestOne(roll) {
-    let onefound = false, formula = "";
-
-    if (roll.terms.length > 0) {
-        roll.terms[0].results.forEach((x, i) => {
-            if (!onefound && x.result == 1) {
-                onefound = true;
-                formula += roll.terms[0].terms[i] + ",";
-            } else {
-                formula += x.result.toString() + ",";
-            }
-        });
-        if (formula.length > 0) {
-            formula = formula.slice(0, -1);
-        }
-    }
-
-    return formula;
-}
-
 /**
  * Helper function for the dice roller to copy hanging attack flags to the copied rolls
  * @param {Message} origin The message to copy the flags from
@@ -650,7 +595,7 @@ async function copyHangingAttackFlags(origin, target, tndata = null) {
         let updatedata = {};
         updatedata.flags = {
             "urbanjungle.hangingAttack": hangingType, "urbanjungle.hangingWeapon": origin.getFlag("urbanjungle", "hangingWeapon"),
-            "urbanjungle.hangingActor": origin.getFlag("urbanjungle", "hangingActor"), "urbanjungle.hangingToken": origin.getFlag("urbanjungle", "hangingToken")
+            "urbanjungle.hangingActor": origin.getFlag("urbanjungle", "hangingActor"), "urbanjungle.hangingToken": origin.getFlag("urbanjungle", "hangingToken"), "urbanjungle.hangingTargets": origin.getFlag("urbanjungle", "hangingTargets")
         };
 
         if (tndata) {
@@ -0,0 +1,244 @@
+import { CommonSystemInfo } from "./helpers.js";
+
+/* -------------------------------------------- */
+/*  Extended Tests                              */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   threshold: number,
+ *   successes: number,
+ *   attempts: number,
+ *   timeCost: number,
+ *   timeUnit: string,
+ *   setback: number,
+ *   active: boolean,
+ *   complete: boolean
+ * }} ExtendedTest
+ */
+
+/**
+ * Get the extended tests stored on an actor
+ * @param {Actor} actor The actor to check
+ * @returns {ExtendedTest[]} Copy of the array of the actor's extended tests
+ */
+export function getExtendedTests(actor) {
+    return duplicate(actor?.getFlag("urbanjungle", "extendedTests") || []);
+}
+
+/**
+ * Get the extended test that TN rolls of the actor currently count towards
+ * @param {Actor} actor The actor to check
+ * @returns {ExtendedTest | undefined} The active test, or undefined if the actor has none
+ */
+export function getActiveExtendedTest(actor) {
+    return getExtendedTests(actor).find(x => x.active);
+}
+
+/**
+ * Start a new extended test for the actor and make it the active one
+ * Every TN roll the actor makes through rollTargetNumber while the test is active adds its successes to it
+ * @param {Actor} actor The actor doing the extended test
+ * @param {string} name The name of the test
+ * @param {number} threshold The amount of successes needed to complete the test, anything that is not a positive number is taken as one
+ * @param {number} timecost How much time a single attempt takes, zero to not track time
+ * @param {string} timeunit The unit of the time cost, eg. "hours"
+ * @param {number} setback How many successes a botch removes, defaults to the world setting
+ * @returns {Promise<ExtendedTest>} Promise of the created test
+ */
+export async function createExtendedTest(actor, name, threshold, timecost = 0, timeunit = "", setback = null) {
+    let tests = getExtendedTests(actor);
+    tests.forEach(x => x.active = false); // Only one test can gather successes at a time
+
+    /** @type {ExtendedTest} */
+    const test = {
+        "id": randomID(),
+        "name": name || game.i18n.localize("urbanjungle.chatInfo.extendedTest.defaultName"),
+        "threshold": Math.max(1, parseInt(threshold) || 1),
+        "successes": 0,
+        "attempts": 0,
+        "timeCost": Math.max(0, parseFloat(timecost) || 0),
+        "timeUnit": timeunit,
+        "setback": Math.max(0, parseInt(setback ?? game.settings.get("urbanjungle", "extendedTestBotchSetback")) || 0),
+        "active": true,
+        "complete": false
+    };
+    tests.push(test);
+    await actor.setFlag("urbanjungle", "extendedTests", tests);
+    return test;
+}
+
+/**
+ * Set which of the actor's extended tests is active, or stop tracking entirely
+ * @param {Actor} actor The actor to change
+ * @param {string} testid The id of the test to activate, or null to deactivate all of them
+ */
+export async function setActiveExtendedTest(actor, testid = null) {
+    let tests = getExtendedTests(actor);
+    tests.forEach(x => x.active = (x.id === testid && !x.complete));
+    await actor.setFlag("urbanjungle", "extendedTests", tests);
+}
+
+/**
+ * Remove an extended test from the actor
+ * @param {Actor} actor The actor to change
+ * @param {string} testid The id of the test to remove
+ */
+export async function deleteExtendedTest(actor, testid) {
+    const tests = getExtendedTests(actor).filter(x => x.id !== testid);
+    await actor.setFlag("urbanjungle", "extendedTests", tests);
+}
+
+/**
+ * Add the result of a TN roll to the actor's active extended test, if it has one, and post the progress to chat
+ * Called by rollTargetNumber for every roll that is sent to chat
+ * @param {Actor} actor The actor who rolled
+ * @param {TNData} tndata The successes and ties of the roll
+ * @param {boolean} botched Whether the roll was a botch
+ * @returns {Promise<ExtendedTest | null>} Promise of the updated test, or null if the actor had no active test
+ */
+export async function recordExtendedTestRoll(actor, tndata, botched) {
+    if (!actor?.isOwner) {
+        return null;
+    }
+    let tests = getExtendedTests(actor);
+    let test = tests.find(x => x.active);
+    if (!test) {
+        return null;
+    }
+
+    const gained = tndata?.successes ?? 0;
+    const lost = (botched ? Math.min(test.setback, test.successes) : 0);
+    test.attempts += 1;
+    test.successes += gained - lost;
+    if (test.successes >= test.threshold) {
+        test.complete = true;
+        test.active = false;
+    }
+
+    await actor.setFlag("urbanjungle", "extendedTests", tests);
+    await extendedTestToChat(actor, test, gained, lost, botched);
+    return test;
+}
+
+/**
+ * Popup a dialog to start a new extended test for the actor, or to switch which of the old ones is active
+ * @param {Actor} actor The actor to popup the dialog for
+ */
+export function popupExtendedTest(actor) {
+    let confirmed = false;
+    let stopped = false;
+    const tests = getExtendedTests(actor).filter(x => !x.complete);
+    let testoptions = `<option value="">${game.i18n.localize("urbanjungle.dialog.extendedTest.newTest")}</option>`;
+    for (let test of tests) {
+        testoptions += `<option value="${test.id}" ${test.active ? "selected" : ""}>${test.name} (${test.successes}/${test.threshold})</option>`;
+    }
+
+    let dlog = new Dialog({
+        title: game.i18n.format("urbanjungle.dialog.extendedTest.title", { "name": actor.name }),
+        content: `
+     <form class="urbanjungle">
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.extendedTest.test")}:</label>
+       <select id="test" name="test">${testoptions}</select>
+      </div>
+      <h2>${game.i18n.localize("urbanjungle.dialog.extendedTest.newTest")}</h2>
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.extendedTest.name")}:</label>
+	   <input id="name" name="name" value="" onfocus="this.select();"></input>
+      </div>
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.extendedTest.threshold")}:</label>
+	   <input id="threshold" name="threshold" value="5" onfocus="this.select();"></input>
+      </div>
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.extendedTest.timeCost")}:</label>
+	   <input id="timecost" name="timecost" value="" placeholder="0" onfocus="this.select();"></input>
+	   <input id="timeunit" name="timeunit" value="" placeholder="${game.i18n.localize("urbanjungle.dialog.extendedTest.timeUnitPlaceholder")}" onfocus="this.select();"></input>
+      </div>
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.extendedTest.setback")}:</label>
+	   <input id="setback" name="setback" value="${game.settings.get("urbanjungle", "extendedTestBotchSetback")}" onfocus="this.select();"></input>
+      </div>
+      <span class="small-text">${game.i18n.localize("urbanjungle.dialog.extendedTest.hint")}</span>
+     </form>
+     `,
+        buttons: {
+            one: {
+                icon: '<i class="fas fa-check"></i>',
+                label: game.i18n.localize("urbanjungle.dialog.extendedTest.track"),
+                callback: () => confirmed = true
+            },
+            two: {
+                icon: '<i class="fas fa-stop"></i>',
+                label: game.i18n.localize("urbanjungle.dialog.extendedTest.stop"),
+                callback: () => stopped = true
+            },
+            three: {
+                icon: '<i class="fas fa-times"></i>',
+                label: game.i18n.localize("urbanjungle.dialog.cancel"),
+                callback: () => confirmed = false
+            }
+        },
+        default: "one",
+        render: html => { document.getElementById("name").focus(); },
+        close: async html => {
+            if (stopped) {
+                await setActiveExtendedTest(actor, null);
+            }
+            else if (confirmed) {
+                let TEST = html.find('[name=test]')[0].value;
+                if (TEST) {
+                    await setActiveExtendedTest(actor, TEST);
+                    return;
+                }
+                let NAME = html.find('[name=name]')[0].value;
+                let THRESHOLDSS = html.find('[name=threshold]')[0].value;
+                let THRESHOLD = 1; if (THRESHOLDSS.length > 0) THRESHOLD = parseInt(THRESHOLDSS) || 1;
+                let TIMECOSTSS = html.find('[name=timecost]')[0].value;
+                let TIMECOST = 0; if (TIMECOSTSS.length > 0) TIMECOST = parseFloat(TIMECOSTSS) || 0;
+                let TIMEUNIT = html.find('[name=timeunit]')[0].value;
+                let SETBACKSS = html.find('[name=setback]')[0].value;
+                let SETBACK = null; if (SETBACKSS.length > 0) SETBACK = parseInt(SETBACKSS) || 0;
+
+                await createExtendedTest(actor, NAME, THRESHOLD, TIMECOST, TIMEUNIT, SETBACK);
+            }
+        }
+    });
+    dlog.render(true);
+}
+
+/* -------------------------------------------- */
+/*  Extended Test Helpers                       */
+/* -------------------------------------------- */
+
+/**
+ * Send the progress of an extended test to chat
+ * @param {Actor} actor The actor doing the test
+ * @param {ExtendedTest} test The test, already updated with the latest roll
+ * @param {number} gained The successes the latest roll added
+ * @param {number} lost The successes the latest roll removed through a botch
+ * @param {boolean} botched Whether the latest roll was a botch
+ */
+async function extendedTestToChat(actor, test, gained, lost, botched) {
+    const templateData = {
+        "header": game.i18n.format("urbanjungle.chatInfo.extendedTest.header", { "name": test.name }),
+        "test": test,
+        "gained": gained,
+        "lost": lost,
+        "botched": botched,
+        "percent": Math.min(100, Math.round(100 * test.successes / test.threshold)),
+        "timeSpent": (test.timeCost > 0 ? game.i18n.format("urbanjungle.chatInfo.extendedTest.timeSpent", { "time": test.attempts * test.timeCost, "unit": test.timeUnit }) : ""),
+        "color": (test.complete ? CommonSystemInfo.resultColors.success : (botched ? CommonSystemInfo.resultColors.botch : CommonSystemInfo.resultColors.normal))
+    };
+
+    let chatData = {
+        content: await renderTemplate("systems/urbanjungle/templates/chat/extended-test.html", templateData),
+        speaker: ChatMessage.getSpeaker({ actor: actor }),
+        flags: { "urbanjungle.extendedTest": test.id }
+    };
+    ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+    CONFIG.ChatMessage.documentClass.create(chatData);
+}
@@ -0,0 +1,198 @@
+import { makeStatCompareReady } from "./helpers.js";
+
+/* -------------------------------------------- */
+/*  Factions                                    */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   order: number,
+ *   allies: string[]
+ * }} Faction
+ */
+
+/**
+ * Get the factions defined for the world, sorted by their initiative order
+ * Allies stored the old way, as a string of faction names, are turned into faction ids
+ * @returns {Faction[]}
+ */
+export function getFactions() {
+    const factions = duplicate(game.settings.get("urbanjungle", "factions") || []);
+    for (let faction of factions) {
+        if (!Array.isArray(faction.allies)) {
+            const names = splitFactionNames(faction.allies);
+            faction.allies = factions.filter(x => x.id !== faction.id && names.includes(makeStatCompareReady(x.name))).map(x => x.id);
+        }
+    }
+    return factions.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Get the faction a combatant's or token's token belongs to
+ * @param {TokenDocument} token The token to check
+ * @returns {Faction | undefined} The faction, or undefined if the token is not assigned to an existing faction
+ */
+export function getTokenFaction(token) {
+    const factionid = token?.getFlag("urbanjungle", "faction");
+    if (!factionid) return;
+    return getFactions().find(x => x.id === factionid);
+}
+
+/**
+ * Check whether two factions are hostile to each other
+ * Factions are hostile unless they are the same faction, or either lists the other as an ally
+ * Tokens without a faction are hostile to every faction and to each other
+ * @param {Faction} a
+ * @param {Faction} b
+ * @returns {boolean}
+ */
+export function areFactionsHostile(a, b) {
+    if (!a || !b) return true;
+    if (a.id === b.id) return false;
+    return !(a.allies?.includes(b.id) || b.allies?.includes(a.id));
+}
+
+/**
+ * Get the initiative group of a token for faction-based initiative, factions earlier in the order go first
+ * @param {TokenDocument} token The token to check
+ * @returns {number} The group, tokens without a faction go last in group 1
+ */
+export function getFactionInitiativeGroup(token) {
+    const factions = getFactions();
+    const faction = getTokenFaction(token);
+    if (!faction) return 1;
+    return factions.length + 1 - factions.findIndex(x => x.id === faction.id);
+}
+
+/**
+ * Assign the given tokens to a faction
+ * @param {Token[]} tokens The tokens to assign
+ * @param {string} factionid The id of the faction, or null to clear the faction
+ */
+export async function assignTokenFaction(tokens, factionid) {
+    for (let token of tokens) {
+        if (factionid) await token.document.setFlag("urbanjungle", "faction", factionid);
+        else await token.document.unsetFlag("urbanjungle", "faction");
+    }
+}
+
+/* -------------------------------------------- */
+/*  Faction Manager                             */
+/* -------------------------------------------- */
+
+/**
+ * Window for the GM to define the world's factions, their initiative order and alliances, and to assign tokens to them
+ * @extends {FormApplication}
+ */
+export class FactionManager extends FormApplication {
+    /** @override */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "faction-manager",
+            template: "systems/urbanjungle/templates/popup/faction-manager.html",
+            title: game.i18n.localize("urbanjungle.factions.title"),
+            classes: ["urbanjungle"],
+            width: 520,
+            height: "auto",
+            closeOnSubmit: false,
+            submitOnChange: true
+        });
+    }
+
+    /** @override */
+    getData(options) {
+        const factions = getFactions();
+        return {
+            "factions": factions.map(x => ({
+                ...x,
+                "tokenCount": canvas.tokens?.placeables.filter(y => y.document.getFlag("urbanjungle", "faction") === x.id).length ?? 0,
+                "allyOptions": factions.filter(y => y.id !== x.id).map(y => ({ "id": y.id, "name": y.name, "checked": x.allies.includes(y.id) }))
+            })),
+            "hasSelected": (canvas.tokens?.controlled.length ?? 0) > 0
+        };
+    }
+
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.faction-add').click(this._onFactionAdd.bind(this));
+        html.find('.faction-delete').click(this._onFactionDelete.bind(this));
+        html.find('.faction-assign').click(this._onFactionAssign.bind(this));
+        html.find('.faction-clear').click(this._onFactionAssign.bind(this));
+    }
+
+    /** @override */
+    async _updateObject(event, formData) {
+        const expanded = expandObject(formData);
+        let factions = getFactions();
+        for (let [index, faction] of Object.entries(expanded.factions || {})) {
+            if (!factions[index]) continue;
+            if (faction.allies) { // The ally checkboxes come in as an object of faction ids and whether they are checked
+                faction.allies = Object.entries(faction.allies).filter(([id, checked]) => checked).map(([id, checked]) => id);
+            }
+            mergeObject(factions[index], faction);
+        }
+        await game.settings.set("urbanjungle", "factions", factions);
+        this.render(false);
+    }
+
+    /**
+     * Handle adding a new faction at the end of the order
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onFactionAdd(event) {
+        event.preventDefault();
+        let factions = getFactions();
+        factions.push({ "id": randomID(), "name": game.i18n.localize("urbanjungle.factions.newFaction"), "order": (factions.length > 0 ? factions[factions.length - 1].order + 1 : 0), "allies": [] });
+        await game.settings.set("urbanjungle", "factions", factions);
+        this.render(false);
+    }
+
+    /**
+     * Handle deleting a faction
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onFactionDelete(event) {
+        event.preventDefault();
+        const factionid = event.currentTarget.dataset.id;
+        let factions = getFactions().filter(x => x.id !== factionid);
+        factions.forEach(x => x.allies = x.allies.filter(y => y !== factionid));
+        await game.settings.set("urbanjungle", "factions", factions);
+        this.render(false);
+    }
+
+    /**
+     * Handle assigning the selected tokens to a faction, or clearing their faction
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onFactionAssign(event) {
+        event.preventDefault();
+        const tokens = canvas.tokens?.controlled || [];
+        if (tokens.length == 0) {
+            ui.notifications.warn(game.i18n.localize("urbanjungle.ui.noTokensForFaction"));
+            return;
+        }
+        await assignTokenFaction(tokens, event.currentTarget.dataset.id || null);
+        this.render(false);
+    }
+}
+
+/* -------------------------------------------- */
+/*  Faction Helpers                             */
+/* -------------------------------------------- */
+
+/**
+ * Split a comma-separated list of faction names into comparison-ready names, for allies stored by name
+ * @param {string} names
+ * @returns {string[]}
+ */
+function splitFactionNames(names) {
+    if (typeof names !== "string") return [];
+    return names.split(",").map(x => makeStatCompareReady(x)).filter(x => x.length > 0);
+}
@@ -0,0 +1,237 @@
+import { makeStatCompareReady } from "./helpers.js";
+import { findTotalDice } from "./helpers.js";
+
+import { hasConditionsIronclaw } from "./conditions.js";
+
+/* -------------------------------------------- */
+/*  Gift Effect Registry                        */
+/* -------------------------------------------- */
+
+/**
+ * @typedef {{
+ *   type: string,
+ *   rolls: string,
+ *   conditions: string,
+ *   skills: string,
+ *   requires: string,
+ *   overrides: string,
+ *   source: string,
+ *   dice: string,
+ *   stat: string,
+ *   label: string,
+ *   stride: number,
+ *   dash: number,
+ *   run: number,
+ *   sprintRun: boolean,
+ *   encumbrance: number
+ * }} GiftEffect
+ */
+
+/**
+ * Common info about the effects gifts can have
+ * The list fields of an effect (rolls, conditions, skills, requires, overrides) are comma-separated strings, so that they can be edited directly on the gift sheet
+ */
+export class CommonGiftInfo {
+    /**
+     * The kinds of effect a gift can have
+     * dice: adds a dice pool to the chosen rolls, stat: prechecks a stat in the chosen rolls, movement: changes stride, dash and run, encumbrance: raises the encumbrance limits
+     */
+    static effectTypes = Object.freeze(["dice", "stat", "movement", "encumbrance"]);
+    /**
+     * The roll types that dice and stat effects can target, parries and dodges also count as defense rolls
+     */
+    static rollTypes = Object.freeze(["attack", "defense", "parry", "dodge", "counter", "soak", "initiative", "sprint"]);
+    /**
+     * Where a dice effect takes its dice from: the gift's own dice, the dice field of the effect, or the held shield's cover die
+     */
+    static diceSources = Object.freeze(["gift", "dice", "shield"]);
+    /**
+     * Built-in sources of roll bonuses that are not gifts, but can still be overridden by gift effects
+     */
+    static builtInSources = Object.freeze(["guarding"]);
+
+    /**
+     * The built-in effects of the book gifts, used for any gift that has no effects of its own set on its sheet
+     * Keyed by the comparison-ready gift name
+     */
+    static defaultEffects = Object.freeze({
+        "fastmover": [{ "type": "movement", "stride": 1, "dash": 2, "run": 6 }],
+        "allfours": [{ "type": "movement", "conditions": "allfours", "requires": "fastmover", "stride": 1, "dash": 2, "run": 6 }],
+        "coward": [
+            { "type": "movement", "conditions": "afraid, terrified", "stride": 1, "dash": 3, "run": 9 },
+            { "type": "dice", "rolls": "dodge", "conditions": "afraid, terrified", "skills": "evasion", "source": "gift" }
+        ],
+        "flightoftheprey": [
+            { "type": "movement", "conditions": "afraid", "requires": "coward", "overrides": "coward", "stride": 1, "dash": 4, "run": 16 },
+            { "type": "dice", "rolls": "defense", "conditions": "afraid", "requires": "coward", "overrides": "coward", "source": "gift" }
+        ],
+        "ophidian": [{ "type": "movement", "stride": 2, "dash": -2 }],
+        "flight": [
+            { "type": "movement", "conditions": "flying", "stride": 3, "run": 12, "sprintRun": true },
+            { "type": "stat", "rolls": "sprint", "conditions": "flying", "stat": "weathersense" }
+        ],
+        "wings": [{ "type": "movement", "conditions": "flying", "stride": 1 }],
+        "dangersense": [{ "type": "dice", "rolls": "initiative", "source": "gift" }],
+        "resolve": [{ "type": "stat", "rolls": "soak", "stat": "will" }],
+        "naturalarmor": [{ "type": "stat", "rolls": "soak", "stat": "species" }],
+        "shieldsoak": [{ "type": "dice", "rolls": "soak", "source": "shield" }],
+        "guardsoak": [{ "type": "dice", "rolls": "soak", "conditions": "guarding", "source": "dice", "dice": "d8", "label": "urbanjungle.dialog.dicePool.guardSoak" }],
+        "veteran": [
+            { "type": "dice", "rolls": "defense, counter", "conditions": "guarding", "overrides": "guarding", "source": "gift", "label": "urbanjungle.dialog.dicePool.guardingVeteran" },
+            { "type": "dice", "rolls": "soak", "conditions": "guarding", "requires": "guardsoak", "overrides": "guardsoak", "source": "gift", "label": "urbanjungle.dialog.dicePool.guardSoakVeteran" }
+        ],
+        "focusedfighter": [{ "type": "dice", "rolls": "defense, counter", "conditions": "focused", "source": "gift" }],
+        "fencing": [{ "type": "stat", "rolls": "parry", "stat": "evasion" }],
+        "strength": [
+            { "type": "dice", "rolls": "attack", "skills": "fighting, athletics", "source": "gift" },
+            { "type": "encumbrance", "encumbrance": 1 }
+        ],
+        "improvedstrength": [
+            { "type": "dice", "rolls": "attack", "skills": "fighting, athletics", "overrides": "strength", "source": "gift" },
+            { "type": "encumbrance", "overrides": "strength", "encumbrance": 2 }
+        ],
+        "giant": [{ "type": "encumbrance", "encumbrance": 1 }]
+    });
+
+    /**
+     * Get a blank gift effect with every field set
+     * @param {string} type The type of the effect
+     * @returns {GiftEffect}
+     */
+    static emptyEffect(type = "dice") {
+        return {
+            "type": type, "rolls": "", "conditions": "", "skills": "", "requires": "", "overrides": "", "source": "gift", "dice": "", "stat": "", "label": "",
+            "stride": 0, "dash": 0, "run": 0, "sprintRun": false, "encumbrance": 0
+        };
+    }
+}
+
+/**
+ * Get the effects of a single gift, either the ones set on its sheet or the built-in ones for its name
+ * @param {Item} gift The gift to check
+ * @returns {GiftEffect[]} The effects of the gift, with every field filled in
+ */
+export function getGiftEffects(gift) {
+    const own = gift?.data.data.giftEffects;
+    const effects = (Array.isArray(own) && own.length > 0 ? own : CommonGiftInfo.defaultEffects[makeStatCompareReady(gift?.data.name)]) || [];
+    return effects.map(x => mergeObject(CommonGiftInfo.emptyEffect(), x, { inplace: false }));
+}
+
+/**
+ * Whether the gift runs on the built-in effects of its name, rather than ones set on its sheet
+ * @param {Item} gift The gift to check
+ * @returns {boolean}
+ */
+export function usesDefaultGiftEffects(gift) {
+    const own = gift?.data.data.giftEffects;
+    return !(Array.isArray(own) && own.length > 0) && !!CommonGiftInfo.defaultEffects[makeStatCompareReady(gift?.data.name)];
+}
+
+/**
+ * Get every gift effect of the actor that currently applies to the given kind of effect and roll
+ * Effects whose gates (conditions, skills, required gifts) are not met are left out, as are effects overridden by another applying effect
+ * @param {Actor} actor The actor whose gifts to check
+ * @param {string} type The effect type to get
+ * @param {string[]} rolltags The tags of the roll, eg. ["defense", "parry"], empty for effects that are not tied to rolls
+ * @param {string[]} prechecked The stats prechecked for the roll, used to check the skill gates
+ * @returns {{effects: Object[], overridden: Set<string>}} The applying effects, each with the gift they come from, and the set of overridden gift and built-in source names
+ */
+export function getActiveGiftEffects(actor, type, rolltags = [], prechecked = []) {
+    const gifts = actor.items.filter(x => x.data.type === "gift");
+    const giftnames = new Set(gifts.map(x => makeStatCompareReady(x.data.name)));
+
+    let applying = [];
+    for (let gift of gifts) {
+        for (let effect of getGiftEffects(gift)) {
+            if (effect.type !== type) continue;
+            if (rolltags.length > 0 && !splitEffectList(effect.rolls).some(x => rolltags.includes(x))) continue;
+
+            const conditions = splitEffectList(effect.conditions);
+            if (conditions.length > 0 && !hasConditionsIronclaw(conditions, actor)) continue;
+            const skills = splitEffectList(effect.skills);
+            if (skills.length > 0 && !skills.some(x => prechecked.includes(x))) continue;
+            const requires = splitEffectList(effect.requires);
+            if (!requires.every(x => giftnames.has(x))) continue;
+
+            applying.push({ "gift": gift, "effect": effect });
+        }
+    }
+
+    const overridden = new Set();
+    applying.forEach(x => splitEffectList(x.effect.overrides).forEach(y => overridden.add(y)));
+    return {
+        "effects": applying.filter(x => !overridden.has(makeStatCompareReady(x.gift.data.name))),
+        "overridden": overridden
+    };
+}
+
+/**
+ * Get the dice and label that a dice effect adds to a roll
+ * @param {Actor} actor The actor making the roll
+ * @param {Object} entry An entry from getActiveGiftEffects
+ * @returns {{label: string, dice: number[]} | null} The label and dice to add, or null if the effect has nothing to add
+ */
+export function getGiftEffectDice(actor, entry) {
+    const effect = entry.effect;
+    let label = effect.label ? game.i18n.localize(effect.label) : entry.gift.data.name;
+    let dice = null;
+    switch (effect.source) {
+        case "dice":
+            dice = findTotalDice(effect.dice);
+            break;
+        case "shield":
+            const shield = actor.items.find(x => x.data.data.held === true && x.data.data.coverArray);
+            if (shield) {
+                dice = shield.data.data.coverArray;
+                label = shield.data.name;
+            }
+            break;
+        default:
+            dice = entry.gift.data.data.giftArray;
+            break;
+    }
+    return (Array.isArray(dice) && dice.some(x => x > 0) ? { "label": label, "dice": dice } : null);
+}
+
+/**
+ * Sum up the movement bonuses the actor's gifts currently give
+ * @param {Actor} actor The actor to check
+ * @returns {{stride: number, dash: number, run: number, sprintRun: boolean}} The total bonuses, and whether the run should use the maximized Sprint instead of Speed
+ */
+export function getGiftMovementBonus(actor) {
+    let bonus = { "stride": 0, "dash": 0, "run": 0, "sprintRun": false };
+    for (let entry of getActiveGiftEffects(actor, "movement").effects) {
+        bonus.stride += entry.effect.stride || 0;
+        bonus.dash += entry.effect.dash || 0;
+        bonus.run += entry.effect.run || 0;
+        bonus.sprintRun = bonus.sprintRun || entry.effect.sprintRun;
+    }
+    return bonus;
+}
+
+/**
+ * Sum up the encumbrance levels the actor's gifts currently give, each level raises every encumbrance limit by its multiplier
+ * @param {Actor} actor The actor to check
+ * @returns {number} The total encumbrance bonus level
+ */
+export function getGiftEncumbranceBonus(actor) {
+    let bonus = 0;
+    for (let entry of getActiveGiftEffects(actor, "encumbrance").effects) {
+        bonus += entry.effect.encumbrance || 0;
+    }
+    return bonus;
+}
+
+/* -------------------------------------------- */
+/*  Gift Effect Helpers                         */
+/* -------------------------------------------- */
+
+/**
+ * Split a comma-separated effect list field into comparison-ready entries
+ * @param {string} list The list field
+ * @returns {string[]} The non-empty entries
+ */
+function splitEffectList(list) {
+    if (typeof list !== "string") return [];
+    return list.split(",").map(x => makeStatCompareReady(x)).filter(x => x.length > 0);
+}
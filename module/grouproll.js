@@ -0,0 +1,215 @@
+import { findTotalDice } from "./helpers.js";
+import { addArrays } from "./helpers.js";
+import { splitStatString } from "./helpers.js";
+import { splitStatsAndBonus } from "./helpers.js";
+import { checkDiceArrayEmpty } from "./helpers.js";
+import { CommonSystemInfo } from "./helpers.js";
+
+import { rollTargetNumber } from "./dicerollers.js";
+
+import { getTNResultType } from "./dicepool.js";
+
+import { hasConditionsIronclaw } from "./conditions.js";
+
+/* -------------------------------------------- */
+/*  Group Rolls                                 */
+/* -------------------------------------------- */
+
+/**
+ * Roll the same dice pool for a group of actors and post a summary card of the results
+ * Every actor's roll is sent to chat as a normal roll message as well, so that they can still be copied and changed as usual
+ * @param {string | string[]} stats The traits and skills to roll, either as an array or a string separated by commas
+ * @param {number} tn The target number of the roll
+ * @param {string} extradice Extra dice to add to every roll
+ * @param {Actor[]} actors The actors to roll for, defaults to the actors of the selected tokens, or to every player character if none are selected
+ * @returns {Promise<Object[]>} Promise of the result rows, in the same order as in the summary card
+ */
+export async function groupRoll(stats, tn = 3, extradice = "", actors = null) {
+    const statarray = (Array.isArray(stats) ? stats : splitStatString(stats));
+    const usedactors = actors || getGroupRollActors();
+    if (usedactors.length == 0) {
+        ui.notifications.warn(game.i18n.localize("urbanjungle.ui.noActorsForGroupRoll"));
+        return [];
+    }
+    const extraarray = findTotalDice(extradice);
+
+    let rows = [];
+    for (let actor of usedactors) { // Rolled one by one so that the individual messages show up in chat in the same order as the actors
+        const burdened = hasConditionsIronclaw("burdened", actor);
+        const pool = actor._getDicePools(statarray, statarray, burdened);
+        let totaldice = pool.totalDice;
+        let label = game.i18n.localize("urbanjungle.chat.rollingGroup") + ": " + pool.label;
+        if (checkDiceArrayEmpty(extraarray)) {
+            totaldice = addArrays(totaldice, extraarray);
+            label += " + extra";
+        }
+        if (!checkDiceArrayEmpty(totaldice)) {
+            rows.push({ "name": actor.name, "img": actor.img, "rolled": false });
+            continue;
+        }
+
+        const rollreturn = await rollTargetNumber(tn, totaldice, label + ".", actor);
+        const result = getGroupRollResult(rollreturn);
+        rows.push({ "name": actor.name, "img": actor.img, "rolled": true, "messageId": rollreturn.message?.id, ...result });
+    }
+
+    rows.sort((a, b) => compareGroupRollRows(a, b));
+    await groupRollToChat(statarray, tn, rows);
+    return rows;
+}
+
+/**
+ * Popup a dialog asking for the stats and the TN of a group roll
+ * @param {string} stats The default stats to show in the dialog
+ * @param {number} tn The default TN to show in the dialog
+ */
+export async function popupGroupRoll(stats = "", tn = 3) {
+    let confirmed = false;
+    const hasselected = canvas.tokens?.controlled.length > 0;
+    let dlog = new Dialog({
+        title: game.i18n.localize("urbanjungle.dialog.groupRoll.title"),
+        content: `
+     <form class="urbanjungle">
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.groupRoll.stats")}:</label>
+	   <input id="stats" name="stats" value="${stats}" onfocus="this.select();"></input>
+      </div>
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.groupRoll.tn")}:</label>
+	   <input id="tn" name="tn" value="${tn}" onfocus="this.select();"></input>
+      </div>
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.dicePool.extraDice")}:</label>
+	   <input id="dices" name="dices" value="" onfocus="this.select();"></input>
+      </div>
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.groupRoll.useSelected")}:</label>
+       <input type="checkbox" id="selected" name="selected" value="1" ${hasselected ? "checked" : ""}></input>
+      </div>
+     </form>
+     `,
+        buttons: {
+            one: {
+                icon: '<i class="fas fa-check"></i>',
+                label: game.i18n.localize("urbanjungle.dialog.roll"),
+                callback: () => confirmed = true
+            },
+            two: {
+                icon: '<i class="fas fa-times"></i>',
+                label: game.i18n.localize("urbanjungle.dialog.cancel"),
+                callback: () => confirmed = false
+            }
+        },
+        default: "one",
+        render: html => { document.getElementById("stats").focus(); },
+        close: async html => {
+            if (confirmed) {
+                let STATS = html.find('[name=stats]')[0].value;
+                let TNSS = html.find('[name=tn]')[0].value;
+                let TN = 3; if (TNSS.length > 0) TN = parseInt(TNSS);
+                let DICES = html.find('[name=dices]')[0].value;
+                let SELECTED = html.find('[name=selected]')[0];
+                let useselected = SELECTED.checked;
+
+                await groupRoll(STATS, TN, DICES, getGroupRollActors(!useselected));
+            }
+        }
+    });
+    dlog.render(true);
+}
+
+/**
+ * A function intended for the ChatCommands integration, it takes a stat string and rolls it as a group roll
+ * @param {string} inputstring A stat string, with a target number attached to it after an extra semicolon after the extra dice section
+ */
+export function groupRollChat(inputstring) {
+    if (typeof inputstring !== "string") {
+        console.warn("Something other than a string inputted into groupRollChat: " + inputstring);
+        return;
+    }
+
+    let tn = 3;
+    let usedstring = inputstring;
+    let foo = inputstring.split(";"); // Same format as the actor roll command, the value after the second semicolon is the TN
+    if (foo.length > 2) {
+        let bar = parseInt(foo[2].trim());
+        if (!isNaN(bar))
+            tn = bar;
+        usedstring = inputstring.slice(0, inputstring.lastIndexOf(";"));
+    }
+
+    let firstsplit = splitStatsAndBonus(usedstring);
+    groupRoll(firstsplit[0], tn, firstsplit[1]);
+}
+
+/* -------------------------------------------- */
+/*  Group Roll Helpers                          */
+/* -------------------------------------------- */
+
+/**
+ * Get the default actors for a group roll
+ * @param {boolean} playersonly If true, ignore the selected tokens and only get the player characters
+ * @returns {Actor[]} The actors of the selected tokens, or every player character if no tokens are selected
+ */
+function getGroupRollActors(playersonly = false) {
+    let actors = [];
+    if (!playersonly) {
+        canvas.tokens?.controlled.forEach(x => { if (x.actor) actors.push(x.actor); });
+    }
+    if (actors.length == 0) {
+        actors = game.actors.filter(x => x.data.type === "character" && x.hasPlayerOwner);
+    }
+    return actors;
+}
+
+/**
+ * Turn a roll return into the data shown in a group roll row
+ * @param {DiceReturn} rollreturn The roll return
+ * @returns {Object} The successes, ties, whether the roll was a botch, and the result type
+ */
+function getGroupRollResult(rollreturn) {
+    const successes = rollreturn?.tnData?.successes ?? 0;
+    const ties = rollreturn?.tnData?.ties ?? 0;
+    const botched = rollreturn?.highest == 1;
+
+    const result = getTNResultType(successes, ties, botched);
+    return { "successes": successes, "ties": ties, "botched": botched, "result": result, "color": CommonSystemInfo.resultColors[result] };
+}
+
+/**
+ * Sort comparison for group roll rows, best result first and botches last
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareGroupRollRows(a, b) {
+    const order = { "success": 0, "tie": 1, "failure": 2, "botch": 3 };
+    const aorder = (a.rolled ? order[a.result] : 4);
+    const border = (b.rolled ? order[b.result] : 4);
+    if (aorder != border)
+        return aorder - border;
+    if (a.successes != b.successes)
+        return b.successes - a.successes;
+    return b.ties - a.ties;
+}
+
+/**
+ * Send the summary card of a group roll to chat
+ * @param {string[]} stats The stats rolled
+ * @param {number} tn The TN of the roll
+ * @param {Object[]} rows The sorted result rows
+ */
+async function groupRollToChat(stats, tn, rows) {
+    const templateData = {
+        "header": game.i18n.format("urbanjungle.chatInfo.groupRoll.header", { "stats": stats.join(", "), "tn": tn }),
+        "rows": rows
+    };
+
+    let chatData = {
+        content: await renderTemplate("systems/urbanjungle/templates/chat/group-roll.html", templateData),
+        speaker: ChatMessage.getSpeaker({ user: game.user }),
+        flags: { "urbanjungle.groupRoll": true }
+    };
+    ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+    CONFIG.ChatMessage.documentClass.create(chatData);
+}
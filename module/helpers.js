@@ -1,9 +1,22 @@
+import { parseDicePool } from "./dicepool.js";
+import { parseSingleDie } from "./dicepool.js";
+import { getDieIndex } from "./dicepool.js";
+import { hasDice } from "./dicepool.js";
+import { combineDicePools } from "./dicepool.js";
+import { limitDicePool } from "./dicepool.js";
+import { dicePoolToString } from "./dicepool.js";
+import { getDicePoolMaxValue } from "./dicepool.js";
+
 /** Common class for common system info that might be used */
 export class CommonSystemInfo {
     /**
-     * List of stats that are limited by the Burdened condition
+     * List of traits that are limited by the Burdened condition, the limited skills are flagged in the world's skill list
+     */
+    static burdenedTraits = Object.freeze(["speed"]);
+    /**
+     * List of the default skills that are limited by the Burdened condition, used until the GM edits the world's skill list
      */
-    static burdenedList = Object.freeze(["speed", "climbing", "dodge", "endurance", "jumping", "stealth", "swimming"]);
+    static defaultBurdenedSkills = Object.freeze(["athletics", "endurance", "evasion"]);
     /**
      * List of CSS colors to use for different message types
      */
@@ -12,6 +25,14 @@ export class CommonSystemInfo {
      * Font size assigned to the dice result message
      */
     static resultFontSize = "1.7em";
+    /**
+     * The kinds of vehicles, for the vehicle sheet
+     */
+    static vehicleTypes = Object.freeze(["car", "bike", "boat"]);
+    /**
+     * The speed bands of vehicles, from standing still to flat out, a vehicle's max speed band is an index into this list
+     */
+    static speedBands = Object.freeze(["stationary", "crawling", "cruising", "fast", "flatOut"]);
 }
 
 
@@ -19,37 +40,15 @@ export class CommonSystemInfo {
 /*  Dice Helpers                                */
 /* -------------------------------------------- */
 // Note that the dicerollers.js has some of its own helpers, the difference is that these ones could / are also be used elsewhere, whereas the dicerollers.js helpers are purely for its internal use
+// The dice math itself lives in dicepool.js, these helpers just pass through to it so the rest of the system need not care
 
 /**
  * Helper function to split a string of dice into component forms, separated by commas, then parsed into an array, to allow easy rolling
  * @param {string} dicestring String containing standard dice notation, separated by commas
- * @returns {number[]} Array of dice in the string, in this order: d12, d10, d8, d6, d4
+ * @returns {number[]} Array of dice in the string, indexed by die size so that index 12 holds the number of d12's
  */
 export function findTotalDice(dicestring) {
-    let totaldice = [0, 0, 0, 0, 0];
-
-    if (typeof (dicestring) !== "string") {
-        console.warn("Something that was not a string inputted to dice parser: " + dicestring);
-        return totaldice;
-    }
-
-    let foos = dicestring.split(",");
-    for (let i = 0; i < foos.length; ++i) {
-        let bar = parseSingleDiceString(foos[i]);
-        if (!Array.isArray(bar))
-            continue;
-
-        let total = bar[0], sides = bar[1];
-
-        if (total == 0 || sides == 0)
-            continue;
-        let diceindex = checkDiceArrayIndex(sides);
-        if (diceindex >= 0)
-            totaldice[diceindex] += total;
-        else
-            console.log("Non-standard dice found while totaling up dice: " + dicestring);
-    }
-    return totaldice;
+    return parseDicePool(dicestring);
 }
 
 /**
@@ -58,21 +57,7 @@ export function findTotalDice(dicestring) {
  * @returns {number[] | null} Returns a two-part array, first containing the number of dice, second the sides of the die used; returns null if the input cannot be parsed
  */
 export function parseSingleDiceString(dicestring) {
-    let bar = dicestring.trim();
-    let index = bar.search(/d/i); // Search for the letter d in the string
-    if (index == -1)
-        return null; // If none found, just return null
-    let total = 0, sides = 0;
-    if (index == 0) // If d is the first character, take it to mean a single die
-        total = 1;
-    else
-        total = parseInt(bar.slice(0, index)); // Otherwise slice the string at d and parse the first part for the number of dice
-    sides = parseInt(bar.slice(index + 1)); // Slice the string at d and parse the second part for the sides of the die
-
-    if (isNaN(total) || isNaN(sides))
-        return null; // If either of the variables end up as NaN, return null
-
-    return [total, sides]; // Return total and sides as an array
+    return parseSingleDie(dicestring);
 }
 
 /**
@@ -81,23 +66,7 @@ export function parseSingleDiceString(dicestring) {
  * @returns {number} The dice array index the dice would belong to, or -1 for invalid
  */
 export function checkDiceArrayIndex(sides) {
-    if (isNaN(sides)) {
-        console.warn("Something that was NaN inputted to dice index checker: " + sides);
-        return -1;
-    }
-
-    if (sides == 12)
-        return 0;
-    else if (sides == 10)
-        return 1;
-    else if (sides == 8)
-        return 2;
-    else if (sides == 6)
-        return 3;
-    else if (sides == 4)
-        return 4;
-    else
-        return -1;
+    return getDieIndex(sides);
 }
 
 /**
@@ -106,16 +75,7 @@ export function checkDiceArrayIndex(sides) {
  * @returns {boolean}
  */
 export function checkDiceArrayEmpty(dicearray) {
-    if (!Array.isArray(dicearray)) {
-        console.warn("Something that was not an array inputted to dice array checker: " + dicearray);
-        return false;
-    }
-    if (dicearray.length != 5) {
-        console.warn("Something that was not a dice array (based on length) inputted to dice array checker: " + dicearray);
-        return false;
-    }
-
-    return dicearray[0] != 0 || dicearray[1] != 0 || dicearray[2] != 0 || dicearray[3] != 0 || dicearray[4] != 0;
+    return hasDice(dicearray);
 }
 
 /**
@@ -126,59 +86,17 @@ export function checkDiceArrayEmpty(dicearray) {
  * @returns {number[]} New array composed of the added values
  */
 export function addArrays(foo, bar, outputLength = -1) {
-    let total = [];
-
-    if (!Array.isArray(foo) || !Array.isArray(bar)) {
-        if (Array.isArray(foo) && !Array.isArray(bar))
-            return foo;
-        else if (!Array.isArray(foo) && Array.isArray(bar))
-            return bar;
-        else
-            return total;
-    }
-
-    let totallength = foo.length;
-    if (totallength < bar.length)
-        totallength = bar.length;
-    if (outputLength > 0)
-        totallength = outputLength;
-
-    for (let i = 0; i < totallength; ++i) {
-        if (i < foo.length && i < bar.length)
-            total.push(foo[i] + bar[i]);
-        else if (i < foo.length)
-            total.push(foo[i]);
-        else if (i < bar.length)
-            total.push(bar[i]);
-        else
-            total.push(0);
-    }
-    return total;
+    return combineDicePools(foo, bar, outputLength);
 }
 
 /**
  * Helper function to limit a dice array to some maximum die size, by adding all larger dice into the max die and changing them to zero
  * @param {number[]} dicearray The dice array to limit
- * @param {number} maxdie The maximum allowed die, corresponding to dice array index: 0 = d12, 1 = d10, 2 = d8, 3 = d6, 4 = d4
+ * @param {number} maxdie The maximum allowed die, as the number of sides it has, eg. 8 for a d8
  * @returns {number[]} A new, limited dice array
  */
 export function enforceLimit(dicearray, maxdie) {
-    if (!Array.isArray(dicearray) || dicearray.length != 5)
-        return console.warn("Something other than a proper dice array inputted into limit enforcer: " + dicearray);
-    if (isNaN(maxdie))
-        return console.warn("Something other than a number inputted into limit enforcer as the limit: " + maxdie);
-
-    let limit = maxdie;
-    if (!Number.isInteger(limit)) limit = Math.round(limit);
-    if (limit < 0) limit = 0;
-    if (limit > 4) limit = 4;
-    let newarray = [dicearray[0], dicearray[1], dicearray[2], dicearray[3], dicearray[4]];
-    for (let i = 0; i < limit; ++i) {
-        newarray[limit] += newarray[i];
-        newarray[i] = 0;
-    }
-
-    return newarray;
+    return limitDicePool(dicearray, maxdie);
 }
 
 /**
@@ -189,46 +107,7 @@ export function enforceLimit(dicearray, maxdie) {
  * @returns {string} The completed string in dice notation
  */
 export function reformDiceString(dicearray, humanreadable = false) {
-    if (!Array.isArray(dicearray)) {
-        console.warn("Something that was not an array inputted to dice string reformer: " + dicearray);
-        return "";
-    }
-    if (dicearray.length != 5) {
-        console.warn("Something that was not a dice array (based on length) inputted to dice string reformer: " + dicearray);
-        return "";
-    }
-
-    let reformedString = "";
-    for (let i = 0; i < dicearray.length; ++i) {
-        if (dicearray[i] != 0) {
-            let amount = dicearray[i];
-            let dicetype = 0;
-            switch (i) {
-                case 0:
-                    dicetype = 12;
-                    break;
-                case 1:
-                    dicetype = 10;
-                    break;
-                case 2:
-                    dicetype = 8;
-                    break;
-                case 3:
-                    dicetype = 6;
-                    break;
-                case 4:
-                    dicetype = 4;
-                    break;
-            }
-            reformedString += (amount == 1 ? "" : amount.toString()) + "d" + dicetype.toString() + "," + (humanreadable ? " " : "");
-        }
-    }
-
-    if (reformedString.length > 1) {
-        reformedString = reformedString.slice(0, (humanreadable ? -2 : -1));
-    }
-
-    return reformedString;
+    return dicePoolToString(dicearray, humanreadable);
 }
 
 /**
@@ -237,30 +116,9 @@ export function reformDiceString(dicearray, humanreadable = false) {
  * @returns {number} The maximized value of the highest die in the array, effectively the number of sides the highest die has
  */
 export function getDiceArrayMaxValue(dicearray) {
-    if (!Array.isArray(dicearray)) {
-        console.error("Something that was not an array inputted to dice pool maximizer: " + dicearray);
-        return -1;
-    }
-    if (dicearray.length != 5) {
-        console.error("Something that was not a dice array (based on length) inputted to dice pool maximizer: " + dicearray);
-        return -1;
-    }
-
-    if (dicearray[0] > 0)
-        return 12;
-    else if (dicearray[1] > 0)
-        return 10;
-    else if (dicearray[2] > 0)
-        return 8;
-    else if (dicearray[3] > 0)
-        return 6;
-    else if (dicearray[4] > 0)
-        return 4;
-    else
-        return 0;
+    return getDicePoolMaxValue(dicearray);
 }
 
-
 /* -------------------------------------------- */
 /*  Stat Helpers                                */
 /* -------------------------------------------- */
@@ -347,12 +205,42 @@ export function checkForPrechecked(prechecked, givennames) {
 }
 
 /**
- * Small helper to check whether a given skill is subject to the burdened limit
- * @param {string} name Name of the skill
+ * Small helper to check whether a given trait or skill is subject to the burdened limit
+ * @param {string} name Name of the trait or skill
  * @returns {boolean} Returns true if the limit applies
  */
 export function burdenedLimitedStat(name) {
-    return CommonSystemInfo.burdenedList.includes(makeStatCompareReady(name));
+    const comparename = makeStatCompareReady(name);
+    return CommonSystemInfo.burdenedTraits.includes(comparename) || getSkillList().some(x => x.key === comparename && x.burdened);
+}
+
+/**
+ * Get the world's skill list, as edited in the skill list editor, or the default skills from the template if the GM has not edited it
+ * @returns {{id: string, key: string, label: string, burdened: boolean}[]} The skills, in order
+ */
+export function getSkillList() {
+    const skills = game.settings.get("urbanjungle", "skillList");
+    if (Array.isArray(skills) && skills.length > 0)
+        return skills;
+
+    return getDefaultSkillList();
+}
+
+/**
+ * Get the default skill list, built from the skills in the template
+ * @returns {{id: string, key: string, label: string, burdened: boolean}[]} The skills, in order
+ */
+export function getDefaultSkillList() {
+    return Object.keys(game.system.model.Actor.character.skills).map(x => ({ "id": x, "key": x, "label": convertCamelCase(x), "burdened": CommonSystemInfo.defaultBurdenedSkills.includes(x) }));
+}
+
+/**
+ * Get the label of a skill from the world's skill list
+ * @param {string} key The skill key
+ * @returns {string} The label, or the key made human-readable if the skill is not in the list
+ */
+export function getSkillLabel(key) {
+    return getSkillList().find(x => x.key === key)?.label || convertCamelCase(key);
 }
 
 
@@ -402,6 +290,19 @@ export function findActorToken(actor) {
     return foundtoken;
 }
 
+/**
+ * Helper function to get the actor of a token, or the base actor if the token cannot be found
+ * @param {string} tokenid The id of the token
+ * @param {string} actorid The id of the actor, used as the fallback
+ * @param {string} sceneid The id of the scene the token is on, defaults to the currently viewed scene
+ * @returns {Actor} Returns the found actor, or undefined
+ */
+export function getTokenActor(tokenid, actorid, sceneid = null) {
+    const scene = (sceneid ? game.scenes.get(sceneid) : canvas.scene);
+    const token = (tokenid ? scene?.tokens.get(tokenid) : null);
+    return token?.actor || game.actors.get(actorid);
+}
+
 /**
  * Helper function to search through a given item list for any items matching the name given
  * @param {Array} itemlist The actor's item list to be checked
@@ -436,4 +337,55 @@ export function nullCheckConcat(foo, bar) {
     }
 
     return foo.concat(bar);
-}
\ No newline at end of file
+}
+
+/* -------------------------------------------- */
+/*  Version Helpers                             */
+/* -------------------------------------------- */
+
+/**
+ * Split the version number of the system into its component parts and put them into an array
+ * @param {string} version System version number as a string
+ * @returns {number[]} Array containing the component numbers of the version number
+ */
+export function getVersionNumbers(version) {
+    if (typeof (version) !== "string") {
+        console.error("System version spliter given something that was not a string: " + version);
+        return null;
+    }
+
+    let versionarray = [];
+    let versiontest = new RegExp("(\\d+)\\.(\\d+)\\.(\\d+)?"); // Regex to match and split the version number
+
+    if (versiontest.test(version)) {
+        const result = version.match(versiontest);
+        for (let i = 1; i < result.length; ++i) {
+            versionarray.push(parseInt(result[i]) || 0); // Push each separate number in the version to a separate index in the array, as numbers so that 10 sorts after 9
+        }
+    } else {
+        console.error("System version splitter given something which could not be split: " + version);
+        return null;
+    }
+
+    return versionarray;
+}
+
+/**
+ * Check if the given version number is newer than the base version number
+ * A base version that cannot be split, like an empty string, counts as older than any version
+ * @param {string} testing The version number to test
+ * @param {string} baseversion The version number to test against
+ * @returns {boolean} If true, the tested version is newer than the base version
+ */
+export function checkIfNewerVersion(testing, baseversion) {
+    const oldver = getVersionNumbers(baseversion) || [0, 0, 0];
+    const newver = getVersionNumbers(testing);
+    if (!newver) return false;
+
+    for (let i = 0; i < newver.length; ++i) {
+        if (newver[i] != oldver[i])
+            return newver[i] > oldver[i];
+    }
+
+    return false;
+}
@@ -1,3 +1,7 @@
+import { CommonGiftInfo } from "../gifts.js";
+import { getGiftEffects } from "../gifts.js";
+import { usesDefaultGiftEffects } from "../gifts.js";
+
 /**
  * Extend the basic ItemSheet with some very simple modifications
  * @extends {ItemSheet}
@@ -43,6 +47,16 @@ export class urbanjungleItemSheet extends ItemSheet {
         sheetData.title = baseData.title;
         sheetData.dtypes = baseData.dtypes;
 
+        // Gift effect editing
+        if (this.item.data.type === "gift") {
+            const effects = Array.isArray(sheetData.data.giftEffects) ? sheetData.data.giftEffects : [];
+            sheetData.giftEffects = effects.map(x => mergeObject(CommonGiftInfo.emptyEffect(), x, { inplace: false }));
+            sheetData.usesDefaultEffects = usesDefaultGiftEffects(this.item);
+            sheetData.effectTypes = CommonGiftInfo.effectTypes;
+            sheetData.diceSources = CommonGiftInfo.diceSources;
+            sheetData.rollTypes = CommonGiftInfo.rollTypes.join(", ");
+        }
+
         return sheetData;
     }
 
@@ -66,6 +80,64 @@ export class urbanjungleItemSheet extends ItemSheet {
         // Everything below here is only needed if the sheet is editable
         if (!this.options.editable) return;
 
-        // Roll handlers, click handlers, etc. would go here.
+        // Gift effect handlers
+        html.find('.gift-effect-add').click(this._onGiftEffectAdd.bind(this));
+        html.find('.gift-effect-delete').click(this._onGiftEffectDelete.bind(this));
+        html.find('.gift-effect-defaults').click(this._onGiftEffectDefaults.bind(this));
+    }
+
+    /** @override */
+    async _updateObject(event, formData) {
+        // The gift effects are stored as an array, which the flat form data would otherwise turn into an object
+        let expanded = expandObject(formData);
+        if (expanded.data?.giftEffects && !Array.isArray(expanded.data.giftEffects)) {
+            let effects = duplicate(this.item.data.data.giftEffects || []);
+            for (let [index, effect] of Object.entries(expanded.data.giftEffects)) {
+                if (effects[index]) mergeObject(effects[index], effect);
+            }
+            expanded.data.giftEffects = effects;
+        }
+        return this.object.update(expanded);
+    }
+
+    /**
+     * Handle adding a new gift effect
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onGiftEffectAdd(event) {
+        event.preventDefault();
+        await this._onSubmit(event, { preventRender: true }); // Save any unsaved edits first, so that they are not lost when the effect array is replaced
+
+        let effects = duplicate(this.item.data.data.giftEffects || []);
+        effects.push(CommonGiftInfo.emptyEffect());
+        return this.item.update({ "data.giftEffects": effects });
+    }
+
+    /**
+     * Handle deleting a gift effect
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onGiftEffectDelete(event) {
+        event.preventDefault();
+        await this._onSubmit(event, { preventRender: true });
+
+        const index = parseInt(event.currentTarget.dataset.index);
+        let effects = duplicate(this.item.data.data.giftEffects || []);
+        effects.splice(index, 1);
+        return this.item.update({ "data.giftEffects": effects });
+    }
+
+    /**
+     * Handle copying the built-in effects of the gift's name onto the gift, so that they can be edited
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    async _onGiftEffectDefaults(event) {
+        event.preventDefault();
+        await this._onSubmit(event, { preventRender: true });
+
+        return this.item.update({ "data.giftEffects": getGiftEffects(this.item) });
     }
 }
@@ -7,10 +7,17 @@ import { splitStatsAndBonus } from "../helpers.js";
 import { getMacroSpeaker } from "../helpers.js";
 import { checkDiceArrayEmpty } from "../helpers.js";
 import { CommonSystemInfo } from "../helpers.js";
+import { getTokenActor } from "../helpers.js";
 
 import { rollTargetNumberOneLine } from "../dicerollers.js";
 import { rollHighestOneLine } from "../dicerollers.js";
 import { copyToRollTNDialog } from "../dicerollers.js"
+import { copyToRollTN } from "../dicerollers.js";
+
+import { CommonConditionInfo } from "../conditions.js";
+
+import { sendSocketRequest } from "../sockets.js";
+import { findActorRollingUser } from "../sockets.js";
 
 /**
  * Extend the basic Item for Ironclaw's systems.
@@ -41,6 +48,8 @@ export class urbanjungleItem extends Item {
 
         if (itemData.type === 'gift') this._prepareGiftData(itemData, actorData);
         if (itemData.type === 'extraCareer') this._prepareCareerData(itemData, actorData);
+        if (itemData.type === 'career') this._prepareCareerData(itemData, actorData);
+        if (itemData.type === 'species') this._prepareSpeciesData(itemData, actorData);
         if (itemData.type === 'weapon') this._prepareWeaponData(itemData, actorData);
         if (itemData.type === 'armor') this._prepareArmorData(itemData, actorData);
         if (itemData.type === 'shield') this._prepareShieldData(itemData, actorData);
@@ -78,7 +87,7 @@ export class urbanjungleItem extends Item {
     }
 
     /**
-     * Process Extra Career type specific data
+     * Process Extra Career and Career type specific data
      */
     _prepareCareerData(itemData, actorData) {
         const data = itemData.data;
@@ -92,6 +101,21 @@ export class urbanjungleItem extends Item {
         }
     }
 
+    /**
+     * Process Species type specific data
+     */
+    _prepareSpeciesData(itemData, actorData) {
+        const data = itemData.data;
+
+        if (data.dice.length > 0) {
+            data.diceArray = findTotalDice(data.dice);
+            data.valid = checkDiceArrayEmpty(data.diceArray);
+            data.skills = [makeStatCompareReady(data.speciesSkill1), makeStatCompareReady(data.speciesSkill2), makeStatCompareReady(data.speciesSkill3)];
+        } else {
+            data.valid = false;
+        }
+    }
+
     /**
      * Process Weapon type specific data
      */
@@ -272,6 +296,18 @@ export class urbanjungleItem extends Item {
                         <p><strong>${game.i18n.localize("urbanjungle.chatInfo.itemInfo.dice")}:</strong> ${itemData.dice}</p>
                         <p><strong>${game.i18n.localize("urbanjungle.chatInfo.itemInfo.skills")}:</strong> ${itemData.careerSkill1}, ${itemData.careerSkill2}, ${itemData.careerSkill3}</p>`;
                 break;
+            case 'species':
+                contents += `<p><strong>${game.i18n.localize("urbanjungle.chatInfo.itemInfo.name")}:</strong> ${itemData.speciesName}</p>
+                        <p><strong>${game.i18n.localize("urbanjungle.chatInfo.itemInfo.dice")}:</strong> ${itemData.dice}</p>
+                        <p><strong>${game.i18n.localize("urbanjungle.chatInfo.itemInfo.skills")}:</strong> ${itemData.speciesSkill1}, ${itemData.speciesSkill2}, ${itemData.speciesSkill3}</p>`;
+                if (itemData.bundledGifts) contents += `<p><strong>${game.i18n.localize("urbanjungle.chatInfo.itemInfo.bundledGifts")}:</strong> ${itemData.bundledGifts}</p>`;
+                break;
+            case 'career':
+                contents += `<p><strong>${game.i18n.localize("urbanjungle.chatInfo.itemInfo.name")}:</strong> ${itemData.careerName}</p>
+                        <p><strong>${game.i18n.localize("urbanjungle.chatInfo.itemInfo.dice")}:</strong> ${itemData.dice}</p>
+                        <p><strong>${game.i18n.localize("urbanjungle.chatInfo.itemInfo.skills")}:</strong> ${itemData.careerSkill1}, ${itemData.careerSkill2}, ${itemData.careerSkill3}</p>`;
+                if (itemData.bundledGifts) contents += `<p><strong>${game.i18n.localize("urbanjungle.chatInfo.itemInfo.bundledGifts")}:</strong> ${itemData.bundledGifts}</p>`;
+                break;
             case 'weapon':
                 if (itemData.hasResist)
                     contents += `<p><strong>${game.i18n.localize("urbanjungle.chatInfo.itemInfo.resistWith")}:</strong> ${itemData.specialResist} vs. 3</p>`;
@@ -346,8 +382,9 @@ export class urbanjungleItem extends Item {
      * @param {DiceReturn} info The roll information returned by the system dice rollers
      * @param {boolean} ignoreresist Whether to ignore the fact that the weapon has a resist roll, used when such a weapon is used in a counter-attack
      * @param {boolean} onlyupdate If true, only update the roll data, do not send anything to chat yet
+     * @param {Object[]} targets Optionally, the targeted tokens the attack should be resolved against automatically
      */
-    automaticDamageCalculation(info, ignoreresist = false, onlyupdate = false) {
+    async automaticDamageCalculation(info, ignoreresist = false, onlyupdate = false, targets = []) {
         if (!game.settings.get("urbanjungle", "calculateAttackEffects")) {
             return; // If the system is turned off, return out
         }
@@ -393,10 +430,14 @@ export class urbanjungleItem extends Item {
             let updatedata = {
                 flags: {
                     "urbanjungle.hangingAttack": "attack", "urbanjungle.hangingWeapon": this.id, "urbanjungle.hangingActor": this.actor?.id, "urbanjungle.hangingToken": this.actor?.token?.id,
-                    "urbanjungle.attackSuccess": success, "urbanjungle.attackSuccessCount": usedsuccesses
+                    "urbanjungle.attackSuccess": success, "urbanjungle.attackSuccessCount": usedsuccesses, "urbanjungle.hangingTargets": targets
                 }
             };
-            info.message.update(updatedata);
+            await info.message.update(updatedata);
+            if (targets?.length > 0) { // If the attack had targets, resolve it against them instead of just reporting the damage
+                this.resolveTargetedAttack(info.message, targets);
+                return;
+            }
         }
 
         if (onlyupdate) {
@@ -489,7 +530,7 @@ export class urbanjungleItem extends Item {
         const success = message.getFlag("urbanjungle", "resistSuccess");
         const successes = message.getFlag("urbanjungle", "resistSuccessCount");
 
-        if (successes > opposingsuccesses) {
+        if (successes > 0) {
             this.successfulAttackToChat(success, successes);
         }
         else {
@@ -513,52 +554,179 @@ export class urbanjungleItem extends Item {
     }
 
     /**
-     * Send the attack damage to chat, calculating damage based on the given successes
-     * @param {boolean} success Whether the attack was a success, or a tie
-     * @param {number} usedsuccesses The number of successes, or ties in case the attack was a tie
+     * Resolve an attack against the targeted tokens, asking each target's owner for a defense roll and then a soak roll, and applying the resulting damage
+     * The targets are resolved in parallel, so one slow player does not hold up the rest
+     * Targets whose defense was not rolled are left in the hangingTargets flag, so that the attack can still be resolved against them manually
+     * @param {ChatMessage} message The attack roll message, with the hanging attack flags already set
+     * @param {Object[]} targets The targets of the attack, as stored in the hangingTargets flag
      */
-    successfulAttackToChat(success, usedsuccesses) {
-        if (!game.settings.get("urbanjungle", "calculateAttackEffects")) {
-            return; // If the system is turned off, return out
+    async resolveTargetedAttack(message, targets) {
+        if (!message || !Array.isArray(targets)) {
+            return;
         }
         const item = this.data;
         const itemData = item.data;
+        const effects = itemData.effectsSplit || [];
+        const knockout = effects.includes("knockout");
+        const nonlethal = effects.includes("nonlethal") || effects.includes("non-lethal");
+        const attacklabel = game.i18n.format("urbanjungle.chatInfo.targetedAttack.defendingAgainst", { "name": item.name, "attacker": this.actor?.name || "" });
+
+        // Returns whether the attack was resolved against the target
+        const resolveTarget = async (target) => {
+            const targetactor = getTokenActor(target.tokenId, target.actorId, target.sceneId);
+            if (!targetactor) {
+                ui.notifications.warn(game.i18n.format("urbanjungle.ui.targetNotFound", { "name": target.name }));
+                return false;
+            }
+            const user = findActorRollingUser(targetactor);
+            if (!user) {
+                ui.notifications.warn(game.i18n.format("urbanjungle.ui.noUserForTarget", { "name": target.name }));
+                return false;
+            }
+
+            const defense = await sendSocketRequest(user, "defenseRoll", { "tokenId": target.tokenId, "actorId": target.actorId, "sceneId": target.sceneId, "label": attacklabel });
+            if (!defense) { // The defense was cancelled or never answered, leave the attack hanging so it can still be resolved manually
+                ui.notifications.warn(game.i18n.format("urbanjungle.ui.defenseNotRolled", { "name": target.name }));
+                return false;
+            }
+
+            const attackinfo = await copyToRollTN(defense.highest, message);
+            const successes = (isNaN(attackinfo?.tnData?.successes) ? 0 : attackinfo.tnData.successes);
+            const ties = (isNaN(attackinfo?.tnData?.ties) ? 0 : attackinfo.tnData.ties);
+            const success = successes > 0;
+            const usedsuccesses = (success ? successes : ties);
+
+            if (usedsuccesses <= 0) {
+                this.targetedAttackToChat(target.name, false, 0, null);
+                return true;
+            }
+
+            const damage = this.calculateAttackDamage(usedsuccesses);
+            const soaklabel = game.i18n.format("urbanjungle.chatInfo.targetedAttack.soakingAgainst", { "name": item.name, "damage": damage });
+            const soak = await sendSocketRequest(user, "soakRoll", { "tokenId": target.tokenId, "actorId": target.actorId, "sceneId": target.sceneId, "label": soaklabel, "damage": damage, "knockout": knockout, "nonlethal": nonlethal });
+            this.targetedAttackToChat(target.name, success, damage, soak);
+            return true;
+        };
+
+        const resolved = await Promise.all(targets.map(x => resolveTarget(x)));
+        await message.setFlag("urbanjungle", "hangingTargets", targets.filter((x, i) => !resolved[i]));
+    }
+
+    /**
+     * Send the final result of a targeted attack against a single target to chat
+     * @param {string} targetname The name of the target
+     * @param {boolean} success Whether the attack was a success, or a tie
+     * @param {number} damage The damage of the attack before soak
+     * @param {Object} soak The soak result returned by the target's owner, null if the attack missed or the soak was cancelled or never answered
+     */
+    targetedAttackToChat(targetname, success, damage, soak) {
+        const item = this.data;
+        const itemData = item.data;
+        const effects = itemData.effectsSplit || [];
 
         let contents = `<div class="urbanjungle"><header class="chat-item flexrow">
         <img class="item-image" src="${item.img}" title="${item.name}" width="25" height="25"/>
-        <h3 class="chat-header-lesser">${game.i18n.format("urbanjungle.chatInfo.damageCalcInfo.header", { "name": item.name })}</h3>
+        <h3 class="chat-header-lesser">${game.i18n.format("urbanjungle.chatInfo.targetedAttack.header", { "name": item.name, "target": targetname })}</h3>
         </header>
         <div class="chat-content"><div class="chat-item">`;
 
-        if (success) {
-            contents += `<p style="color:${CommonSystemInfo.resultColors.success}">${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.attackSuccess")}:</p>`;
+        if (damage <= 0) {
+            contents += `<p style="color:${CommonSystemInfo.resultColors.failure}">${game.i18n.localize("urbanjungle.chatInfo.targetedAttack.missed")}</p>`;
         } else {
-            contents += `<p style="color:${CommonSystemInfo.resultColors.tie}">${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.attackTied")}:</p>`;
+            if (success) {
+                contents += `<p style="color:${CommonSystemInfo.resultColors.success}">${game.i18n.format("urbanjungle.chatInfo.targetedAttack.hit", { "damage": damage })}</p>`;
+            } else {
+                contents += `<p style="color:${CommonSystemInfo.resultColors.tie}">${game.i18n.format("urbanjungle.chatInfo.targetedAttack.tied", { "damage": damage })}</p>`;
+            }
+            if (effects.includes("penetrating")) {
+                contents += `<p>${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.penetratingAttack")}</p>`;
+            }
+            if (effects.includes("weak")) {
+                contents += `<p>${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.weakAttack")}</p>`;
+            }
+            if (!soak) {
+                contents += `<p>${game.i18n.localize("urbanjungle.chatInfo.targetedAttack.notSoaked")}</p>`;
+            } else {
+                contents += `<p>${game.i18n.format("urbanjungle.chatInfo.targetedAttack.result", { "soaked": soak.soaked, "damage": soak.damage })}</p>`;
+                if (Array.isArray(soak.conditions) && soak.conditions.length > 0) {
+                    const reportedStatus = soak.conditions[soak.conditions.length - 1];
+                    contents += `<p>${game.i18n.format("urbanjungle.dialog.damageCalc.chatMessage", { "name": targetname, "condition": game.i18n.localize(CommonConditionInfo.getConditionLabel(reportedStatus)) })}</p>`;
+                }
+            }
         }
 
-        if (itemData.effectsSplit.includes("slaying")) {
-            contents += `<p>${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.slayingDamage")}: <strong>${itemData.damageEffect + (usedsuccesses * 2)}</strong></p>`;
-        } else if (itemData.effectsSplit.includes("critical")) {
-            contents += `<p>${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.criticalDamage")}: <strong>${itemData.damageEffect + Math.floor(usedsuccesses * 1.5)}</strong></p>`;
+        contents += `</div></div></div>`;
+        let chatData = {
+            content: contents,
+            speaker: getMacroSpeaker(this.actor)
+        };
+        ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+        CONFIG.ChatMessage.documentClass.create(chatData);
+    }
+
+    /**
+     * Calculate the damage of the weapon's attack from the given successes
+     * @param {number} usedsuccesses The number of successes, or ties in case the attack was a tie
+     * @returns {number} The damage the attack deals before soak
+     */
+    calculateAttackDamage(usedsuccesses) {
+        const itemData = this.data.data;
+        const basedamage = itemData.damageEffect || 0;
+        const effects = itemData.effectsSplit || [];
+
+        if (effects.includes("slaying")) {
+            return basedamage + (usedsuccesses * 2);
+        } else if (effects.includes("critical")) {
+            return basedamage + Math.floor(usedsuccesses * 1.5);
         } else {
-            contents += `<p>${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.normalDamage")}: <strong>${itemData.damageEffect + usedsuccesses}</strong></p>`;
-        }
-        if (itemData.effectsSplit.includes("impaling")) {
-            contents += `<p>${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.impalingDamage")}: <strong>${itemData.damageEffect + (usedsuccesses * 2)}</strong>, ${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.impalingNote")}</p>`;
+            return basedamage + usedsuccesses;
         }
+    }
 
-        if (itemData.effectsSplit.includes("penetrating")) {
-            contents += `<p>${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.penetratingAttack")}</p>`;
+    /**
+     * Send the attack damage to chat, calculating damage based on the given successes
+     * @param {boolean} success Whether the attack was a success, or a tie
+     * @param {number} usedsuccesses The number of successes, or ties in case the attack was a tie
+     */
+    async successfulAttackToChat(success, usedsuccesses) {
+        if (!game.settings.get("urbanjungle", "calculateAttackEffects")) {
+            return; // If the system is turned off, return out
+        }
+        const item = this.data;
+        const itemData = item.data;
+        const effects = itemData.effectsSplit || [];
+        const damage = this.calculateAttackDamage(usedsuccesses);
+
+        let damagelines = [];
+        if (effects.includes("slaying")) {
+            damagelines.push({ "label": "urbanjungle.chatInfo.damageCalcInfo.slayingDamage", "value": damage });
+        } else if (effects.includes("critical")) {
+            damagelines.push({ "label": "urbanjungle.chatInfo.damageCalcInfo.criticalDamage", "value": damage });
+        } else {
+            damagelines.push({ "label": "urbanjungle.chatInfo.damageCalcInfo.normalDamage", "value": damage });
         }
-        if (itemData.effectsSplit.includes("weak")) {
-            contents += `<p>${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.weakAttack")}</p>`;
+        if (effects.includes("impaling")) {
+            damagelines.push({ "label": "urbanjungle.chatInfo.damageCalcInfo.impalingDamage", "value": (itemData.damageEffect || 0) + (usedsuccesses * 2), "note": "urbanjungle.chatInfo.damageCalcInfo.impalingNote" });
         }
-        contents += `<p class="small-text">${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.allEffects")}: ${itemData.effect}</p>`;
 
-        contents += `</div></div></div>`;
+        const templateData = {
+            "item": item,
+            "header": game.i18n.format("urbanjungle.chatInfo.damageCalcInfo.header", { "name": item.name }),
+            "colors": CommonSystemInfo.resultColors,
+            "failed": false,
+            "success": success,
+            "damageLines": damagelines,
+            "penetrating": effects.includes("penetrating"),
+            "weak": effects.includes("weak"),
+            "effects": itemData.effect
+        };
+
         let chatData = {
-            content: contents,
-            speaker: getMacroSpeaker(this.actor)
+            content: await renderTemplate("systems/urbanjungle/templates/chat/damage-info.html", templateData),
+            speaker: getMacroSpeaker(this.actor),
+            flags: {
+                "urbanjungle.damageCard": true, "urbanjungle.attackDamage": damage, "urbanjungle.hangingWeapon": this.id, "urbanjungle.hangingActor": this.actor?.id, "urbanjungle.hangingToken": this.actor?.token?.id
+            }
         };
         ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
         CONFIG.ChatMessage.documentClass.create(chatData);
@@ -567,28 +735,23 @@ export class urbanjungleItem extends Item {
     /**
      * Send a message to chat simply to report that the attack failed
      */
-    failedAttackToChat() { // This function is mostly used for resist rolls to specifically note if the resistance check failed for the attacker
+    async failedAttackToChat() { // This function is mostly used for resist rolls to specifically note if the resistance check failed for the attacker
         if (!game.settings.get("urbanjungle", "calculateAttackEffects")) {
             return; // If the system is turned off, return out
         }
         const item = this.data;
         const itemData = item.data;
 
-        let contents = `<div class="urbanjungle"><header class="chat-item flexrow">
-        <img class="item-image" src="${item.img}" title="${item.name}" width="25" height="25"/>
-        <h3 class="chat-header-lesser">${game.i18n.format("urbanjungle.chatInfo.damageCalcInfo.header", { "name": item.name })}</h3>
-        </header>
-        <div class="chat-content"><div class="chat-item">`;
-
-        if (itemData.hasResist) {
-            contents += `<p style="color:${CommonSystemInfo.resultColors.failure}">${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.attackResisted")}</p>`;
-        } else {
-            contents += `<p style="color:${CommonSystemInfo.resultColors.failure}">${game.i18n.localize("urbanjungle.chatInfo.damageCalcInfo.attackFailed")}</p>`;
-        }
+        const templateData = {
+            "item": item,
+            "header": game.i18n.format("urbanjungle.chatInfo.damageCalcInfo.header", { "name": item.name }),
+            "colors": CommonSystemInfo.resultColors,
+            "failed": true,
+            "resisted": itemData.hasResist
+        };
 
-        contents += `</div></div></div>`;
         let chatData = {
-            content: contents,
+            content: await renderTemplate("systems/urbanjungle/templates/chat/damage-info.html", templateData),
             speaker: getMacroSpeaker(this.actor)
         };
         ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
@@ -667,7 +830,11 @@ export class urbanjungleItem extends Item {
         }
 
         const donotdisplay = game.settings.get("urbanjungle", "calculateDoesNotDisplay");
-        this.genericItemRoll(data.attackStats, 3, itemData.name, data.attackArray, 2, (x => { this.automaticDamageCalculation(x, false, donotdisplay); }));
+        let targets = [];
+        if (game.settings.get("urbanjungle", "calculateTargetedAttacks")) { // Store the targets at the time of the attack, in case the user changes them while the dialog is open
+            game.user.targets.forEach(x => targets.push({ "tokenId": x.id, "actorId": x.actor?.id, "sceneId": x.scene?.id || canvas.scene?.id, "name": x.name }));
+        }
+        this.genericItemRoll(data.attackStats, 3, itemData.name, data.attackArray, 2, (x => { this.automaticDamageCalculation(x, false, donotdisplay || targets.length > 0, targets); }));
     }
 
     defenseRoll() {
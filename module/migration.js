@@ -0,0 +1,184 @@
+import { checkIfNewerVersion } from "./helpers.js";
+
+/* -------------------------------------------- */
+/*  Data Migration                              */
+/* -------------------------------------------- */
+
+/**
+ * The migration steps of the system, in version order
+ * Each step runs once for worlds last migrated with an older version than the step's, and can have a function for each kind of document it changes
+ * The functions get the document's source data and return the update to apply, or an empty object if the document needs no changes, so that running a step twice is harmless
+ * Actor steps also run on the actor data overrides of unlinked tokens
+ * @type {{version: string, label: string, actor?: Function, item?: Function, token?: Function, message?: Function}[]}
+ */
+export const systemMigrations = Object.freeze([
+    {
+        "version": "0.0.2",
+        "label": "urbanjungle.migration.steps.coinageDollar",
+        "actor": (source) => {
+            const denar = source.data?.coinage?.denar;
+            if (!denar) return {};
+            return {
+                "data.coinage.dollar.amount": (source.data.coinage.dollar?.amount || 0) + (denar.amount || 0),
+                "data.coinage.-=denar": null
+            };
+        }
+    }
+]);
+
+/**
+ * Check whether the world has migration steps it has not run yet
+ * @returns {boolean}
+ */
+export function worldNeedsMigration() {
+    const migrated = game.settings.get("urbanjungle", "migrationVersion");
+    return systemMigrations.some(x => checkIfNewerVersion(x.version, migrated));
+}
+
+/**
+ * Run every migration step the world has not run yet, on the world's actors, items, tokens and chat messages and on the unlocked actor and item compendia
+ * A backup of every document the steps will look at is downloaded before anything is changed, and the GM is shown the progress and a report at the end
+ * Only the first active GM runs the migration, and the world is marked as migrated only if every update went through, so that a failed migration is tried again on the next load
+ * @returns {Promise<boolean>} Promise of whether the migration finished without errors
+ */
+export async function runSystemMigrations() {
+    if (!game.user.isGM || game.users.find(x => x.isGM && x.active)?.id !== game.user.id) return false;
+
+    const migrated = game.settings.get("urbanjungle", "migrationVersion");
+    const steps = systemMigrations.filter(x => checkIfNewerVersion(x.version, migrated));
+    if (steps.length === 0) {
+        await game.settings.set("urbanjungle", "migrationVersion", game.system.data.version);
+        return true;
+    }
+
+    const { targets, skipped } = await collectMigrationTargets();
+    if (!targets.some(x => steps.some(y => Object.keys(getTargetUpdate(y, x)).length > 0))) {
+        // Nothing in the world is from before the steps, like in a new world, so there is nothing to back up or report
+        await game.settings.set("urbanjungle", "migrationVersion", game.system.data.version);
+        return true;
+    }
+
+    ui.notifications.info(game.i18n.format("urbanjungle.migration.start", { "version": game.system.data.version }), { permanent: true });
+    backupMigrationTargets(targets, migrated);
+
+    let failures = [];
+    let changed = 0;
+    const total = steps.length * targets.length;
+    for (let [stepindex, step] of steps.entries()) {
+        const label = game.i18n.localize(step.label);
+        for (let [index, target] of targets.entries()) {
+            try {
+                const update = getTargetUpdate(step, target);
+                if (Object.keys(update).length > 0) {
+                    await target.document.update(update);
+                    ++changed;
+                }
+            } catch (err) {
+                console.error(err);
+                failures.push(`${target.document.name || target.document.id}: ${label}`);
+            }
+            SceneNavigation.displayProgressBar({ "label": game.i18n.format("urbanjungle.migration.progress", { "step": label }), "pct": Math.round(100 * (stepindex * targets.length + index + 1) / total) });
+        }
+    }
+
+    if (failures.length === 0) {
+        await game.settings.set("urbanjungle", "migrationVersion", game.system.data.version);
+    }
+    await migrationReportToChat(steps, changed, skipped, failures);
+    ui.notifications.info(game.i18n.localize(failures.length === 0 ? "urbanjungle.migration.done" : "urbanjungle.migration.failed"), { permanent: true });
+    return failures.length === 0;
+}
+
+/* -------------------------------------------- */
+/*  Migration Helpers                           */
+/* -------------------------------------------- */
+
+/**
+ * Gather every document the migration steps can change
+ * @returns {Promise<{targets: {kind: string, document: Document}[], skipped: string[]}>} Promise of the documents with their kind, and the labels of the locked compendia that were left out
+ */
+async function collectMigrationTargets() {
+    let targets = [];
+    let skipped = [];
+    const addactor = actor => {
+        targets.push({ "kind": "actor", "document": actor });
+        actor.items.forEach(x => targets.push({ "kind": "item", "document": x }));
+    };
+
+    game.actors.forEach(addactor);
+    game.items.forEach(x => targets.push({ "kind": "item", "document": x }));
+    for (let scene of game.scenes) {
+        scene.tokens.forEach(x => targets.push({ "kind": "token", "document": x }));
+    }
+    game.messages.forEach(x => targets.push({ "kind": "message", "document": x }));
+
+    for (let pack of game.packs) {
+        if (pack.documentName !== "Actor" && pack.documentName !== "Item") continue;
+        if (pack.locked) {
+            skipped.push(pack.title);
+            continue;
+        }
+        const documents = await pack.getDocuments();
+        documents.forEach(x => (pack.documentName === "Actor" ? addactor(x) : targets.push({ "kind": "item", "document": x })));
+    }
+    return { "targets": targets, "skipped": skipped };
+}
+
+/**
+ * Get the update a migration step makes to a document
+ * @param {Object} step The migration step
+ * @param {{kind: string, document: Document}} target The document and its kind
+ * @returns {Object} The update, empty if the step does not change the document
+ */
+function getTargetUpdate(step, target) {
+    const source = target.document.toObject();
+    let update = (typeof step[target.kind] === "function" ? step[target.kind](source) : {}) || {};
+
+    // Unlinked tokens store their changes to the actor as partial actor data, which the actor step gets to migrate as well
+    if (target.kind === "token" && !source.actorLink && source.actorData && typeof step.actor === "function") {
+        for (let [key, value] of Object.entries(step.actor(source.actorData) || {})) {
+            update["actorData." + key] = value;
+        }
+    }
+    return update;
+}
+
+/**
+ * Download a backup of the source data of every document about to be migrated
+ * @param {{kind: string, document: Document}[]} targets The documents
+ * @param {string} migrated The version the world was last migrated with
+ */
+function backupMigrationTargets(targets, migrated) {
+    const backup = {
+        "world": game.world.name,
+        "fromVersion": migrated,
+        "toVersion": game.system.data.version,
+        "date": new Date().toISOString(),
+        "documents": targets.map(x => ({ "kind": x.kind, "uuid": x.document.uuid, "data": x.document.toObject() }))
+    };
+    saveDataToFile(JSON.stringify(backup, null, 2), "text/json", `urbanjungle-migration-backup-${game.world.name}-${migrated || "0.0.0"}.json`);
+}
+
+/**
+ * Whisper the migration report to the GMs
+ * @param {Object[]} steps The steps that were run
+ * @param {number} changed How many document updates were made
+ * @param {string[]} skipped The locked compendia that were left out
+ * @param {string[]} failures The updates that failed
+ */
+async function migrationReportToChat(steps, changed, skipped, failures) {
+    let contents = `<div class="urbanjungle"><header class="chat-item"><h3 class="chat-header-lesser">${game.i18n.format("urbanjungle.migration.reportHeader", { "version": game.system.data.version })}</h3></header>
+        <div class="chat-content"><div class="chat-item">
+        <p>${steps.map(x => game.i18n.localize(x.label)).join("<br>")}</p>
+        <p>${game.i18n.format("urbanjungle.migration.reportChanged", { "changed": changed })}</p>`;
+    if (skipped.length > 0)
+        contents += `<p>${game.i18n.format("urbanjungle.migration.reportSkipped", { "packs": skipped.join(", ") })}</p>`;
+    if (failures.length > 0)
+        contents += `<p><strong style="color:red">${game.i18n.format("urbanjungle.migration.reportFailures", { "failures": failures.join(", ") })}</strong></p>`;
+    contents += `</div></div></div>`;
+
+    CONFIG.ChatMessage.documentClass.create({
+        "content": contents,
+        "whisper": ChatMessage.getWhisperRecipients("GM")
+    });
+}
@@ -0,0 +1,307 @@
+import { splitStatsAndBonus } from "./helpers.js";
+import { CommonSystemInfo } from "./helpers.js";
+
+import { sendSocketRequest } from "./sockets.js";
+
+/* -------------------------------------------- */
+/*  GM Roll Requests                            */
+/* -------------------------------------------- */
+
+/**
+ * Send a roll request to the given players, each of whom gets a pre-filled dice pool popup for their own character
+ * Opens a tracker window for the GM that shows who has rolled and what they got
+ * @param {string} inputstring A stat string in the same format as the /actorroll command, eg. "observation, mind;;4"
+ * @param {User[]} users The users to send the request to, defaults to every active player
+ * @returns {Promise<RollRequestTracker>} Promise of the tracker window, after every player has answered
+ */
+export async function sendRollRequest(inputstring, users = null) {
+    if (!game.user.isGM) {
+        ui.notifications.warn(game.i18n.localize("urbanjungle.ui.rollRequestGMOnly"));
+        return;
+    }
+    const request = parseRollRequest(inputstring);
+    if (!request) {
+        return;
+    }
+    const usedusers = users || game.users.filter(x => x.active && !x.isGM);
+    if (usedusers.length == 0) {
+        ui.notifications.warn(game.i18n.localize("urbanjungle.ui.noPlayersForRollRequest"));
+        return;
+    }
+
+    const tracker = new RollRequestTracker(inputstring, usedusers);
+    tracker.render(true);
+
+    await Promise.all(usedusers.map(async x => {
+        const answer = await sendSocketRequest(x, "rollRequest", request);
+        tracker.setResult(x.id, answer);
+    }));
+    return tracker;
+}
+
+/**
+ * Popup a dialog for the GM to pick the stats, TN and players for a roll request
+ * @param {string} inputstring The default stat string to show in the dialog
+ */
+export function popupRollRequest(inputstring = "") {
+    let confirmed = false;
+    const players = game.users.filter(x => x.active && !x.isGM);
+    let playerboxes = ``;
+    for (let player of players) {
+        playerboxes += `<div class="form-group">
+       <label class="normal-label">${player.name}${player.character ? " (" + player.character.name + ")" : ""}:</label>
+       <input type="checkbox" name="player" value="${player.id}" checked></input>
+      </div>` + "\n";
+    }
+
+    let dlog = new Dialog({
+        title: game.i18n.localize("urbanjungle.dialog.rollRequest.title"),
+        content: `
+     <form class="urbanjungle">
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.rollRequest.stats")}:</label>
+	   <input id="request" name="request" value="${inputstring}" placeholder="observation, mind;;4" onfocus="this.select();"></input>
+      </div>
+      <span class="small-text">${game.i18n.localize("urbanjungle.dialog.rollRequest.statsHint")}</span>
+      <h2>${game.i18n.localize("urbanjungle.dialog.rollRequest.players")}:</h2>
+      ${playerboxes}
+     </form>
+     `,
+        buttons: {
+            one: {
+                icon: '<i class="fas fa-check"></i>',
+                label: game.i18n.localize("urbanjungle.dialog.rollRequest.send"),
+                callback: () => confirmed = true
+            },
+            two: {
+                icon: '<i class="fas fa-times"></i>',
+                label: game.i18n.localize("urbanjungle.dialog.cancel"),
+                callback: () => confirmed = false
+            }
+        },
+        default: "one",
+        render: html => { document.getElementById("request").focus(); },
+        close: html => {
+            if (confirmed) {
+                let REQUEST = html.find('[name=request]')[0].value;
+                let playerchecks = html.find('input:checkbox[name=player]:checked');
+                let users = [];
+                for (let i = 0; i < playerchecks.length; ++i) {
+                    const user = game.users.get(playerchecks[i].value);
+                    if (user) users.push(user);
+                }
+                if (users.length > 0) {
+                    sendRollRequest(REQUEST, users);
+                }
+            }
+        }
+    });
+    dlog.render(true);
+}
+
+/**
+ * Socket handler for a roll request received from the GM, opens the dice pool popup for the user's character
+ * A user without an assigned character who owns several is asked which one rolls
+ * @param {Object} request The parsed roll request
+ * @param {Function} onexpire Optional function to register a callback with, for when the GM stops waiting for the roll
+ * @returns {Promise<Object>} Promise of plain data about the roll, or about why it was not made
+ */
+export async function answerRollRequest(request, onexpire = null) {
+    let dlog = null;
+    let expired = false;
+    onexpire?.(() => {
+        expired = true;
+        if (dlog?.rendered) dlog.close();
+    });
+
+    let actor = game.user.character;
+    if (!actor) {
+        const actors = game.actors.filter(x => x.data.type === "character" && x.isOwner);
+        if (actors.length == 0) {
+            return { "status": "noActor" };
+        }
+        actor = (actors.length == 1 ? actors[0] : await new Promise((resolve) => dlog = popupRollRequestActor(actors, resolve)));
+        if (!actor || expired) {
+            return { "status": "cancelled" };
+        }
+    }
+
+    return new Promise((resolve) => {
+        dlog = actor.popupSelectRolled(request.stats, request.tn > 0, (request.tn > 0 ? request.tn : 3), request.extraDice, "", [], [], game.i18n.localize("urbanjungle.chat.rollRequested"),
+            x => {
+                if (!x) {
+                    resolve({ "status": "cancelled", "actorName": actor.name });
+                    return;
+                }
+                resolve({ "status": "rolled", "actorName": actor.name, "highest": x.highest, "successes": x.tnData?.successes ?? null, "ties": x.tnData?.ties ?? null });
+            },
+            () => resolve({ "status": "cancelled", "actorName": actor.name }));
+        if (!dlog) resolve({ "status": "cancelled", "actorName": actor.name });
+    });
+}
+
+/* -------------------------------------------- */
+/*  Roll Request Tracker                        */
+/* -------------------------------------------- */
+
+/**
+ * Small window for the GM to follow who has answered a roll request and what they rolled
+ * @extends {Application}
+ */
+export class RollRequestTracker extends Application {
+    /**
+     * @param {string} requeststring The stat string of the request, shown as the header
+     * @param {User[]} users The users the request was sent to
+     * @param {Object} options Application options
+     */
+    constructor(requeststring, users, options = {}) {
+        super(options);
+        this.requestString = requeststring;
+        this.results = new Map(users.map(x => [x.id, { "userName": x.name, "status": "waiting" }]));
+    }
+
+    /** @override */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            template: "systems/urbanjungle/templates/popup/roll-request-tracker.html",
+            title: game.i18n.localize("urbanjungle.dialog.rollRequest.trackerTitle"),
+            classes: ["urbanjungle"],
+            width: 360,
+            height: "auto",
+            resizable: true
+        });
+    }
+
+    /** @override */
+    getData(options) {
+        let rows = [];
+        this.results.forEach(x => rows.push({ ...x, ...getRollRequestDisplay(x) }));
+        return {
+            "requestString": this.requestString,
+            "rows": rows
+        };
+    }
+
+    /**
+     * Record the answer of a user and refresh the window
+     * @param {string} userid The id of the user who answered
+     * @param {Object} answer The answer the user sent back, null if no answer came in time
+     */
+    setResult(userid, answer) {
+        const old = this.results.get(userid);
+        if (!old) return;
+        this.results.set(userid, { ...old, ...(answer || { "status": "noAnswer" }) });
+        this.render(false);
+    }
+}
+
+/* -------------------------------------------- */
+/*  Roll Request Helpers                        */
+/* -------------------------------------------- */
+
+/**
+ * Parse a stat string into the roll request payload sent to the players
+ * @param {string} inputstring A stat string in the same format as the /actorroll command
+ * @returns {Object | null} The parsed request, or null if the string was empty
+ */
+function parseRollRequest(inputstring) {
+    if (typeof inputstring !== "string" || inputstring.trim().length == 0) {
+        ui.notifications.warn(game.i18n.localize("urbanjungle.ui.emptyRollRequest"));
+        return null;
+    }
+
+    let tn = -1;
+    let usedstring = inputstring;
+    let foo = inputstring.split(";"); // Same as the actor roll command, the value after the second semicolon is used as a TN
+    if (foo.length > 2) {
+        let bar = parseInt(foo[2].trim());
+        if (!isNaN(bar))
+            tn = bar;
+        usedstring = inputstring.slice(0, inputstring.lastIndexOf(";"));
+    }
+
+    let firstsplit = splitStatsAndBonus(usedstring);
+    return { "stats": firstsplit[0], "extraDice": firstsplit[1], "tn": tn };
+}
+
+/**
+ * Popup a dialog for a user who owns several characters to pick which one answers a roll request
+ * @param {Actor[]} actors The characters to pick from
+ * @param {Function} callback Function to call with the picked actor, or null if the dialog was cancelled
+ * @returns {Dialog} The opened dialog
+ */
+function popupRollRequestActor(actors, callback) {
+    let confirmed = false;
+    let actoroptions = ``;
+    for (let actor of actors) {
+        actoroptions += `<option value="${actor.id}">${actor.name}</option>`;
+    }
+
+    let dlog = new Dialog({
+        title: game.i18n.localize("urbanjungle.dialog.rollRequest.chooseActorTitle"),
+        content: `
+     <form class="urbanjungle">
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.rollRequest.chooseActor")}:</label>
+       <select id="actor" name="actor">${actoroptions}</select>
+      </div>
+     </form>
+     `,
+        buttons: {
+            one: {
+                icon: '<i class="fas fa-check"></i>',
+                label: game.i18n.localize("urbanjungle.dialog.pick"),
+                callback: () => confirmed = true
+            },
+            two: {
+                icon: '<i class="fas fa-times"></i>',
+                label: game.i18n.localize("urbanjungle.dialog.cancel"),
+                callback: () => confirmed = false
+            }
+        },
+        default: "one",
+        close: html => {
+            if (confirmed) {
+                let ACTOR = html.find('[name=actor]')[0].value;
+                callback(actors.find(x => x.id === ACTOR) ?? null);
+            }
+            else {
+                callback(null);
+            }
+        }
+    });
+    dlog.render(true);
+    return dlog;
+}
+
+/**
+ * Get the text and color to show for a roll request answer in the tracker
+ * @param {Object} result The recorded answer
+ * @returns {Object} The display text and color
+ */
+function getRollRequestDisplay(result) {
+    switch (result.status) {
+        case "rolled":
+            if (result.successes === null) {
+                return { "text": game.i18n.format("urbanjungle.dialog.rollRequest.highest", { "highest": result.highest }), "color": (result.highest > 1 ? CommonSystemInfo.resultColors.normal : CommonSystemInfo.resultColors.botch) };
+            }
+            if (result.successes > 0) {
+                return { "text": game.i18n.format("urbanjungle.chat.success", { "successes": result.successes }), "color": CommonSystemInfo.resultColors.success };
+            }
+            if (result.highest == 1) {
+                return { "text": game.i18n.localize("urbanjungle.chat.botch"), "color": CommonSystemInfo.resultColors.botch };
+            }
+            if (result.ties > 0) {
+                return { "text": game.i18n.format("urbanjungle.chat.tie", { "ties": result.ties }), "color": CommonSystemInfo.resultColors.tie };
+            }
+            return { "text": game.i18n.localize("urbanjungle.chat.failure"), "color": CommonSystemInfo.resultColors.failure };
+        case "cancelled":
+            return { "text": game.i18n.localize("urbanjungle.dialog.rollRequest.cancelled"), "color": CommonSystemInfo.resultColors.failure };
+        case "noAnswer":
+            return { "text": game.i18n.localize("urbanjungle.dialog.rollRequest.noAnswer"), "color": CommonSystemInfo.resultColors.failure };
+        case "noActor":
+            return { "text": game.i18n.localize("urbanjungle.dialog.rollRequest.noActor"), "color": CommonSystemInfo.resultColors.failure };
+        default:
+            return { "text": game.i18n.localize("urbanjungle.dialog.rollRequest.waiting"), "color": CommonSystemInfo.resultColors.normal };
+    }
+}
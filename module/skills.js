@@ -0,0 +1,255 @@
+import { getSkillList } from "./helpers.js";
+import { makeStatCompareReady } from "./helpers.js";
+import { getDefaultSkillList } from "./helpers.js";
+
+/* -------------------------------------------- */
+/*  World Skill List                            */
+/* -------------------------------------------- */
+
+/**
+ * Window for the GM to add, rename and remove the world's skills, and to flag which of them the Burdened condition limits
+ * Every skill has a stable id, so that a renamed skill can have its marks moved over to the new key when the list is saved
+ * @extends {FormApplication}
+ */
+export class SkillListEditor extends FormApplication {
+    constructor(object = {}, options = {}) {
+        super(object, options);
+        this.skills = duplicate(getSkillList());
+    }
+
+    /** @override */
+    static get defaultOptions() {
+        return mergeObject(super.defaultOptions, {
+            id: "skill-list-editor",
+            template: "systems/urbanjungle/templates/popup/skill-list-editor.html",
+            title: game.i18n.localize("urbanjungle.skillList.title"),
+            classes: ["urbanjungle"],
+            width: 480,
+            height: "auto",
+            closeOnSubmit: true,
+            submitOnChange: false
+        });
+    }
+
+    /** @override */
+    getData(options) {
+        return {
+            "skills": this.skills
+        };
+    }
+
+    /** @override */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.skill-add').click(this._onSkillAdd.bind(this));
+        html.find('.skill-delete').click(this._onSkillDelete.bind(this));
+        html.find('.skill-reset').click(this._onSkillReset.bind(this));
+    }
+
+    /** @override */
+    async _updateObject(event, formData) {
+        this._readSkillForm(formData);
+        const problem = validateSkillList(this.skills);
+        if (problem) {
+            ui.notifications.warn(problem);
+            throw new Error(problem); // Keep the editor open so the GM can fix the list
+        }
+
+        const oldlist = getSkillList();
+        const renames = this.skills.map(x => ({ "from": oldlist.find(y => y.id === x.id)?.key, "to": x.key })).filter(x => x.from && x.from !== x.to);
+        for (let actor of getSkillMigrationActors()) {
+            const clash = findSkillRenameClash(actor.data._source.data, renames);
+            if (clash) {
+                const problem = game.i18n.format("urbanjungle.skillList.renameClash", { "actor": actor.name, "skill": this.skills.find(x => x.key === clash.to).label, "from": oldlist.find(x => x.key === clash.from).label });
+                ui.notifications.warn(problem);
+                throw new Error(problem); // Keep the editor open so the GM can pick another name
+            }
+        }
+        await game.settings.set("urbanjungle", "skillList", this.skills);
+        if (renames.length > 0) await migrateSkillKeys(renames);
+    }
+
+    /**
+     * Copy the edited names and Burdened flags from the form into the working list
+     * @param {Object} formData The flat form data
+     * @private
+     */
+    _readSkillForm(formData) {
+        const expanded = expandObject(formData);
+        for (let [index, skill] of Object.entries(expanded.skills || {})) {
+            if (!this.skills[index]) continue;
+            this.skills[index].label = (skill.label || "").trim();
+            this.skills[index].key = makeStatCompareReady(this.skills[index].label);
+            this.skills[index].burdened = !!skill.burdened;
+        }
+    }
+
+    /**
+     * Handle adding a new skill at the end of the list
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    _onSkillAdd(event) {
+        event.preventDefault();
+        this._readSkillForm(this._getSubmitData());
+        const label = game.i18n.localize("urbanjungle.skillList.newSkill");
+        this.skills.push({ "id": randomID(), "key": makeStatCompareReady(label), "label": label, "burdened": false });
+        this.render(false);
+    }
+
+    /**
+     * Handle removing a skill from the list, actors keep the marks they had in it in case it is added back
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    _onSkillDelete(event) {
+        event.preventDefault();
+        this._readSkillForm(this._getSubmitData());
+        this.skills.splice(Number(event.currentTarget.dataset.index), 1);
+        this.render(false);
+    }
+
+    /**
+     * Handle going back to the default skills from the template, not saved until the form is
+     * @param {Event} event   The originating click event
+     * @private
+     */
+    _onSkillReset(event) {
+        event.preventDefault();
+        this.skills = getDefaultSkillList();
+        this.render(false);
+    }
+}
+
+/**
+ * Move the marks of renamed skills over to their new keys, on every actor in the world and every unlinked token, and update the species and career skills that name them
+ * @param {{from: string, to: string}[]} renames The old and new keys of the renamed skills
+ */
+export async function migrateSkillKeys(renames) {
+    if (!game.user.isGM || !Array.isArray(renames) || renames.length === 0) return;
+    ui.notifications.info(game.i18n.localize("urbanjungle.ui.skillMigrationStart"));
+
+    for (let actor of getSkillMigrationActors()) {
+        const update = getSkillRenameUpdate(actor.data._source.data, renames);
+        if (Object.keys(update).length > 0) await actor.update(update);
+        for (let item of actor.items) {
+            const itemupdate = getItemSkillRenameUpdate(item, renames);
+            if (itemupdate) await item.update(itemupdate);
+        }
+    }
+    for (let item of game.items) {
+        const itemupdate = getItemSkillRenameUpdate(item, renames);
+        if (itemupdate) await item.update(itemupdate);
+    }
+
+    ui.notifications.info(game.i18n.localize("urbanjungle.ui.skillMigrationDone"));
+}
+
+/* -------------------------------------------- */
+/*  Skill List Helpers                          */
+/* -------------------------------------------- */
+
+/**
+ * Check the skill list for problems before it is saved
+ * @param {Object[]} skills The edited skill list
+ * @returns {string | null} The localized problem, or null if the list is fine
+ */
+function validateSkillList(skills) {
+    if (skills.length === 0)
+        return game.i18n.localize("urbanjungle.skillList.empty");
+    if (skills.some(x => !x.key))
+        return game.i18n.localize("urbanjungle.skillList.missingName");
+    const repeated = skills.find((x, i) => skills.findIndex(y => y.key === x.key) !== i);
+    if (repeated)
+        return game.i18n.format("urbanjungle.skillList.duplicate", { "skill": repeated.label });
+    const traitclash = skills.find(x => Object.keys(game.system.model.Actor.character.traits).includes(x.key));
+    if (traitclash)
+        return game.i18n.format("urbanjungle.skillList.traitClash", { "skill": traitclash.label });
+    return null;
+}
+
+/**
+ * Get every actor in the world and every unlinked token's actor, the ones whose skills a rename has to move
+ * @returns {Actor[]}
+ */
+function getSkillMigrationActors() {
+    let actors = game.actors.contents;
+    for (let scene of game.scenes) {
+        for (let token of scene.tokens) {
+            if (!token.data.actorLink && token.actor) actors.push(token.actor);
+        }
+    }
+    return actors;
+}
+
+/**
+ * Find a rename whose new key the actor still has marks in, left over from a skill removed from the list earlier
+ * Keys that are themselves renamed away, like in swapped or chained renames, are free to take
+ * @param {Object} data The actor's source system data
+ * @param {{from: string, to: string}[]} renames The renamed skills
+ * @returns {{from: string, to: string} | null} The clashing rename, or null if there is none
+ */
+function findSkillRenameClash(data, renames) {
+    const movedaway = renames.map(x => x.from);
+    return renames.find(x => {
+        const held = data?.skills?.[x.to];
+        return !movedaway.includes(x.to) && held && (held.marks > 0 || held.favoredUse);
+    }) ?? null;
+}
+
+/**
+ * Build the actor update that moves renamed skills' marks to their new keys
+ * The renames are applied to a copy of the skills all at once, so swapped or chained renames do not overwrite each other's marks
+ * @param {Object} data The actor's source system data
+ * @param {{from: string, to: string}[]} renames The renamed skills
+ * @returns {Object} The update, empty if the actor had nothing to move or a rename would overwrite marks it still has
+ */
+function getSkillRenameUpdate(data, renames) {
+    let update = {};
+    if (!data?.skills || findSkillRenameClash(data, renames)) return update;
+
+    let skills = duplicate(data.skills);
+    for (let rename of renames) {
+        delete skills[rename.from];
+    }
+    for (let rename of renames) {
+        if (data.skills[rename.from]) skills[rename.to] = data.skills[rename.from];
+    }
+    for (let key of Object.keys(data.skills)) {
+        if (!(key in skills)) update[`data.skills.-=${key}`] = null;
+    }
+    for (let rename of renames) {
+        if (skills[rename.to]) update[`data.skills.${rename.to}`] = skills[rename.to];
+    }
+
+    for (let rename of renames) {
+        for (let trait of ["species", "career"]) {
+            for (let i = 1; i <= 3; ++i) {
+                const field = `${trait}Skill${i}`;
+                if (data.traits?.[trait] && makeStatCompareReady(data.traits[trait][field]) === rename.from)
+                    update[`data.traits.${trait}.${field}`] = rename.to;
+            }
+        }
+    }
+    return update;
+}
+
+/**
+ * Build the item update that renames skills in a career or species item's skill fields
+ * @param {Item} item The item to check
+ * @param {{from: string, to: string}[]} renames The renamed skills
+ * @returns {Object | null} The update, or null if the item names none of the renamed skills
+ */
+function getItemSkillRenameUpdate(item, renames) {
+    const prefix = (item.type === "species" ? "species" : (item.type === "career" || item.type === "extraCareer" ? "career" : null));
+    if (!prefix) return null;
+
+    let update = {};
+    for (let i = 1; i <= 3; ++i) {
+        const field = `${prefix}Skill${i}`;
+        const rename = renames.find(x => x.from === makeStatCompareReady(item.data.data[field]));
+        if (rename) update[`data.${field}`] = rename.to;
+    }
+    return (Object.keys(update).length > 0 ? update : null);
+}
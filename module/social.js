@@ -0,0 +1,231 @@
+import { getMacroSpeaker } from "./helpers.js";
+import { getTokenActor } from "./helpers.js";
+import { getDiceArrayMaxValue } from "./helpers.js";
+import { CommonSystemInfo } from "./helpers.js";
+
+import { CommonConditionInfo } from "./conditions.js";
+
+import { sendSocketRequest } from "./sockets.js";
+import { findActorRollingUser } from "./sockets.js";
+
+/* -------------------------------------------- */
+/*  Social Conflict                             */
+/* -------------------------------------------- */
+
+/**
+ * Common info about social exchanges
+ */
+export class CommonSocialInfo {
+    /**
+     * The social approaches, with the stats the initiator rolls, the stats the target resists with, and the condition the target gets when their composure breaks
+     */
+    static approaches = Object.freeze({
+        "negotiation": { "attack": ["mind", "negotiation"], "resist": ["will", "negotiation"], "condition": "convinced" },
+        "presence": { "attack": ["will", "presence"], "resist": ["will", "presence"], "condition": "afraid" },
+        "deceit": { "attack": ["mind", "deceit"], "resist": ["mind", "observation"], "condition": "confused" },
+        "questioning": { "attack": ["mind", "questioning"], "resist": ["will", "deceit"], "condition": "convinced" }
+    });
+    /**
+     * How much the winner needs to beat the loser by for the loser to lose an extra point of composure
+     */
+    static crushingMargin = 4;
+}
+
+/**
+ * Get the composure of an actor, derived from their Will die: half its sides, so a d8 Will gives four points
+ * @param {Actor} actor The actor to check
+ * @returns {{value: number, max: number}} The current and maximum composure
+ */
+export function getComposure(actor) {
+    const will = actor?.data.data.traits?.will?.diceArray;
+    const max = Math.max(1, Math.floor((Array.isArray(will) ? getDiceArrayMaxValue(will) : 4) / 2));
+    const lost = actor?.getFlag("urbanjungle", "composureLost") || 0;
+    return { "value": Math.max(0, max - lost), "max": max };
+}
+
+/**
+ * Restore the actor's composure to full
+ * @param {Actor} actor The actor to reset
+ */
+export async function resetComposure(actor) {
+    await actor.unsetFlag("urbanjungle", "composureLost");
+}
+
+/**
+ * Run a social exchange between two actors: the initiator rolls the approach's pool, the target's owner rolls to resist, and the loser loses composure
+ * When a loser's composure runs out, they get the approach's social condition and their composure resets
+ * @param {Actor} initiator The actor starting the exchange
+ * @param {Token} target The token of the actor being swayed
+ * @param {string} approach The social approach, a key of CommonSocialInfo.approaches
+ * @returns {Promise<Object | null>} Promise of plain data about the exchange, or null if either roll was cancelled or the loss could not be applied
+ */
+export async function startSocialExchange(initiator, target, approach) {
+    const info = CommonSocialInfo.approaches[approach];
+    const targetactor = target?.actor;
+    if (!info || !targetactor) return null;
+
+    const label = game.i18n.localize("urbanjungle.social.approaches." + approach);
+    const attack = await new Promise((resolve) => {
+        initiator.popupSelectRolled([...info.attack], false, 3, "", "", [], [], game.i18n.format("urbanjungle.social.rollLabel", { "approach": label, "target": targetactor.name }), x => resolve(x), () => resolve(null));
+    });
+    if (!attack) return null;
+
+    const user = findActorRollingUser(targetactor);
+    if (!user) {
+        ui.notifications.warn(game.i18n.format("urbanjungle.ui.noUserForTarget", { "name": target.name }));
+        return null;
+    }
+    const resist = await sendSocketRequest(user, "socialResist", { "tokenId": target.id, "actorId": targetactor.id, "sceneId": target.scene?.id, "stats": info.resist, "label": game.i18n.format("urbanjungle.social.resistLabel", { "approach": label, "name": initiator.name }) });
+    if (!resist) return null;
+
+    // Ties go to the target, who only needs to hold their ground
+    const initiatorwon = attack.highest > resist.highest;
+    const margin = Math.abs(attack.highest - resist.highest);
+    const loss = 1 + (margin >= CommonSocialInfo.crushingMargin ? 1 : 0);
+    const loser = (initiatorwon ? targetactor : initiator);
+    const condition = (initiatorwon ? info.condition : "confused"); // A failed attempt leaves the initiator flustered
+
+    const loserowner = findActorRollingUser(loser);
+    if (!loserowner) {
+        ui.notifications.warn(game.i18n.format("urbanjungle.ui.noUserForTarget", { "name": loser.name }));
+        return null;
+    }
+    const result = await sendSocketRequest(loserowner, "socialLoss", { "tokenId": (initiatorwon ? target.id : initiator.token?.id), "actorId": loser.id, "sceneId": (initiatorwon ? target.scene?.id : initiator.token?.parent?.id), "loss": loss, "condition": condition });
+    if (!result) { // Without the owner's answer, it is unknown whether the loss was applied, so no card claims either way
+        ui.notifications.warn(game.i18n.format("urbanjungle.ui.socialLossNotApplied", { "name": loser.name }));
+        return null;
+    }
+
+    const exchange = {
+        "approach": approach, "label": label,
+        "initiator": { "name": initiator.name, "highest": attack.highest, "composure": getComposure(initiator) },
+        "target": { "name": targetactor.name, "highest": resist.highest, "composure": getComposure(targetactor) },
+        "initiatorWon": initiatorwon, "loss": loss, "broken": !!result.broken, "condition": condition, "loserName": loser.name
+    };
+    // The loser's composure may have been changed by another user, so use what they sent back
+    exchange[initiatorwon ? "target" : "initiator"].composure = result.composure;
+    await socialExchangeToChat(initiator, exchange);
+    return exchange;
+}
+
+/**
+ * Socket handler for resisting a social exchange, opens the dice pool popup with the resist stats picked
+ * @param {Object} payload The token and actor of the target, the stats to roll and the roll label
+ * @returns {Promise<Object | null>} Promise of the highest die rolled, or null if the roll was cancelled
+ */
+export function answerSocialResist(payload) {
+    const actor = getTokenActor(payload.tokenId, payload.actorId, payload.sceneId);
+    if (!actor) return null;
+    return new Promise((resolve) => {
+        actor.popupSelectRolled([...payload.stats], false, 3, "", "", [], [], payload.label, x => resolve(x ? { "highest": x.highest } : null), () => resolve(null));
+    });
+}
+
+/**
+ * Socket handler for applying the composure loss of a lost exchange, run by an owner of the losing actor
+ * @param {Object} payload The token and actor of the loser, the composure lost and the condition gained if the composure breaks
+ * @returns {Promise<Object>} Promise of the loser's composure after the loss, and whether it broke
+ */
+export async function answerSocialLoss(payload) {
+    const actor = getTokenActor(payload.tokenId, payload.actorId, payload.sceneId);
+    if (!actor) return null;
+
+    const composure = getComposure(actor);
+    if (composure.value - payload.loss <= 0) {
+        await actor.addEffect(payload.condition);
+        await resetComposure(actor);
+        return { "broken": true, "composure": getComposure(actor) };
+    }
+    await actor.setFlag("urbanjungle", "composureLost", composure.max - composure.value + payload.loss);
+    return { "broken": false, "composure": getComposure(actor) };
+}
+
+/**
+ * Popup a dialog to start a social exchange against the user's targeted token
+ * @param {Actor} actor The actor starting the exchange
+ */
+export function popupSocialExchange(actor) {
+    const target = game.user.targets.values().next().value;
+    if (!target?.actor) {
+        ui.notifications.warn(game.i18n.localize("urbanjungle.ui.socialNoTarget"));
+        return;
+    }
+
+    let confirmed = false;
+    let approachoptions = ``;
+    for (let approach of Object.keys(CommonSocialInfo.approaches)) {
+        approachoptions += `<option value="${approach}">${game.i18n.localize("urbanjungle.social.approaches." + approach)}</option>`;
+    }
+    const composure = getComposure(actor);
+    const targetcomposure = getComposure(target.actor);
+
+    let dlog = new Dialog({
+        title: game.i18n.format("urbanjungle.dialog.socialExchange.title", { "name": actor.name, "target": target.name }),
+        content: `
+     <form class="urbanjungle">
+      <div class="form-group">
+       <label class="normal-label">${game.i18n.localize("urbanjungle.dialog.socialExchange.approach")}:</label>
+       <select id="approach" name="approach">${approachoptions}</select>
+      </div>
+      <div class="form-group">
+       <span class="normal-text">${game.i18n.format("urbanjungle.dialog.socialExchange.composure", { "name": actor.name, "value": composure.value, "max": composure.max })}</span>
+      </div>
+      <div class="form-group">
+       <span class="normal-text">${game.i18n.format("urbanjungle.dialog.socialExchange.composure", { "name": target.name, "value": targetcomposure.value, "max": targetcomposure.max })}</span>
+      </div>
+      <span class="small-text">${game.i18n.localize("urbanjungle.dialog.socialExchange.hint")}</span>
+     </form>
+     `,
+        buttons: {
+            one: {
+                icon: '<i class="fas fa-check"></i>',
+                label: game.i18n.localize("urbanjungle.dialog.socialExchange.start"),
+                callback: () => confirmed = true
+            },
+            two: {
+                icon: '<i class="fas fa-times"></i>',
+                label: game.i18n.localize("urbanjungle.dialog.cancel"),
+                callback: () => confirmed = false
+            }
+        },
+        default: "one",
+        render: html => { },
+        close: html => {
+            if (confirmed) {
+                let APPROACH = html.find('[name=approach]')[0].value;
+                startSocialExchange(actor, target, APPROACH);
+            }
+        }
+    });
+    dlog.render(true);
+}
+
+/* -------------------------------------------- */
+/*  Social Helpers                              */
+/* -------------------------------------------- */
+
+/**
+ * Send the card of a resolved social exchange to chat
+ * @param {Actor} initiator The actor who started the exchange
+ * @param {Object} exchange The resolved exchange
+ */
+async function socialExchangeToChat(initiator, exchange) {
+    const bar = x => ({ ...x, "percent": Math.round(100 * x.composure.value / x.composure.max) });
+    const templateData = {
+        "header": game.i18n.format("urbanjungle.social.header", { "approach": exchange.label }),
+        "initiator": bar(exchange.initiator),
+        "target": bar(exchange.target),
+        "outcome": game.i18n.format(exchange.initiatorWon ? "urbanjungle.social.initiatorWon" : "urbanjungle.social.targetHeld", { "initiator": exchange.initiator.name, "target": exchange.target.name, "loss": exchange.loss }),
+        "broken": exchange.broken ? game.i18n.format("urbanjungle.social.broken", { "name": exchange.loserName, "condition": game.i18n.localize(CommonConditionInfo.getConditionLabel(exchange.condition)) }) : "",
+        "colors": CommonSystemInfo.resultColors,
+        "initiatorWon": exchange.initiatorWon
+    };
+
+    let chatData = {
+        content: await renderTemplate("systems/urbanjungle/templates/chat/social-exchange.html", templateData),
+        speaker: getMacroSpeaker(initiator),
+        flags: { "urbanjungle.socialExchange": exchange.approach }
+    };
+    ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+    CONFIG.ChatMessage.documentClass.create(chatData);
+}
@@ -0,0 +1,205 @@
+/* -------------------------------------------- */
+/*  System Socket                               */
+/* -------------------------------------------- */
+
+/**
+ * The socket name the system uses, requires "socket": true in system.json
+ */
+const SYSTEM_SOCKET = "system.urbanjungle";
+
+/**
+ * Map of the request handlers registered for the socket, keyed by request type
+ * @type {Map<string, Function>}
+ */
+const requestHandlers = new Map();
+
+/**
+ * Map of the requests sent out from this client that are still waiting for an answer, keyed by request id
+ * @type {Map<string, {resolve: Function, userId: string, timeout: number}>}
+ */
+const pendingRequests = new Map();
+
+/**
+ * Map of the requests from other users this client is still answering, keyed by request id, with the functions to call if the request expires
+ * @type {Map<string, Function[]>}
+ */
+const answeringRequests = new Map();
+
+/**
+ * Start listening to the system socket, should be called once the game is ready
+ * Requests still waiting on a user who disconnects are answered with null, since that user will never answer them
+ */
+export function activateSystemSocket() {
+    game.socket.on(SYSTEM_SOCKET, data => handleSocketData(data));
+    Hooks.on("userConnected", (user, connected) => {
+        if (connected) return;
+        for (let [requestid, pending] of pendingRequests) {
+            if (pending.userId === user.id) settleSocketRequest(requestid, null);
+        }
+    });
+}
+
+/**
+ * Register a handler function for a given request type
+ * The handler receives the request payload and the id of the requesting user, and should return the answer, or a Promise of it
+ * The answer must be plain data, since it is sent over the socket as is
+ * As a third argument, the handler receives a function to register callbacks with, which are called if the requesting user stops waiting for the answer, so that any popup left open can be closed
+ * @param {string} type The request type to handle
+ * @param {Function} handler The function to call when a request of the given type arrives
+ */
+export function registerSocketHandler(type, handler) {
+    if (typeof handler !== "function") {
+        console.warn("Something that was not a function given as a socket handler for: " + type);
+        return;
+    }
+    requestHandlers.set(type, handler);
+}
+
+/**
+ * Send a request to a specific user and wait for the answer
+ * If the user is the current user, the request is handled locally without going through the socket
+ * A request to another user resolves to null if the user is not active, disconnects before answering, or does not answer within the world's request timeout
+ * On a timeout, the other user is told that the request expired, so that any popup it opened is closed and no late answer gets applied
+ * @param {User} user The user to send the request to
+ * @param {string} type The request type
+ * @param {Object} payload The data to send along with the request
+ * @returns {Promise<any>} Promise of the answer the other user's handler returned, or null if no answer came
+ */
+export function sendSocketRequest(user, type, payload = {}) {
+    if (!user) {
+        console.warn("Socket request of type " + type + " attempted without a user to send it to");
+        return Promise.resolve(null);
+    }
+    if (user.id === game.user.id) {
+        return runSocketHandler(type, payload, game.user.id);
+    }
+    if (!user.active) {
+        console.warn("Socket request of type " + type + " attempted to an inactive user: " + user.name);
+        return Promise.resolve(null);
+    }
+
+    const requestid = randomID();
+    return new Promise((resolve) => {
+        const timeout = setTimeout(() => {
+            console.warn("Socket request of type " + type + " to " + user.name + " timed out");
+            settleSocketRequest(requestid, null);
+            game.socket.emit(SYSTEM_SOCKET, { "action": "expire", "requestId": requestid, "to": user.id, "from": game.user.id });
+        }, game.settings.get("urbanjungle", "socketRequestTimeout") * 1000);
+        pendingRequests.set(requestid, { "resolve": resolve, "userId": user.id, "timeout": timeout });
+        game.socket.emit(SYSTEM_SOCKET, { "action": "request", "requestId": requestid, "type": type, "to": user.id, "from": game.user.id, "payload": payload });
+    });
+}
+
+/**
+ * Send a one-way notice to a specific user, without waiting for any answer
+ * @param {User} user The user to send the notice to
+ * @param {string} type The request type
+ * @param {Object} payload The data to send along with the notice
+ */
+export function sendSocketNotice(user, type, payload = {}) {
+    if (!user) {
+        console.warn("Socket notice of type " + type + " attempted without a user to send it to");
+        return;
+    }
+    if (user.id === game.user.id) {
+        runSocketHandler(type, payload, game.user.id);
+        return;
+    }
+
+    game.socket.emit(SYSTEM_SOCKET, { "action": "notice", "type": type, "to": user.id, "from": game.user.id, "payload": payload });
+}
+
+/**
+ * Find the user that should be asked to roll for an actor
+ * Prefers an active player who owns the actor, and falls back to the first active GM
+ * @param {Actor} actor The actor to find a user for
+ * @returns {User | undefined} The user to ask, or undefined if no suitable user is online
+ */
+export function findActorRollingUser(actor) {
+    if (!actor) return;
+
+    const owners = game.users.filter(x => x.active && actor.testUserPermission(x, "OWNER"));
+    return owners.find(x => !x.isGM) || owners.find(x => x.isGM);
+}
+
+/* -------------------------------------------- */
+/*  Socket Helpers                              */
+/* -------------------------------------------- */
+
+/**
+ * Handle any data that comes through the system socket
+ * @param {Object} data The received socket data
+ */
+async function handleSocketData(data) {
+    if (data?.to !== game.user.id) {
+        return; // Only the addressed user handles the data
+    }
+
+    switch (data.action) {
+        case "request":
+            answeringRequests.set(data.requestId, []);
+            const answer = await runSocketHandler(data.type, data.payload, data.from, callback => answeringRequests.get(data.requestId)?.push(callback));
+            answeringRequests.delete(data.requestId);
+            game.socket.emit(SYSTEM_SOCKET, { "action": "response", "requestId": data.requestId, "to": data.from, "from": game.user.id, "payload": answer ?? null });
+            break;
+        case "notice":
+            runSocketHandler(data.type, data.payload, data.from);
+            break;
+        case "response":
+            settleSocketRequest(data.requestId, data.payload);
+            break;
+        case "expire":
+            expireSocketRequest(data.requestId, data.from);
+            break;
+        default:
+            console.warn("Unknown socket action received: " + data.action);
+            break;
+    }
+}
+
+/**
+ * Resolve a pending request with the given answer and forget it, does nothing if the request was already settled
+ * @param {string} requestid The id of the request
+ * @param {any} answer The answer to resolve the request with
+ */
+function settleSocketRequest(requestid, answer) {
+    const pending = pendingRequests.get(requestid);
+    if (!pending) return;
+
+    pendingRequests.delete(requestid);
+    clearTimeout(pending.timeout);
+    pending.resolve(answer);
+}
+
+/**
+ * Call the expiry callbacks of a request this client is still answering, and forget them, does nothing if the request was already answered
+ * @param {string} requestid The id of the request
+ * @param {string} fromid The id of the user who sent the request
+ */
+function expireSocketRequest(requestid, fromid) {
+    const callbacks = answeringRequests.get(requestid);
+    if (!callbacks) return;
+
+    answeringRequests.delete(requestid);
+    if (callbacks.length > 0) {
+        ui.notifications.info(game.i18n.format("urbanjungle.ui.requestExpired", { "name": game.users.get(fromid)?.name ?? "" }));
+    }
+    callbacks.forEach(x => x());
+}
+
+/**
+ * Run the registered handler for a request type
+ * @param {string} type The request type
+ * @param {Object} payload The data given with the request
+ * @param {string} fromid The id of the user who sent the request
+ * @param {Function} onexpire Function to register callbacks for when the request expires, does nothing for local requests, which never expire
+ * @returns {Promise<any>} Promise of the handler's answer, null if no handler exists
+ */
+async function runSocketHandler(type, payload, fromid, onexpire = () => { }) {
+    const handler = requestHandlers.get(type);
+    if (!handler) {
+        console.warn("No socket handler registered for request type: " + type);
+        return null;
+    }
+    return await handler(payload, fromid, onexpire);
+}
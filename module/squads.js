@@ -0,0 +1,186 @@
+import { getMacroSpeaker } from "./helpers.js";
+
+import { standardDicePool } from "./dicepool.js";
+
+/* -------------------------------------------- */
+/*  Mook Squads                                 */
+/* -------------------------------------------- */
+
+/**
+ * A squad is a group of mook tokens that act as one combatant
+ * The leader token stores the ids of the other members in the "urbanjungle.squadMembers" flag, and each member stores the leader's id in "urbanjungle.squadLeader"
+ * Only the leader is in the combat, it rolls the initiative and attacks for the whole squad, and the other members soak up the damage it takes
+ */
+export class CommonSquadInfo {
+    /**
+     * The bonus die a squad gets to its attacks by its size, including the leader, as [minimum size, die size]
+     * Checked from the end, so the largest matching size wins
+     */
+    static sizeBonusDice = Object.freeze([[2, 4], [3, 6], [4, 8], [6, 10], [9, 12]]);
+
+    /**
+     * Get the attack bonus dice for a squad of the given size
+     * @param {number} size The size of the squad, including the leader
+     * @returns {number[] | null} The bonus dice array, or null if the squad is too small for a bonus
+     */
+    static getSizeBonus(size) {
+        const entry = [...this.sizeBonusDice].reverse().find(x => size >= x[0]);
+        if (!entry) return null;
+        switch (entry[1]) {
+            case 12: return standardDicePool(1, 0, 0, 0, 0);
+            case 10: return standardDicePool(0, 1, 0, 0, 0);
+            case 8: return standardDicePool(0, 0, 1, 0, 0);
+            case 6: return standardDicePool(0, 0, 0, 1, 0);
+            default: return standardDicePool(0, 0, 0, 0, 1);
+        }
+    }
+}
+
+/**
+ * Get the squad a token leads
+ * @param {TokenDocument} token The token to check
+ * @returns {{leader: TokenDocument, members: TokenDocument[]} | null} The leader and the other members still on the scene, or null if the token does not lead a squad
+ */
+export function getSquad(token) {
+    const memberids = token?.getFlag("urbanjungle", "squadMembers");
+    if (!Array.isArray(memberids)) return null;
+    const members = memberids.map(x => token.parent?.tokens.get(x)).filter(x => !!x);
+    return { "leader": token, "members": members };
+}
+
+/**
+ * Get the attack bonus of the squad the actor's token leads
+ * @param {Actor} actor The actor making the attack
+ * @returns {{label: string, dice: number[]} | null} The label and dice to add, or null if the actor does not lead a big enough squad
+ */
+export function getSquadAttackBonus(actor) {
+    const squad = getSquad(actor?.token);
+    if (!squad) return null;
+    const size = squad.members.length + 1;
+    const dice = CommonSquadInfo.getSizeBonus(size);
+    return (dice ? { "label": game.i18n.format("urbanjungle.squad.attackBonus", { "size": size }), "dice": dice } : null);
+}
+
+/**
+ * Link the given mook tokens into a squad led by the first of them
+ * The other members are taken out of any combat on their scene, since the leader acts for them
+ * Tokens linked to their actor are left out, since taking one out of the squad marks its actor dead, which would mark every token of a linked actor dead
+ * @param {Token[]} tokens The tokens to link, all need to have mook actors
+ * @returns {Promise<TokenDocument | null>} Promise of the leader token, or null if the squad could not be formed
+ */
+export async function formMookSquad(tokens) {
+    const linked = tokens.filter(x => x.actor?.data.type === "mook" && x.data.actorLink);
+    if (linked.length > 0) {
+        ui.notifications.warn(game.i18n.format("urbanjungle.ui.squadLinkedTokens", { "names": linked.map(x => x.name).join(", ") }));
+    }
+
+    const mooks = tokens.filter(x => x.actor?.data.type === "mook" && !x.data.actorLink && !x.document.getFlag("urbanjungle", "squadLeader") && !x.document.getFlag("urbanjungle", "squadMembers"));
+    if (mooks.length < 2) {
+        ui.notifications.warn(game.i18n.localize("urbanjungle.ui.squadNeedsMooks"));
+        return null;
+    }
+
+    const leader = mooks[0].document;
+    const members = mooks.slice(1).map(x => x.document);
+    await leader.setFlag("urbanjungle", "squadMembers", members.map(x => x.id));
+    for (let member of members) {
+        await member.setFlag("urbanjungle", "squadLeader", leader.id);
+    }
+
+    for (let combat of game.combats.filter(x => x.scene?.id === leader.parent?.id)) {
+        const removed = combat.combatants.filter(x => members.some(y => y.id === x.data.tokenId)).map(x => x.id);
+        if (removed.length > 0) await combat.deleteEmbeddedDocuments("Combatant", removed);
+    }
+
+    await squadToChat(leader, game.i18n.format("urbanjungle.squad.formed", { "name": leader.name, "size": members.length + 1 }));
+    return leader;
+}
+
+/**
+ * Dissolve a squad, turning its remaining members back into separate tokens
+ * @param {TokenDocument} leader The leader token of the squad
+ */
+export async function disbandMookSquad(leader) {
+    const squad = getSquad(leader);
+    if (!squad) return;
+
+    for (let member of squad.members) {
+        await member.unsetFlag("urbanjungle", "squadLeader");
+    }
+    await leader.unsetFlag("urbanjungle", "squadMembers");
+    await squadToChat(leader, game.i18n.format("urbanjungle.squad.dissolved", { "name": leader.name }));
+}
+
+/**
+ * Take members out of a squad as it takes damage, each point of damage takes out one member and marks them dead
+ * The squad dissolves when only the leader is left
+ * @param {TokenDocument} leader The leader token of the squad
+ * @param {number} damage The damage the squad took
+ * @returns {Promise<number>} Promise of the damage left over after the members were taken out, to be applied to the leader
+ */
+export async function applySquadDamage(leader, damage) {
+    const squad = getSquad(leader);
+    if (!squad || damage <= 0) return damage;
+
+    const lost = squad.members.slice(0, Math.min(damage, squad.members.length));
+    const remaining = squad.members.filter(x => !lost.includes(x));
+    for (let member of lost) {
+        await member.unsetFlag("urbanjungle", "squadLeader");
+        await member.actor?.addEffect("dead");
+    }
+    await leader.setFlag("urbanjungle", "squadMembers", remaining.map(x => x.id));
+    await squadToChat(leader, game.i18n.format("urbanjungle.squad.membersLost", { "name": leader.name, "lost": lost.length, "size": remaining.length + 1 }));
+
+    if (remaining.length === 0) {
+        await disbandMookSquad(leader);
+    }
+    return damage - lost.length;
+}
+
+/**
+ * Add the squad controls to the token HUD of mooks, forming a squad out of the controlled mooks, or disbanding the squad the token leads
+ * @param {TokenHUD} hud The token HUD
+ * @param {jQuery} html The rendered HTML of the HUD
+ */
+export function addSquadHudControls(hud, html) {
+    const token = hud.object;
+    if (!game.user.isGM || token?.actor?.data.type !== "mook") return;
+
+    let control = null;
+    if (token.document.getFlag("urbanjungle", "squadMembers")) {
+        control = $(`<div class="control-icon squad-control" title="${game.i18n.localize("urbanjungle.squad.disband")}"><i class="fas fa-users-slash"></i></div>`);
+        control.click(async ev => {
+            ev.preventDefault();
+            await disbandMookSquad(token.document);
+            hud.render();
+        });
+    }
+    else if (canvas.tokens.controlled.length > 1) {
+        control = $(`<div class="control-icon squad-control" title="${game.i18n.localize("urbanjungle.squad.form")}"><i class="fas fa-users"></i></div>`);
+        control.click(async ev => {
+            ev.preventDefault();
+            // Put the token whose HUD was used first, so that it becomes the leader
+            await formMookSquad([token, ...canvas.tokens.controlled.filter(x => x.id !== token.id)]);
+            hud.render();
+        });
+    }
+    if (control) html.find(".col.left").append(control);
+}
+
+/* -------------------------------------------- */
+/*  Squad Helpers                               */
+/* -------------------------------------------- */
+
+/**
+ * Post a short note about a squad change to chat
+ * @param {TokenDocument} leader The leader token of the squad
+ * @param {string} text The text to post
+ */
+async function squadToChat(leader, text) {
+    let chatData = {
+        "content": `<div class="urbanjungle"><div class="chat-item"><span>${text}</span></div></div>`,
+        "speaker": getMacroSpeaker(leader.actor)
+    };
+    ChatMessage.applyRollMode(chatData, game.settings.get("core", "rollMode"));
+    CONFIG.ChatMessage.documentClass.create(chatData);
+}
@@ -17,11 +17,53 @@ import { copyToRollTNDialog } from "./dicerollers.js";
 import { copyToRollHighest } from "./dicerollers.js";
 
 import { makeStatCompareReady } from "./helpers.js";
+import { getTokenActor } from "./helpers.js";
+import { checkIfNewerVersion } from "./helpers.js";
 
 import { ironclawRollChat } from "./commands.js";
 import { ironclawRollActorChat } from "./commands.js";
 
 import { CommonConditionInfo } from "./conditions.js";
+import { getConditionDurationLabel } from "./conditions.js";
+
+import { groupRoll } from "./grouproll.js";
+import { popupGroupRoll } from "./grouproll.js";
+import { groupRollChat } from "./grouproll.js";
+
+import { sendRollRequest } from "./rollrequest.js";
+import { popupRollRequest } from "./rollrequest.js";
+import { answerRollRequest } from "./rollrequest.js";
+
+import { createExtendedTest } from "./extendedtests.js";
+import { popupExtendedTest } from "./extendedtests.js";
+
+import { SkillListEditor } from "./skills.js";
+
+import { worldNeedsMigration } from "./migration.js";
+import { runSystemMigrations } from "./migration.js";
+
+import { FactionManager } from "./factions.js";
+import { assignTokenFaction } from "./factions.js";
+
+import { AdvancementDialog } from "./advancement.js";
+import { CharacterCreationWizard } from "./creation.js";
+
+import { popupSocialExchange } from "./social.js";
+import { answerSocialResist } from "./social.js";
+import { answerSocialLoss } from "./social.js";
+
+import { ChaseTracker } from "./chase.js";
+import { answerChaseRoll } from "./chase.js";
+
+import { formMookSquad } from "./squads.js";
+import { disbandMookSquad } from "./squads.js";
+import { addSquadHudControls } from "./squads.js";
+
+import { addIronclawChatButtons } from "./chat.js";
+import { getHangingWeapon } from "./chat.js";
+
+import { activateSystemSocket } from "./sockets.js";
+import { registerSocketHandler } from "./sockets.js";
 
 
 /* -------------------------------------------- */
@@ -43,6 +85,21 @@ Hooks.once('init', async function () {
         rollHighestDialog,
         rollTargetNumberOneLine,
         rollHighestOneLine,
+        groupRoll,
+        popupGroupRoll,
+        sendRollRequest,
+        popupRollRequest,
+        createExtendedTest,
+        popupExtendedTest,
+        FactionManager,
+        assignTokenFaction,
+        formMookSquad,
+        disbandMookSquad,
+        openChaseTracker,
+        popupSocialExchange,
+        AdvancementDialog,
+        CharacterCreationWizard,
+        SkillListEditor,
         "useCUBConditions": false,
         waitUntilReady
     };
@@ -128,6 +185,128 @@ Hooks.once('init', async function () {
         default: false,
         config: true
     });
+    game.settings.register("urbanjungle", "calculateTargetedAttacks", {
+        name: "urbanjungle.config.calculateTargetedAttacks",
+        hint: "urbanjungle.config.calculateTargetedAttacksHint",
+        scope: "world",
+        type: Boolean,
+        default: true,
+        config: true
+    });
+    game.settings.register("urbanjungle", "socketRequestTimeout", {
+        name: "urbanjungle.config.socketRequestTimeout",
+        hint: "urbanjungle.config.socketRequestTimeoutHint",
+        scope: "world",
+        type: Number,
+        range: { min: 10, max: 600, step: 10 },
+        default: 180,
+        config: true
+    });
+
+    game.settings.register("urbanjungle", "extendedTestBotchSetback", {
+        name: "urbanjungle.config.extendedTestBotchSetback",
+        hint: "urbanjungle.config.extendedTestBotchSetbackHint",
+        scope: "world",
+        type: Number,
+        default: 1,
+        config: true
+    });
+
+    game.settings.register("urbanjungle", "advanceCostMark", {
+        name: "urbanjungle.config.advanceCostMark",
+        hint: "urbanjungle.config.advanceCostMarkHint",
+        scope: "world",
+        type: Number,
+        default: 1,
+        config: true
+    });
+    game.settings.register("urbanjungle", "advanceCostTrait", {
+        name: "urbanjungle.config.advanceCostTrait",
+        hint: "urbanjungle.config.advanceCostTraitHint",
+        scope: "world",
+        type: Number,
+        default: 5,
+        config: true
+    });
+    game.settings.register("urbanjungle", "advanceCostGift", {
+        name: "urbanjungle.config.advanceCostGift",
+        hint: "urbanjungle.config.advanceCostGiftHint",
+        scope: "world",
+        type: Number,
+        default: 3,
+        config: true
+    });
+    game.settings.register("urbanjungle", "advanceCostCareer", {
+        name: "urbanjungle.config.advanceCostCareer",
+        hint: "urbanjungle.config.advanceCostCareerHint",
+        scope: "world",
+        type: Number,
+        default: 10,
+        config: true
+    });
+
+    game.settings.register("urbanjungle", "creationTraitPoints", {
+        name: "urbanjungle.config.creationTraitPoints",
+        hint: "urbanjungle.config.creationTraitPointsHint",
+        scope: "world",
+        type: Number,
+        default: 10,
+        config: true
+    });
+    game.settings.register("urbanjungle", "creationSkillMarks", {
+        name: "urbanjungle.config.creationSkillMarks",
+        hint: "urbanjungle.config.creationSkillMarksHint",
+        scope: "world",
+        type: Number,
+        default: 13,
+        config: true
+    });
+    game.settings.register("urbanjungle", "creationGifts", {
+        name: "urbanjungle.config.creationGifts",
+        hint: "urbanjungle.config.creationGiftsHint",
+        scope: "world",
+        type: Number,
+        default: 2,
+        config: true
+    });
+
+    // The world's skill list, edited through the skill list editor, empty means the default skills from the template
+    game.settings.register("urbanjungle", "skillList", {
+        scope: "world",
+        type: Object,
+        default: [],
+        config: false,
+        onChange: () => {
+            game.actors.forEach(x => {
+                x.prepareData();
+                if (x.sheet?.rendered) x.sheet.render(false);
+            });
+        }
+    });
+    game.settings.registerMenu("urbanjungle", "skillListEditor", {
+        name: "urbanjungle.config.skillListEditor",
+        label: "urbanjungle.config.skillListEditorLabel",
+        hint: "urbanjungle.config.skillListEditorHint",
+        icon: "fas fa-list",
+        type: SkillListEditor,
+        restricted: true
+    });
+
+    // Factions for side-based initiative, edited through the faction manager
+    game.settings.register("urbanjungle", "factions", {
+        scope: "world",
+        type: Object,
+        default: [],
+        config: false
+    });
+
+    // State of the running chase, managed by the chase tracker
+    game.settings.register("urbanjungle", "chaseState", {
+        scope: "world",
+        type: Object,
+        default: {},
+        config: false
+    });
 
     // Register system client settings
     game.settings.register("urbanjungle", "defaultSendDamage", {
@@ -147,6 +326,14 @@ Hooks.once('init', async function () {
         config: true
     });
 
+    // Register the system version the world's data was last migrated with, empty for worlds that have never been migrated
+    game.settings.register("urbanjungle", "migrationVersion", {
+        scope: "world",
+        type: String,
+        default: "",
+        config: false
+    });
+
     // Register a version number that was used last time to allow determining if a new version is being used
     game.settings.register("urbanjungle", "lastSystemVersion", {
         scope: "client",
@@ -175,6 +362,14 @@ Hooks.once('init', async function () {
         return str.length == 0 || makeStatCompareReady(str) == compare;
     });
 
+    Handlebars.registerHelper('equals', function (val, compare) {
+        return val == compare;
+    });
+
+    Handlebars.registerHelper('conditionDuration', function (effect) {
+        return getConditionDurationLabel(effect);
+    });
+
     Handlebars.registerHelper('valueRoundTo', function (val, roundto) {
         return isNaN(val) ? "NaN" : val.toFixed(roundto);
     });
@@ -209,22 +404,60 @@ Hooks.once("ready", async function () {
             sideBased: true,
             initType: 2,
             skipDefeated: false,
-            manualTN: -1
+            manualTN: -1,
+            initFailDelay: false,
+            initBotchCondition: "",
+            initTieRule: "success",
+            autoDropGuarding: false,
+            autoAfraidRecovery: false,
+            autoOnFire: false,
+            autoOnFireDamage: 1,
+            autoRefreshGifts: false
         });
     }
 
+    // Socket listening and the handlers for rolls other users can request
+    activateSystemSocket();
+    registerSocketHandler("defenseRoll", (payload, fromid, onexpire) => {
+        const actor = getTokenActor(payload.tokenId, payload.actorId, payload.sceneId);
+        return actor?.defendAgainstAttack(payload.label, onexpire);
+    });
+    registerSocketHandler("soakRoll", (payload, fromid, onexpire) => {
+        const actor = getTokenActor(payload.tokenId, payload.actorId, payload.sceneId);
+        return actor?.soakAttackDamage(payload.damage, payload.knockout, payload.nonlethal, payload.label, onexpire);
+    });
+    registerSocketHandler("rollRequest", (payload, fromid, onexpire) => answerRollRequest(payload, onexpire));
+    registerSocketHandler("damagePopup", (payload) => {
+        const actor = getTokenActor(payload.tokenId, payload.actorId, payload.sceneId);
+        actor?.popupDamage(payload.damage);
+    });
+    registerSocketHandler("afraidRecovery", (payload) => {
+        const actor = getTokenActor(payload.tokenId, payload.actorId, payload.sceneId);
+        return actor?.popupAfraidRecovery();
+    });
+    registerSocketHandler("chaseRoll", (payload) => answerChaseRoll(payload));
+    registerSocketHandler("socialResist", (payload) => answerSocialResist(payload));
+    registerSocketHandler("socialLoss", (payload) => answerSocialLoss(payload));
+    registerSocketHandler("combatHold", (payload, fromid) => {
+        const combat = game.combats.get(payload.combatId);
+        const combatant = combat?.combatants.get(payload.combatantId);
+        if (!combatant?.actor?.testUserPermission(game.users.get(fromid), "OWNER")) return false; // Only the owners can hold for a combatant
+        return combat.holdTurn(payload.combatantId, payload.mode);
+    });
+
     // CUB remove defaults nag
     if (game.urbanjungle.useCUBConditions && game.settings.get("combat-utility-belt", "removeDefaultEffects") === false) {
         ui.notifications.info(game.i18n.localize("urbanjungle.ui.removeDefaultConditionsNag"), { permanent: true });
     }
 
-    // Version checks 
-    /*
+    // Version checks and data migration
+    if (game.user.isGM && worldNeedsMigration()) {
+        await runSystemMigrations();
+    }
     const lastVersion = game.settings.get("urbanjungle", "lastSystemVersion");
     if (checkIfNewerVersion(game.system.data.version, lastVersion)) {
-        // TODO: Insert things like "What's new" and data migration stuff here
+        ui.notifications.info(game.i18n.format("urbanjungle.ui.systemUpdated", { "version": game.system.data.version, "last": lastVersion }));
     }
-    */
     game.settings.set("urbanjungle", "lastSystemVersion", game.system.data.version);
 
     console.log("urbanjungle System ready");
@@ -326,11 +559,7 @@ function addIronclawChatLogContext(html, entryOptions) {
             },
             callback: li => {
                 const message = game.messages.get(li.data("messageId"));
-                const weaponid = message.getFlag("urbanjungle", "hangingWeapon");
-                const actorid = message.getFlag("urbanjungle", "hangingActor");
-                const tokenid = message.getFlag("urbanjungle", "hangingToken");
-                const actor = game.scenes.current.tokens.get(tokenid)?.actor || game.actors.get(actorid);
-                const weapon = actor?.items.get(weaponid) || game.items.get(weaponid);
+                const weapon = getHangingWeapon(message);
                 weapon?.resendNormalAttack?.(message);
             }
         },
@@ -348,11 +577,7 @@ function addIronclawChatLogContext(html, entryOptions) {
             },
             callback: li => {
                 const message = game.messages.get(li.data("messageId"));
-                const weaponid = message.getFlag("urbanjungle", "hangingWeapon");
-                const actorid = message.getFlag("urbanjungle", "hangingActor");
-                const tokenid = message.getFlag("urbanjungle", "hangingToken");
-                const actor = game.scenes.current.tokens.get(tokenid)?.actor || game.actors.get(actorid);
-                const weapon = actor?.items.get(weaponid) || game.items.get(weaponid);
+                const weapon = getHangingWeapon(message);
                 weapon?.resolveCounterAttack?.(message);
             }
         },
@@ -371,11 +596,7 @@ function addIronclawChatLogContext(html, entryOptions) {
             },
             callback: li => {
                 const message = game.messages.get(li.data("messageId"));
-                const weaponid = message.getFlag("urbanjungle", "hangingWeapon");
-                const actorid = message.getFlag("urbanjungle", "hangingActor");
-                const tokenid = message.getFlag("urbanjungle", "hangingToken");
-                const actor = game.scenes.current.tokens.get(tokenid)?.actor || game.actors.get(actorid);
-                const weapon = actor?.items.get(weaponid) || game.items.get(weaponid);
+                const weapon = getHangingWeapon(message);
                 weapon?.resolveResistedAttack?.(message);
             }
         },
@@ -394,16 +615,36 @@ function addIronclawChatLogContext(html, entryOptions) {
             },
             callback: li => {
                 const message = game.messages.get(li.data("messageId"));
-                const weaponid = message.getFlag("urbanjungle", "hangingWeapon");
-                const actorid = message.getFlag("urbanjungle", "hangingActor");
-                const tokenid = message.getFlag("urbanjungle", "hangingToken");
-                const actor = game.scenes.current.tokens.get(tokenid)?.actor || game.actors.get(actorid);
-                const weapon = actor?.items.get(weaponid) || game.items.get(weaponid);
+                const weapon = getHangingWeapon(message);
                 weapon?.resolveAsNormalAttack?.(message);
             }
         });
 }
 Hooks.on("getChatLogEntryContext", addIronclawChatLogContext);
+Hooks.on("renderChatMessage", addIronclawChatButtons);
+
+/* -------------------------------------------- */
+/*  Token HUD Hooks                             */
+/* -------------------------------------------- */
+
+/**
+ * Add the remaining duration of timed conditions to the tooltips of the token HUD's status icons
+ * @param {TokenHUD} hud The token HUD
+ * @param {jQuery} html The rendered HTML of the HUD
+ */
+function addConditionDurationTooltips(hud, html) {
+    const actor = hud.object?.actor;
+    if (!actor) return;
+
+    html.find(".status-effects .effect-control").each((index, element) => {
+        const statusid = element.dataset.statusId;
+        const effect = actor.effects.find(x => x.getFlag("core", "statusId") === statusid);
+        const label = getConditionDurationLabel(effect);
+        if (label) element.title += " (" + label + ")";
+    });
+}
+Hooks.on("renderTokenHUD", addConditionDurationTooltips);
+Hooks.on("renderTokenHUD", addSquadHudControls);
 
 /* -------------------------------------------- */
 /*  Functions                                   */
@@ -428,51 +669,6 @@ async function waitUntilReady(resolve) {
     return true;
 }
 
-/**
- * Split the version number of the system into its component parts and put them into an array
- * @param {string} version System version number as a string
- * @returns {number[]} Array containing the component numbers of the version number
- */
-function getVersionNumbers(version) {
-    if (typeof (version) !== "string") {
-        console.error("System version spliter given something that was not a string: " + version);
-        return null;
-    }
-
-    let versionarray = [];
-    let versiontest = new RegExp("(\\d+)\\.(\\d+)\\.(\\d+)?"); // Regex to match and split the version number
-
-    if (versiontest.test(version)) {
-        const result = version.match(versiontest);
-        for (let i = 1; i < result.length; ++i) {
-            versionarray.push(result[i]); // Push each separate number in the version to a separate index in the array
-        }
-    } else {
-        console.error("System version splitter given something which could not be split: " + version);
-        return null;
-    }
-
-    return versionarray;
-}
-
-/**
- * Check if the given version number is newer than the base version number
- * @param {string} testing The version number to test
- * @param {string} baseversion The version number to test against
- * @returns {boolean} If true, the tested version is newer than the base version
- */
-function checkIfNewerVersion(testing, baseversion) {
-    const oldver = getVersionNumbers(baseversion);
-    const newver = getVersionNumbers(testing);
-
-    for (let i = 0; i < newver.length; ++i) {
-        if (newver[i] != oldver[i])
-            return newver[i] > oldver[i];
-    }
-
-    return false;
-}
-
 /* -------------------------------------------- */
 /*  External Module Support                     */
 /* -------------------------------------------- */
@@ -533,6 +729,34 @@ Hooks.on("chatCommandsReady", function (chatCommands) {
         description: game.i18n.localize("urbanjungle.command.actorroll")
     }));
 
+    // Roll the same stats for every selected token, or every player character
+    chatCommands.registerCommand(chatCommands.createCommandFromData({
+        commandKey: "/grouproll",
+        invokeOnCommand: async (chatlog, messageText, chatdata) => {
+            await sleep(100);
+            groupRollChat(messageText);
+        },
+        shouldDisplayToChat: false,
+        iconClass: "fa-users",
+        description: game.i18n.localize("urbanjungle.command.grouproll")
+    }));
+
+    // Send a roll request to every active player, or open the request popup if no stats are given
+    chatCommands.registerCommand(chatCommands.createCommandFromData({
+        commandKey: "/rollrequest",
+        invokeOnCommand: async (chatlog, messageText, chatdata) => {
+            await sleep(100);
+            if (messageText.trim().length > 0)
+                sendRollRequest(messageText);
+            else
+                popupRollRequest();
+        },
+        shouldDisplayToChat: false,
+        iconClass: "fa-bullhorn",
+        description: game.i18n.localize("urbanjungle.command.rollrequest"),
+        gmOnly: true
+    }));
+
     // Use an item as the currently selected actor
     chatCommands.registerCommand(chatCommands.createCommandFromData({
         commandKey: "/itemuse",
@@ -618,6 +842,12 @@ function popupMacro(popup) {
         case 2:
             return actor.popupAddCondition();
             break;
+        case 3:
+            return popupExtendedTest(actor);
+            break;
+        case 4:
+            return popupSocialExchange(actor);
+            break;
         default:
             ui.notifications.warn(game.i18n.format("urbanjungle.ui.popupNotFoundForMacro", { "popup": popup }));
             return actor.popupSelectRolled();
@@ -625,6 +855,20 @@ function popupMacro(popup) {
     }
 }
 
+/**
+ * Open the chase tracker, GM only
+ * @returns {ChaseTracker} The opened tracker window
+ */
+function openChaseTracker() {
+    if (!game.user.isGM) {
+        ui.notifications.warn(game.i18n.localize("urbanjungle.ui.chaseGMOnly"));
+        return;
+    }
+    const tracker = Object.values(ui.windows).find(x => x instanceof ChaseTracker) || new ChaseTracker();
+    tracker.render(true);
+    return tracker;
+}
+
 /**
  * Popup the standard dice pool selection dialog with some readied data
  * @param {string[]} prechecked Array of skills to autocheck on the dialog, must be in lowercase and without spaces